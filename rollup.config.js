@@ -61,5 +61,27 @@ export default [
       nodeResolve(),
       commonjs()
     ]
+  },
+ 
+  // Server-side client, built for Node only
+  {
+    input: 'src/node/index.js',
+    output: {
+      file: 'dist/carboncut-node.cjs',
+      format: 'cjs',
+      exports: 'named',
+      sourcemap: true
+    },
+    external: ['http', 'https']
+  },
+ 
+  {
+    input: 'src/node/index.js',
+    output: {
+      file: 'dist/carboncut-node.esm.js',
+      format: 'es',
+      sourcemap: true
+    },
+    external: ['http', 'https']
   }
 ];
\ No newline at end of file
@@ -0,0 +1,178 @@
+import { matchesDomain, toDomainList } from '../utils/domain.js';
+
+export const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+export const CLICK_ID_PARAMS = ['gclid', 'fbclid', 'msclkid', 'ttclid', 'li_fat_id'];
+
+// Hosts without a dot match any top-level domain (google.de, yahoo.co.jp)
+export const SEARCH_HOSTS = [
+  'google', 'bing.com', 'yahoo', 'duckduckgo.com', 'baidu.com', 'yandex',
+  'ecosia.org', 'search.brave.com', 'startpage.com', 'naver.com', 'ask.com',
+  'qwant.com', 'seznam.cz'
+];
+
+export const SOCIAL_HOSTS = [
+  'facebook.com', 'fb.com', 'instagram.com', 'twitter.com', 'x.com', 't.co',
+  'linkedin.com', 'lnkd.in', 'reddit.com', 'pinterest', 'tiktok.com',
+  'youtube.com', 'youtu.be', 'threads.net', 'bsky.app', 'mastodon.social',
+  'quora.com', 'tumblr.com', 'snapchat.com', 'vk.com', 'weibo.com'
+];
+
+const PAID_MEDIUM = /^(cpc|ppc|cpm|cpv|cpa|paid.*|display|banner|retargeting|remarketing)$/;
+const EMAIL_MEDIUM = /^(e-?mail|newsletter)$/;
+const SOCIAL_MEDIUM = /^(social|social[-_ ]?(network|media)|sm)$/;
+
+/**
+ * Whether a host belongs to one of the listed sites
+ * @param {string} host Host name
+ * @param {string[]} list Site list
+ */
+export function matchesHostList(host, list) {
+  return list.some((site) => {
+    if (site.includes('.')) {
+      return host === site || host.endsWith(`.${site}`);
+    }
+    return new RegExp(`(^|\\.)${site}\\.[a-z]{2,3}(\\.[a-z]{2})?$`).test(host);
+  });
+}
+
+/**
+ * Classify a touch into a marketing channel: paid, email, social,
+ * organic_search, referral or direct
+ * @param {Object} touch Touch with utm_*, click IDs and referrer_host
+ * @returns {string} Channel
+ */
+export function classifyChannel(touch) {
+  const medium = (touch.utm_medium || '').toLowerCase();
+  const source = (touch.utm_source || '').toLowerCase();
+  const host = touch.referrer_host || '';
+
+  // fbclid is added to every outbound Facebook link, ads or not, so it
+  // does not imply paid on its own
+  const paidClickId = CLICK_ID_PARAMS.some((param) => param !== 'fbclid' && touch[param]);
+
+  if (paidClickId || PAID_MEDIUM.test(medium)) return 'paid';
+  if (EMAIL_MEDIUM.test(medium) || EMAIL_MEDIUM.test(source)) return 'email';
+  if (SOCIAL_MEDIUM.test(medium) || touch.fbclid || matchesHostList(host, SOCIAL_HOSTS)) return 'social';
+  if (medium === 'organic' || matchesHostList(host, SEARCH_HOSTS)) return 'organic_search';
+  if (host || medium || source) return 'referral';
+
+  return 'direct';
+}
+
+/**
+ * First-touch and last-touch attribution kept in localStorage. A visit
+ * counts as a new touch when it carries UTM parameters or a click ID, or
+ * arrives from an external referrer; direct visits only set the first
+ * touch.
+ */
+export class Attribution {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.storageKey = 'cc_attribution';
+    this.touches = this.load();
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return { first: null, last: null };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return { first: stored?.first || null, last: stored?.last || null };
+    } catch (error) {
+      return { first: null, last: null };
+    }
+  }
+
+  persist() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.touches));
+    } catch (error) {
+      this.logger.error('Failed to persist attribution:', error);
+    }
+  }
+
+  /**
+   * Whether a referrer is this site or one of its linked domains
+   * @param {URL} referrer Referrer URL
+   */
+  isInternalReferrer(referrer) {
+    if (referrer.hostname === window.location.hostname) return true;
+
+    return toDomainList(this.config.get('linkerDomains'))
+      .some((pattern) => matchesDomain(pattern, referrer.origin));
+  }
+
+  /**
+   * Build a touch from the current URL and referrer
+   * @returns {Object} Touch
+   */
+  getCurrentTouch() {
+    const params = new URLSearchParams(window.location.search);
+    const touch = {};
+
+    [...UTM_KEYS, ...CLICK_ID_PARAMS].forEach((key) => {
+      const value = params.get(key);
+      if (value) touch[key] = value;
+    });
+
+    let referrer = null;
+    try {
+      referrer = document.referrer ? new URL(document.referrer) : null;
+    } catch (error) {
+      referrer = null;
+    }
+
+    if (referrer && !this.isInternalReferrer(referrer)) {
+      touch.referrer = referrer.origin + referrer.pathname;
+      touch.referrer_host = referrer.hostname.toLowerCase();
+    }
+
+    touch.channel = classifyChannel(touch);
+    touch.landing_page = window.location.origin + window.location.pathname;
+    touch.timestamp = new Date().toISOString();
+
+    return touch;
+  }
+
+  /**
+   * Record the current page as a touch when it is one
+   * @returns {Object} { first, last }
+   */
+  capture() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+      return this.getTouches();
+    }
+
+    const touch = this.getCurrentTouch();
+    const isCampaign = Object.keys(touch).some(
+      (key) => UTM_KEYS.includes(key) || CLICK_ID_PARAMS.includes(key) || key === 'referrer'
+    );
+
+    if (!this.touches.first) {
+      this.touches.first = touch;
+    }
+    if (isCampaign || !this.touches.last) {
+      this.touches.last = touch;
+    }
+
+    this.persist();
+    this.logger.log('Attribution touch:', touch.channel, isCampaign ? '(new)' : '(direct)');
+
+    return this.getTouches();
+  }
+
+  /**
+   * Touches as attached to utm_params
+   * @returns {Object} { first_touch, last_touch }
+   */
+  getTouches() {
+    return {
+      first_touch: this.touches.first,
+      last_touch: this.touches.last
+    };
+  }
+}
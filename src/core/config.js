@@ -8,13 +8,58 @@ export class Config {
       // Ensure trailing slash is always present
       apiUrl: 'http://127.0.0.1:8000/api/v1/events/', 
       sessionId: null,
+      // Inactivity before a session expires (sessions also end at midnight)
+      sessionTimeout: 30 * 60 * 1000,
+      // Engagement: first checkpoint interval, backing off to maxPingInterval,
+      // and inactivity after which time stops counting as engaged
       pingInterval: 15000,
+      maxPingInterval: 5 * 60 * 1000,
+      idleThreshold: 30 * 1000,
+      // Worker batching
+      useWorker: true,
+      batchSize: 10,
+      batchInterval: 5000,
       debug: false,
       autoTrack: true, 
       respectDoNotTrack: true, 
+      // Consent: hold tracking until analytics consent is granted
+      requireConsent: false,
+      // 'buffer' keeps pre-consent events until a decision, 'drop' discards them
+      consentMode: 'buffer',
+      // Share of sessions tracked, decided from the session ID
+      sessionSampleRate: 1,
+      // Per-event sample rates by event name or type, e.g. { engagement: 0.25 }
+      eventSampleRates: null,
+      // Token bucket cap on events per minute (conversions are exempt)
+      maxEventsPerMinute: null,
       maxRetries: 3,
       retryDelay: 1000,
+      maxRetryDelay: 60000,
+      // Called with (payloads, reason) when events are dropped after retries
+      onEventDropped: null,
       domain: null,
+      // Cross-domain linking: domain patterns whose links carry cc_link, and its lifetime
+      linkerDomains: null,
+      linkerTTL: 2 * 60 * 1000,
+      // Remote config cache lifetime when the server sends no max-age
+      configMaxAge: 5 * 60 * 1000,
+      // Start from an expired cached config when /keys/config is unreachable
+      staleConfigFallback: false,
+      // Offline queue persistence
+      persistQueue: true,
+      maxQueueSize: 500,
+      maxQueueAge: 24 * 60 * 60 * 1000,
+      // Core Web Vitals, sent as a web_vitals event when the page is hidden
+      trackWebVitals: true,
+      // Send a page_weight summary (bytes by origin and vendor) on page hide
+      sendPageWeightReport: false,
+      // Unhandled errors and rejections as error events
+      trackErrors: true,
+      maxErrorsPerMinute: 10,
+      // Emissions model: gCO2e/kWh override, ISO country for the grid, renewable hosting
+      gridIntensity: null,
+      gridRegion: null,
+      greenHosting: false,
       //   Geolocation options
       enableGeolocation: false, 
       requestLocation: false, 
@@ -0,0 +1,255 @@
+export const CONSENT_CATEGORIES = ['analytics', 'geolocation', 'performance'];
+
+/**
+ * Per-category consent state, persisted across page loads and fed by the
+ * public API, IAB TCF v2 (__tcfapi) and Google Consent Mode (dataLayer).
+ *
+ * A decision made through setConsent() takes precedence: once consent has
+ * been set through the API, CMP signals no longer change it. Consent Mode
+ * `default` commands only apply to undecided categories on the current
+ * page and are never persisted.
+ */
+export class ConsentManager {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.storageKey = 'cc_consent';
+    this.state = this.load();
+    // Consent Mode defaults for this page, until a decision is made
+    this.defaults = {};
+    this.listeners = [];
+    this.signalsAttached = false;
+  }
+
+  /**
+   * Read persisted consent from localStorage
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  persist() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    } catch (error) {
+      this.logger.error('Failed to persist consent state:', error);
+    }
+  }
+
+  /**
+   * Whether tracking needs an explicit grant before it starts
+   */
+  isRequired() {
+    return this.config.get('requireConsent') === true;
+  }
+
+  /**
+   * Check a single category. Explicit decisions always win, then CMP
+   * defaults; otherwise categories are granted only when consent is not
+   * required.
+   * @param {string} category Consent category
+   * @returns {boolean}
+   */
+  hasConsent(category) {
+    if (this.isDecided(category)) {
+      return this.state[category];
+    }
+
+    if (typeof this.defaults[category] === 'boolean') {
+      return this.defaults[category];
+    }
+
+    return !this.isRequired();
+  }
+
+  /**
+   * Whether the visitor (or a CMP) has made an explicit choice
+   * @param {string} category Consent category
+   */
+  isDecided(category) {
+    return typeof this.state[category] === 'boolean';
+  }
+
+  /**
+   * Update one or more categories
+   * @param {Object} consent e.g. { analytics: true, geolocation: false }
+   * @param {string} source Where the decision came from (api, tcf, gcm)
+   */
+  setConsent(consent = {}, source = 'api') {
+    const previous = this.getState();
+    const update = this.pickCategories(consent);
+
+    if (Object.keys(update).length === 0) {
+      this.logger.warn('setConsent called without any known category:', consent);
+      return previous;
+    }
+
+    if (source !== 'api' && this.state.source === 'api') {
+      this.logger.log(`Ignoring ${source} consent signal, consent was set through the API`);
+      return previous;
+    }
+
+    this.state = {
+      ...this.state,
+      ...update,
+      source,
+      updatedAt: new Date().toISOString()
+    };
+    this.persist();
+
+    const current = this.getState();
+    this.logger.log(`Consent updated from ${source}:`, current);
+    this.notify(current, previous);
+
+    return current;
+  }
+
+  /**
+   * Set the consent a CMP assumes before the visitor chooses. Defaults
+   * are kept in memory for this page and never override a decision.
+   * @param {Object} consent e.g. { analytics: false, performance: false }
+   * @param {string} source Where the defaults came from (gcm)
+   */
+  setDefaults(consent = {}, source) {
+    const previous = this.getState();
+    this.defaults = { ...this.defaults, ...this.pickCategories(consent) };
+
+    const current = this.getState();
+    this.logger.log(`Consent defaults from ${source}:`, this.defaults);
+    this.notify(current, previous);
+  }
+
+  /**
+   * Known categories with a boolean value
+   */
+  pickCategories(consent) {
+    const picked = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+      if (typeof consent[category] === 'boolean') {
+        picked[category] = consent[category];
+      }
+    });
+    return picked;
+  }
+
+  notify(current, previous) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(current, previous);
+      } catch (error) {
+        this.logger.error('Consent listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Resolved consent for every category, as attached to payloads
+   */
+  getState() {
+    const state = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+      state[category] = this.hasConsent(category);
+    });
+    state.source = this.state.source || 'default';
+    return state;
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Listen for CMP signals already present on the page
+   */
+  listenForSignals() {
+    if (this.signalsAttached || typeof window === 'undefined') return;
+    this.signalsAttached = true;
+
+    this.listenForTCF();
+    this.listenForGoogleConsentMode();
+  }
+
+  /**
+   * IAB TCF v2: purpose 1 (store/access) and 9 (audience statistics) map to
+   * analytics, purpose 8 (content performance) to performance and special
+   * feature 1 (precise geolocation) to geolocation.
+   */
+  listenForTCF() {
+    if (typeof window.__tcfapi !== 'function') return;
+
+    try {
+      window.__tcfapi('addEventListener', 2, (tcData, success) => {
+        if (!success || !tcData) return;
+        if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') {
+          return;
+        }
+
+        if (tcData.gdprApplies === false) {
+          this.setConsent({ analytics: true, geolocation: true, performance: true }, 'tcf');
+          return;
+        }
+
+        const purposes = tcData.purpose?.consents || {};
+        const specialFeatures = tcData.specialFeatureOptins || {};
+
+        this.setConsent({
+          analytics: !!purposes[1] && !!purposes[9],
+          performance: !!purposes[1] && !!purposes[8],
+          geolocation: !!specialFeatures[1]
+        }, 'tcf');
+      });
+      this.logger.log('Listening for IAB TCF v2 consent signals');
+    } catch (error) {
+      this.logger.error('Failed to attach to __tcfapi:', error);
+    }
+  }
+
+  /**
+   * Google Consent Mode: read gtag('consent', ...) calls already pushed to
+   * the dataLayer and watch for new ones. analytics_storage drives both
+   * analytics and performance. `default` commands are the site's assumed
+   * consent, not a choice, so only `update` commands are persisted.
+   */
+  listenForGoogleConsentMode() {
+    if (!Array.isArray(window.dataLayer)) return;
+
+    const handle = (entry) => {
+      if (!entry || entry[0] !== 'consent' || !entry[2] || typeof entry[2] !== 'object') return;
+
+      const command = entry[1];
+      if (command !== 'default' && command !== 'update') return;
+
+      const storage = entry[2].analytics_storage;
+      if (storage !== 'granted' && storage !== 'denied') return;
+
+      const granted = storage === 'granted';
+      const consent = { analytics: granted, performance: granted };
+
+      if (command === 'default') {
+        this.setDefaults(consent, 'gcm');
+      } else {
+        this.setConsent(consent, 'gcm');
+      }
+    };
+
+    Array.from(window.dataLayer).forEach(handle);
+
+    const dataLayer = window.dataLayer;
+    const originalPush = dataLayer.push;
+    dataLayer.push = function() {
+      const result = originalPush.apply(this, arguments);
+      Array.from(arguments).forEach(handle);
+      return result;
+    };
+
+    this.logger.log('Listening for Google Consent Mode signals');
+  }
+}
@@ -0,0 +1,137 @@
+import { generateUUID } from '../utils/uuid.js';
+
+
+/**
+ * Visitor identity: a persistent anonymous ID plus the known user ID and
+ * traits set through identify()
+ */
+export class Identity {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.storageKey = 'cc_identity';
+    this.anonymousId = null;
+    this.userId = null;
+    this.traits = {};
+
+    this.load();
+  }
+
+
+  load() {
+    let stored = null;
+
+    if (typeof localStorage !== 'undefined') {
+      try {
+        stored = JSON.parse(localStorage.getItem(this.storageKey));
+      } catch (error) {
+        stored = null;
+      }
+    }
+
+    this.anonymousId = stored?.anonymousId || generateUUID();
+    this.userId = stored?.userId || null;
+    this.traits = stored?.traits || {};
+
+    if (!stored?.anonymousId) {
+      this.persist();
+    }
+  }
+
+
+  persist() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        anonymousId: this.anonymousId,
+        userId: this.userId,
+        traits: this.traits
+      }));
+    } catch (error) {
+      this.logger.error('Failed to persist identity:', error);
+    }
+  }
+
+
+  /**
+   * Link a known user to this visitor
+   * @param {string} userId Application user ID
+   * @param {Object} traits User traits (merged with earlier ones for the same user)
+   * @returns {Object} { userId, previousId, traits }
+   */
+  identify(userId, traits = {}) {
+    const previousId = this.userId || this.anonymousId;
+
+    if (this.userId && this.userId !== String(userId)) {
+      // A different user on the same browser starts from a clean slate
+      this.traits = {};
+    }
+
+    this.userId = String(userId);
+    this.traits = { ...this.traits, ...traits };
+    this.persist();
+
+    this.logger.log('User identified:', this.userId);
+    return { userId: this.userId, previousId, traits: this.traits };
+  }
+
+
+  /**
+   * Record that `previousId` and `newId` refer to the same user
+   * @param {string} newId New user ID
+   * @param {string} previousId Previous ID, defaults to the current user or anonymous ID
+   * @returns {Object} { userId, previousId }
+   */
+  alias(newId, previousId) {
+    const fromId = previousId || this.userId || this.anonymousId;
+
+    this.userId = String(newId);
+    this.persist();
+
+    this.logger.log('User aliased:', fromId, '->', this.userId);
+    return { userId: this.userId, previousId: fromId };
+  }
+
+
+  /**
+   * Take over the anonymous ID of a visitor arriving from a linked domain
+   * @param {string} anonymousId Anonymous ID from the other domain
+   */
+  link(anonymousId) {
+    if (!anonymousId || anonymousId === this.anonymousId) return;
+
+    this.anonymousId = String(anonymousId);
+    this.persist();
+
+    this.logger.log('Anonymous ID linked from another domain:', this.anonymousId);
+  }
+
+
+  /**
+   * Forget the known user and start over with a new anonymous ID
+   */
+  reset() {
+    this.anonymousId = generateUUID();
+    this.userId = null;
+    this.traits = {};
+    this.persist();
+
+    this.logger.log('Identity reset, new anonymous ID:', this.anonymousId);
+  }
+
+
+  getAnonymousId() {
+    return this.anonymousId;
+  }
+
+
+  getUserId() {
+    return this.userId;
+  }
+
+
+  getTraits() {
+    return { ...this.traits };
+  }
+}
@@ -0,0 +1,228 @@
+import { matchesDomain, toDomainList } from '../utils/domain.js';
+
+export const LINK_PARAM = 'cc_link';
+
+/**
+ * Keyed 53-bit hash (cyrb53) used to sign link parameters. The key is the
+ * tracker token, which is public, so this catches tampered, truncated or
+ * foreign links rather than providing secrecy.
+ * @param {string} value Value to sign
+ * @param {string} key Signing key
+ * @returns {string} Signature
+ */
+export function signLink(value, key) {
+  const input = `${key}:${value}`;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (h2 >>> 0).toString(36) + (h1 >>> 0).toString(36);
+}
+
+function encode(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function decode(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Carries the session, visitor and UTM parameters across domains. Outbound
+ * links and forms to `linkerDomains` get a short-lived signed `cc_link`
+ * parameter, which the receiving page consumes on init and strips from
+ * the URL.
+ */
+export class Linker {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.getContext = null;
+    this.cleanups = [];
+  }
+
+  getDomains() {
+    return toDomainList(this.config.get('linkerDomains'));
+  }
+
+  /**
+   * Whether a URL points to another domain we link sessions with
+   * @param {URL} url Target URL
+   */
+  shouldDecorate(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    if (url.origin === window.location.origin) return false;
+
+    return this.getDomains().some((pattern) => matchesDomain(pattern, url.origin));
+  }
+
+  /**
+   * Build a signed link value
+   * @param {Object} context { sessionId, startedAt, anonymousId, utmParams }
+   * @returns {string}
+   */
+  createLink(context) {
+    const utm = {};
+    // Only the utm_* strings; the receiving site records its own touches
+    Object.entries(context.utmParams || {}).forEach(([key, value]) => {
+      if (value && typeof value === 'string') utm[key] = value;
+    });
+
+    const value = encode({
+      s: context.sessionId,
+      a: context.startedAt,
+      v: context.anonymousId,
+      u: utm,
+      t: Date.now()
+    });
+
+    return `${value}.${signLink(value, this.config.get('trackerToken'))}`;
+  }
+
+  /**
+   * Add cc_link to a URL when it targets a linked domain
+   * @param {string} href URL to decorate
+   * @returns {string} Decorated URL, or href unchanged
+   */
+  decorate(href) {
+    if (!this.getContext || typeof window === 'undefined') return href;
+
+    let url;
+    try {
+      url = new URL(href, window.location.href);
+    } catch (error) {
+      return href;
+    }
+
+    if (!this.shouldDecorate(url)) return href;
+
+    const context = this.getContext();
+    if (!context?.sessionId) return href;
+
+    url.searchParams.set(LINK_PARAM, this.createLink(context));
+    return url.toString();
+  }
+
+  /**
+   * Decorate links and forms as the visitor uses them, so every link
+   * carries a fresh timestamp
+   * @param {Function} getContext Returns { sessionId, startedAt, anonymousId, utmParams }
+   */
+  attach(getContext) {
+    this.detach();
+    this.getContext = getContext;
+
+    if (this.getDomains().length === 0 || typeof document === 'undefined') return;
+
+    const onNavigate = (event) => {
+      const link = event.target.closest?.('a[href], area[href]');
+      if (link) {
+        const decorated = this.decorate(link.href);
+        if (decorated !== link.href) link.href = decorated;
+      }
+    };
+
+    const onSubmit = (event) => {
+      const form = event.target;
+      if (!form || form.tagName !== 'FORM') return;
+
+      const action = form.getAttribute('action') || window.location.href;
+      const decorated = this.decorate(action);
+      if (decorated === action) return;
+
+      if ((form.method || 'get').toLowerCase() === 'get') {
+        // GET forms replace the action's query string with their fields
+        let input = form.querySelector(`input[name="${LINK_PARAM}"]`);
+        if (!input) {
+          input = document.createElement('input');
+          input.type = 'hidden';
+          input.name = LINK_PARAM;
+          form.appendChild(input);
+        }
+        input.value = new URL(decorated).searchParams.get(LINK_PARAM);
+      } else {
+        form.action = decorated;
+      }
+    };
+
+    // mousedown and keydown run before the browser reads the href
+    ['mousedown', 'keydown', 'touchstart'].forEach((type) => {
+      this.listen(type, onNavigate);
+    });
+    this.listen('submit', onSubmit);
+
+    this.logger.log('Cross-domain linker attached for:', this.getDomains());
+  }
+
+  listen(type, handler) {
+    document.addEventListener(type, handler, { capture: true, passive: true });
+    this.cleanups.push(() => document.removeEventListener(type, handler, { capture: true }));
+  }
+
+  detach() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+  }
+
+  /**
+   * Read cc_link from the current URL and strip it, valid or not
+   * @returns {Object|null} { sessionId, startedAt, anonymousId, utmParams }
+   */
+  consume() {
+    if (typeof window === 'undefined') return null;
+
+    const url = new URL(window.location.href);
+    const raw = url.searchParams.get(LINK_PARAM);
+    if (!raw) return null;
+
+    url.searchParams.delete(LINK_PARAM);
+    try {
+      window.history.replaceState(window.history.state, '', url.toString());
+    } catch (error) {
+      this.logger.warn('Could not strip cc_link from the URL:', error);
+    }
+
+    const [value, signature] = raw.split('.');
+    if (!value || signature !== signLink(value, this.config.get('trackerToken'))) {
+      this.logger.warn('Ignoring cc_link with an invalid signature');
+      return null;
+    }
+
+    let data;
+    try {
+      data = decode(value);
+    } catch (error) {
+      this.logger.warn('Ignoring malformed cc_link');
+      return null;
+    }
+
+    const age = Date.now() - data.t;
+    // Allow a little clock skew in either direction
+    if (!(age <= this.config.get('linkerTTL') && age > -60000) || !data.s) {
+      this.logger.warn('Ignoring expired cc_link');
+      return null;
+    }
+
+    this.logger.log('Consumed cc_link for session:', data.s);
+    return {
+      sessionId: data.s,
+      startedAt: data.a,
+      anonymousId: data.v,
+      utmParams: data.u || {}
+    };
+  }
+}
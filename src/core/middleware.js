@@ -0,0 +1,104 @@
+/**
+ * Ordered chain of functions run on every payload before it reaches the
+ * transport. A middleware receives (payload, context) and may:
+ * - return a payload (or a promise of one) to replace it,
+ * - return nothing to keep the (possibly mutated) payload,
+ * - return null or false to cancel the event.
+ */
+export class MiddlewarePipeline {
+  constructor(logger) {
+    this.logger = logger;
+    this.middlewares = [];
+  }
+
+  /**
+   * Append a middleware to the chain
+   * @param {Function} middleware (payload, context) => payload | null | void
+   * @returns {boolean} Whether the middleware was added
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      this.logger.error('Middleware must be a function, got:', typeof middleware);
+      return false;
+    }
+
+    this.middlewares.push(middleware);
+    return true;
+  }
+
+  /**
+   * Run a payload through the chain
+   * @param {Object} payload Event payload
+   * @param {Object} context { eventName } plus anything the caller adds
+   * @returns {Promise<Object|null>} Final payload, or null if cancelled
+   */
+  async run(payload, context = {}) {
+    let current = payload;
+
+    for (const middleware of this.middlewares) {
+      let result;
+
+      try {
+        result = await middleware(current, context);
+      } catch (error) {
+        // A broken middleware shouldn't lose the event
+        this.logger.error('Middleware threw, skipping it:', error);
+        continue;
+      }
+
+      if (result === null || result === false) {
+        this.logger.log('Event cancelled by middleware:', context.eventName);
+        return null;
+      }
+
+      if (result && typeof result === 'object') {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run a payload through the chain without yielding, for events sent as
+   * the page goes away. Middleware that returns a promise can't be waited
+   * for here and is skipped.
+   * @param {Object} payload Event payload
+   * @param {Object} context { eventName } plus anything the caller adds
+   * @returns {Object|null} Final payload, or null if cancelled
+   */
+  runSync(payload, context = {}) {
+    let current = payload;
+
+    for (const middleware of this.middlewares) {
+      let result;
+
+      try {
+        result = middleware(current, context);
+      } catch (error) {
+        this.logger.error('Middleware threw, skipping it:', error);
+        continue;
+      }
+
+      if (result && typeof result.then === 'function') {
+        this.logger.warn('Async middleware skipped on page exit');
+        continue;
+      }
+
+      if (result === null || result === false) {
+        this.logger.log('Event cancelled by middleware:', context.eventName);
+        return null;
+      }
+
+      if (result && typeof result === 'object') {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  size() {
+    return this.middlewares.length;
+  }
+}
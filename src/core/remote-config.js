@@ -0,0 +1,136 @@
+/**
+ * Cached copy of the /keys/config response (rules, domain, sampling).
+ * Entries are stored per tracker token with the response's ETag and
+ * max-age, and revalidated with If-None-Match.
+ */
+export class RemoteConfig {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.storageKey = 'cc_remote_config';
+  }
+
+  getUrl() {
+    const apiUrl = this.config.get('apiUrl');
+    const trackerToken = this.config.get('trackerToken');
+    return `${apiUrl.replace('/events/', '/keys/config')}?api_key=${trackerToken}`;
+  }
+
+  /**
+   * Cached entry for the current tracker token
+   * @returns {Object|null} { token, data, etag, fetchedAt, maxAge }
+   */
+  load() {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+      const entry = JSON.parse(localStorage.getItem(this.storageKey));
+      return entry && entry.token === this.config.get('trackerToken') ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  persist(entry) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entry));
+    } catch (error) {
+      this.logger.error('Failed to cache remote config:', error);
+    }
+  }
+
+  clear() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Nothing cached
+    }
+  }
+
+  /**
+   * Whether an entry is still within its max-age
+   * @param {Object} entry Cached entry
+   */
+  isFresh(entry, now = Date.now()) {
+    return !!entry && now - entry.fetchedAt < entry.maxAge;
+  }
+
+  /**
+   * Milliseconds until an entry goes stale
+   * @param {Object} entry Cached entry
+   */
+  getTimeToStale(entry, now = Date.now()) {
+    return Math.max(0, entry.fetchedAt + entry.maxAge - now);
+  }
+
+  /**
+   * Read max-age from a Cache-Control header
+   * @param {string|null} header Cache-Control value
+   * @returns {number|null} max-age in ms
+   */
+  parseMaxAge(header) {
+    const match = header && header.match(/max-age=(\d+)/);
+    return match ? Number(match[1]) * 1000 : null;
+  }
+
+  /**
+   * Fetch the config, revalidating the cached entry when there is one.
+   * Throws on network errors and non-2xx/304 responses.
+   * @param {Object|null} cached Entry to revalidate
+   * @returns {Promise<Object>} { entry, changed }
+   */
+  async fetch(cached = null) {
+    const url = this.getUrl();
+    this.logger.log('Fetching remote config from:', url);
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(cached?.etag && { 'If-None-Match': cached.etag })
+      }
+    });
+
+    const maxAge =
+      this.parseMaxAge(response.headers.get('Cache-Control')) ??
+      this.config.get('configMaxAge');
+
+    if (response.status === 304 && cached) {
+      const entry = { ...cached, fetchedAt: Date.now(), maxAge };
+      this.persist(entry);
+      this.logger.log('Remote config not modified');
+      return { entry, changed: false };
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch remote config: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const data = await response.json();
+    const entry = {
+      token: this.config.get('trackerToken'),
+      data,
+      etag: response.headers.get('ETag'),
+      fetchedAt: Date.now(),
+      maxAge
+    };
+
+    // Invalid keys are not cached, so the next load asks the server again
+    if (data.success) {
+      this.persist(entry);
+    } else {
+      this.clear();
+    }
+
+    return {
+      entry,
+      changed: !cached || JSON.stringify(cached.data) !== JSON.stringify(data)
+    };
+  }
+}
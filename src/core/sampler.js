@@ -0,0 +1,136 @@
+/**
+ * Map a string to [0, 1) with FNV-1a, so the same session ID always gets
+ * the same sampling decision
+ * @param {string} value Value to hash
+ * @returns {number}
+ */
+export function hashToUnit(value) {
+  let hash = 0x811c9dc5;
+  const input = String(value);
+
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) / 4294967296;
+}
+
+function clampRate(rate) {
+  const value = Number(rate);
+  return isNaN(value) ? 1 : Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Volume controls run as the first middleware:
+ * - session sampling, decided from the session ID so a sampled session is
+ *   tracked completely (and identically across tabs),
+ * - per-event sample rates keyed by event name (engagement, button_click, ...)
+ *   or payload type (page_view, click, conversion),
+ * - a token bucket capping events per minute. Conversions are never
+ *   rate limited.
+ * The kept share is stamped onto payload.sample_rate for re-weighting.
+ * Remote config `sampling` ({ session_rate, event_rates,
+ * max_events_per_minute }) overrides the local settings.
+ */
+export class Sampler {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.remote = {};
+    this.tokens = null;
+    this.lastRefill = 0;
+  }
+
+  /**
+   * Apply sampling settings from the remote config
+   * @param {Object|null} sampling { session_rate, event_rates, max_events_per_minute }
+   */
+  setRemote(sampling) {
+    this.remote = sampling || {};
+    this.tokens = null;
+  }
+
+  getSessionRate() {
+    return clampRate(this.remote.session_rate ?? this.config.get('sessionSampleRate') ?? 1);
+  }
+
+  /**
+   * Sample rate for one event
+   * @param {string} eventName Event name before type mapping
+   * @param {string} eventType Payload event type
+   */
+  getEventRate(eventName, eventType) {
+    const rates = this.remote.event_rates || this.config.get('eventSampleRates') || {};
+    return clampRate(rates[eventName] ?? rates[eventType] ?? 1);
+  }
+
+  getMaxEventsPerMinute() {
+    return this.remote.max_events_per_minute ?? this.config.get('maxEventsPerMinute') ?? null;
+  }
+
+  /**
+   * Whether a session falls inside the sampled share
+   * @param {string} sessionId Session ID
+   */
+  isSessionSampled(sessionId) {
+    const rate = this.getSessionRate();
+    if (rate >= 1) return true;
+
+    return hashToUnit(sessionId) < rate;
+  }
+
+  /**
+   * Take a token from the bucket, refilled continuously up to one minute's
+   * allowance
+   * @returns {boolean} false when the cap is reached
+   */
+  takeToken(now = Date.now()) {
+    const capacity = this.getMaxEventsPerMinute();
+    if (!capacity || capacity <= 0) return true;
+
+    if (this.tokens === null) {
+      this.tokens = capacity;
+      this.lastRefill = now;
+    }
+
+    this.tokens = Math.min(capacity, this.tokens + ((now - this.lastRefill) * capacity) / 60000);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) return false;
+
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Middleware applying all three controls
+   * @returns {Function} (payload, context) => payload | null
+   */
+  middleware() {
+    return (payload, context = {}) => {
+      const eventName = context.eventName || payload.event;
+
+      if (!this.isSessionSampled(payload.session_id)) {
+        return null;
+      }
+
+      const eventRate = this.getEventRate(eventName, payload.event);
+      if (eventRate < 1 && Math.random() >= eventRate) {
+        return null;
+      }
+
+      if (payload.event !== 'conversion' && !this.takeToken()) {
+        this.logger.warn('Event rate limit reached, event dropped:', eventName);
+        return null;
+      }
+
+      const rate = this.getSessionRate() * eventRate;
+      if (rate < 1) {
+        payload.sample_rate = (payload.sample_rate ?? 1) * rate;
+      }
+
+      return payload;
+    };
+  }
+}
@@ -1,42 +1,352 @@
 import { generateUUID } from '../utils/uuid.js';
 
 
+/**
+ * Visit-level session kept in first-party storage so it survives
+ * navigations. A session expires after `sessionTimeout` ms without activity
+ * or at local midnight, and is shared between tabs via BroadcastChannel.
+ */
 export class Session {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.storageKey = 'cc_session';
     this.sessionId = null;
+    this.startedAt = null;
+    this.lastActivity = null;
+    this.engagedSeconds = 0;
+    this.isNew = false;
+    this.isRunning = false;
+    this.expiryTimer = null;
+    this.channel = null;
+    this.startListeners = [];
+    this.endListeners = [];
   }
 
-  
+
+  /**
+   * Resume the stored session if it is still valid, otherwise begin a new one
+   * @returns {string} Session ID
+   */
   start() {
-    this.sessionId = generateUUID();
+    this.isRunning = true;
+    this.setupChannel();
+
+    const stored = this.load();
+
+    if (stored && !stored.endedAt && !this.isExpired(stored)) {
+      this.adopt(stored);
+      this.isNew = false;
+      this.touch();
+      this.logger.log('Session resumed:', this.sessionId);
+    } else {
+      if (stored && !stored.endedAt) {
+        this.expire(stored);
+      }
+      this.begin();
+    }
+
+    return this.sessionId;
+  }
+
+  /**
+   * Create a fresh session and announce it to other tabs
+   */
+  begin() {
+    const now = Date.now();
+    this.adopt({ id: generateUUID(), startedAt: now, lastActivity: now });
+    this.isNew = true;
+    this.persist();
+    this.broadcast('start');
+    this.logger.log('Session started:', this.sessionId);
+    this.notify(this.startListeners, this.getRecord());
+  }
+
+  /**
+   * Continue a session started on another domain (see Linker). Any session
+   * stored here is ended first; start() then resumes the joined one.
+   * @param {Object} link { sessionId, startedAt }
+   */
+  join(link) {
+    const stored = this.load();
+    if (stored && stored.id === link.sessionId && !stored.endedAt) return;
+
+    if (stored && !stored.endedAt) {
+      this.expire(stored);
+    }
+
+    const now = Date.now();
+    this.write({
+      id: link.sessionId,
+      startedAt: link.startedAt || now,
+      lastActivity: now
+    });
+    this.logger.log('Session joined from linked domain:', link.sessionId);
+  }
+
+  adopt(record) {
+    this.sessionId = record.id;
+    this.startedAt = record.startedAt;
+    this.lastActivity = record.lastActivity;
+    this.engagedSeconds = record.engagedSeconds || 0;
     this.config.set('sessionId', this.sessionId);
-    
-   
+
+
     if (typeof window !== 'undefined') {
       window.__CC_SESSION_ID = this.sessionId;
       window.__CC_TRACKER_TOKEN = this.config.get('trackerToken');
     }
-    
-    this.logger.log('Session started:', this.sessionId);
-    return this.sessionId;
+
+    this.scheduleExpiryCheck();
+  }
+
+  /**
+   * Record activity, rotating to a new session if the current one expired
+   */
+  touch() {
+    if (!this.isRunning) return;
+
+    const stored = this.load();
+    if (stored && stored.id === this.sessionId && stored.lastActivity > this.lastActivity) {
+      // Another tab was active more recently
+      this.lastActivity = stored.lastActivity;
+    }
+    this.mergeEngagedTime(stored);
+
+    if (!this.sessionId || this.isExpired(this.getRecord())) {
+      if (this.sessionId) {
+        this.expire(this.getRecord());
+      }
+      this.begin();
+      return;
+    }
+
+    this.lastActivity = Date.now();
+    this.persist();
+    this.scheduleExpiryCheck();
+  }
+
+  /**
+   * Whether a session record has timed out or crossed midnight
+   * @param {Object} record Session record
+   */
+  isExpired(record, now = Date.now()) {
+    const timeout = this.config.get('sessionTimeout') || 30 * 60 * 1000;
+
+    if (now - record.lastActivity >= timeout) return true;
+
+    return new Date(record.lastActivity).toDateString() !== new Date(now).toDateString();
+  }
+
+  /**
+   * End a session for real and notify listeners, once across all tabs
+   * @param {Object} record Session record
+   */
+  expire(record) {
+    const stored = this.load();
+    if (stored && stored.id === record.id && stored.endedAt) return;
+
+    const ended = { ...record, endedAt: Date.now() };
+    this.write(ended);
+
+    if (record.id === this.sessionId) {
+      this.clear();
+    }
+
+    this.broadcast('end', ended);
+    this.logger.log('Session expired:', record.id);
+    this.notify(this.endListeners, ended);
+  }
+
+  scheduleExpiryCheck() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+    }
+
+    if (!this.isRunning || !this.sessionId) return;
+
+    const timeout = this.config.get('sessionTimeout') || 30 * 60 * 1000;
+    const midnight = new Date(this.lastActivity);
+    midnight.setHours(24, 0, 0, 0);
+
+    const expiresAt = Math.min(this.lastActivity + timeout, midnight.getTime());
+
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      this.checkExpiry();
+    }, Math.max(0, expiresAt - Date.now()) + 1000);
+  }
+
+  checkExpiry() {
+    if (!this.sessionId) return;
+
+    const stored = this.load();
+    if (stored && stored.id === this.sessionId) {
+      if (stored.endedAt) {
+        this.clear();
+        return;
+      }
+      this.lastActivity = Math.max(this.lastActivity, stored.lastActivity);
+    }
+
+    if (this.isExpired(this.getRecord())) {
+      this.expire(this.getRecord());
+    } else {
+      this.scheduleExpiryCheck();
+    }
   }
 
-  
+  setupChannel() {
+    if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+    try {
+      this.channel = new BroadcastChannel('carboncut_session');
+      this.channel.onmessage = (event) => this.handleBroadcast(event.data);
+    } catch (error) {
+      this.logger.warn('BroadcastChannel unavailable, sessions not shared live:', error);
+    }
+  }
+
+  /**
+   * Follow session changes made in other tabs
+   * @param {Object} message { type, record }
+   */
+  handleBroadcast(message) {
+    if (!message || !message.record || !this.isRunning) return;
+
+    const { type, record } = message;
+
+    if (type === 'start' && record.id !== this.sessionId) {
+      this.logger.log('Session adopted from another tab:', record.id);
+      this.adopt(record);
+      this.isNew = false;
+    } else if (type === 'end' && record.id === this.sessionId) {
+      this.clear();
+    }
+  }
+
+  broadcast(type, record = this.getRecord()) {
+    try {
+      this.channel?.postMessage({ type, record });
+    } catch (error) {
+      this.logger.warn('Failed to broadcast session change:', error);
+    }
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  persist() {
+    if (this.sessionId) {
+      this.write(this.getRecord());
+    }
+  }
+
+  write(record) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(record));
+    } catch (error) {
+      this.logger.error('Failed to persist session:', error);
+    }
+  }
+
+  getRecord() {
+    return {
+      id: this.sessionId,
+      startedAt: this.startedAt,
+      lastActivity: this.lastActivity,
+      engagedSeconds: this.engagedSeconds
+    };
+  }
+
+  /**
+   * Add engaged time reported by the EngagementTracker
+   * @param {number} seconds Engaged seconds
+   */
+  addEngagedTime(seconds) {
+    if (!this.sessionId) return;
+
+    this.mergeEngagedTime(this.load());
+    this.engagedSeconds += seconds;
+    this.persist();
+  }
+
+  /**
+   * Keep engaged time added by other tabs
+   * @param {Object|null} stored Stored session record
+   */
+  mergeEngagedTime(stored) {
+    if (stored && stored.id === this.sessionId) {
+      this.engagedSeconds = Math.max(this.engagedSeconds, stored.engagedSeconds || 0);
+    }
+  }
+
+  /**
+   * Session length in seconds, from start to last activity
+   * @param {Object} record Session record
+   */
+  getDuration(record = this.getRecord()) {
+    return Math.round((record.lastActivity - record.startedAt) / 1000);
+  }
+
+  onStart(listener) {
+    this.startListeners.push(listener);
+  }
+
+  onEnd(listener) {
+    this.endListeners.push(listener);
+  }
+
+  notify(listeners, record) {
+    listeners.forEach((listener) => {
+      try {
+        listener(record);
+      } catch (error) {
+        this.logger.error('Session listener failed:', error);
+      }
+    });
+  }
+
+
   getId() {
     return this.sessionId;
   }
 
-  
-  end() {
-    this.logger.log('Session ended:', this.sessionId);
+  clear() {
     this.sessionId = null;
     this.config.set('sessionId', null);
+
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
   }
 
-  
+
+  /**
+   * Stop tracking this session in the current page. The stored session is
+   * left intact so the next page load can resume it.
+   */
+  end() {
+    this.logger.log('Session ended:', this.sessionId);
+    this.persist();
+    this.clear();
+    this.isRunning = false;
+    this.channel?.close();
+    this.channel = null;
+  }
+
+
   isActive() {
     return this.sessionId !== null;
   }
-}
\ No newline at end of file
+}
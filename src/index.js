@@ -5,10 +5,44 @@ import { Logger } from "./utils/logger.js";
 import { ApiTransport } from "./transport/api.js";
 import { ApiWorkerTransport } from "./transport/api-worker.js";
 import { EventTracker } from "./tracking/event.js";
-import { PingTracker } from "./tracking/ping.js";
+import { EngagementTracker } from "./tracking/engagement.js";
 import { PageViewTracker } from "./tracking/pageview.js";
+import { ErrorTracker } from "./tracking/errors.js";
 import { BrowserListeners } from "./listeners/browser.js";
+import { ConsentManager } from "./core/consent.js";
+import { Identity } from "./core/identity.js";
+import { MiddlewarePipeline } from "./core/middleware.js";
+import { RemoteConfig } from "./core/remote-config.js";
+import { scrubPii } from "./middleware/pii.js";
+import { sample } from "./middleware/sampling.js";
+import { EventEmitter } from "./utils/emitter.js";
 import { getBrowserMetadata, isBrowser } from "./utils/helpers.js";
+import { isDomainAllowed, toDomainList } from "./utils/domain.js";
+import { storeUTMParams } from "./utils/utm.js";
+import { Linker } from "./core/linker.js";
+import { Sampler } from "./core/sampler.js";
+
+// Methods the async snippet may queue through CarbonCut.push([method, ...args])
+const SNIPPET_METHODS = [
+  "init",
+  "trackEvent",
+  "trackPageView",
+  "captureException",
+  "ping",
+  "identify",
+  "alias",
+  "reset",
+  "setConsent",
+  "use",
+  "on",
+  "once",
+  "off",
+  "enableGeolocation",
+  "disableGeolocation",
+  "requestLocation",
+  "enableDebug",
+  "disableDebug",
+];
 
 class CarbonCutSDK {
   constructor() {
@@ -18,21 +52,39 @@ class CarbonCutSDK {
     this.session = null;
     this.transport = null;
     this.eventTracker = null;
-    this.pingTracker = null;
+    this.engagementTracker = null;
     this.pageViewTracker = null;
+    this.errorTracker = null;
     this.browserListeners = null;
     this.autoInitAttempted = false;
     this.conversionRules = [];
-  }
+    this.locationPrompted = false;
 
-  /**
-   * Normalize domain by removing trailing slashes and converting to lowercase
-   * @param {string} domain Domain to normalize
-   * @returns {string} Normalized domain
-   */
-  normalizeDomain(domain) {
-    if (!domain) return '';
-    return domain.toLowerCase().replace(/\/+$/, ''); // Remove trailing slashes
+    // Calls made before init() resolves, replayed in order once it does
+    this.pendingCommands = [];
+    this.maxPendingCommands = 100;
+    this.initFailed = false;
+
+    // Created up front so consent can be set before init()
+    this.consent = new ConsentManager(this.config, this.logger);
+    this.consent.onChange((state) => this.handleConsentChange(state));
+    this.identity = new Identity(this.config, this.logger);
+    this.pipeline = new MiddlewarePipeline(this.logger);
+    this.emitter = new EventEmitter(this.logger);
+
+    // Built-in middleware factories, e.g. CarbonCut.use(CarbonCut.middleware.scrubPii())
+    this.middleware = { scrubPii, sample };
+
+    this.linker = new Linker(this.config, this.logger);
+
+    // Session/event sampling and rate limiting run before any user middleware
+    this.sampler = new Sampler(this.config, this.logger);
+    this.pipeline.use(this.sampler.middleware());
+
+    // /keys/config cache; its sampling settings can change while the page is open
+    this.remoteConfig = new RemoteConfig(this.config, this.logger);
+    this.configRevalidation = null;
+    this.configTimer = null;
   }
 
   getScriptConfig() {
@@ -56,19 +108,43 @@ class CarbonCutSDK {
           apiUrl += "/";
         }
 
+        const batchSize = parseInt(script.getAttribute("data-batch-size"), 10);
+        const sessionSampleRate = parseFloat(
+          script.getAttribute("data-session-sample-rate")
+        );
+        const maxEventsPerMinute = parseInt(
+          script.getAttribute("data-max-events-per-minute"),
+          10
+        );
+        const batchInterval = parseInt(
+          script.getAttribute("data-batch-interval"),
+          10
+        );
+
         scriptConfig = {
           trackerToken:
             script.getAttribute("data-token") ||
             script.getAttribute("data-tracker-token"),
           apiUrl: apiUrl,
           debug: script.getAttribute("data-debug") === "true",
-          domain: script.getAttribute("data-domain") || window.location.origin,
+          // Narrows the token's allowed domains: the page must match both, e.g. "shop.example.com,*.example.de"
+          domain: script.getAttribute("data-domain"),
           useWorker: script.getAttribute("data-use-worker") !== "false",
           //   Geolocation options from script tag
           enableGeolocation: script.getAttribute("data-enable-geolocation") === "true",
           requestLocation: script.getAttribute("data-request-location") === "true",
           //   Read new prompt option from script tag
           promptForLocationOnLoad: script.getAttribute("data-prompt-for-location-on-load") !== "false",
+          requireConsent: script.getAttribute("data-require-consent") === "true",
+          consentMode: script.getAttribute("data-consent-mode") || "buffer",
+          staleConfigFallback: script.getAttribute("data-stale-config-fallback") === "true",
+          linkerDomains: script.getAttribute("data-linker-domains"),
+          // Sampling options, only when set so Config defaults still apply
+          ...(sessionSampleRate >= 0 && { sessionSampleRate }),
+          ...(maxEventsPerMinute > 0 && { maxEventsPerMinute }),
+          // Batching options, only when set so Config defaults still apply
+          ...(batchSize > 0 && { batchSize }),
+          ...(batchInterval > 0 && { batchInterval }),
         };
         break;
       }
@@ -77,80 +153,167 @@ class CarbonCutSDK {
     return scriptConfig;
   }
 
-  async fetchConversionRules() {
-    const apiUrl = this.config.get("apiUrl");
-    const trackerToken = this.config.get("trackerToken");
-
-    if (!trackerToken) {
+  /**
+   * Load the remote config: a fresh cached copy is used right away and
+   * revalidated in the background, otherwise init waits for the network
+   * @returns {Promise<Object>} { success } or { success: false, reason }
+   */
+  async loadRemoteConfig() {
+    if (!this.config.get("trackerToken")) {
       this.logger.error(
         "Tracker token is missing. Cannot fetch conversion rules."
       );
-      return false;
+      return { success: false, reason: "invalid_api_key" };
     }
 
-    try {
-      const configUrl = `${apiUrl.replace(
-        "/events/",
-        "/keys/config"
-      )}?api_key=${trackerToken}`;
-
-      this.logger.log("Fetching conversion rules from:", configUrl);
-
-      const response = await fetch(configUrl, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
+    const cached = this.remoteConfig.load();
 
-      if (!response.ok) {
-        throw new Error(
-          `Failed to fetch conversion rules: ${response.status} ${response.statusText}`
-        );
+    if (this.remoteConfig.isFresh(cached)) {
+      this.logger.log("Using cached remote config");
+      const result = this.applyRemoteConfig(cached.data);
+      if (result.success) {
+        this.revalidateConfig();
       }
+      return result;
+    }
 
-      const data = await response.json();
+    try {
+      const { entry } = await this.remoteConfig.fetch(cached);
+      const result = this.applyRemoteConfig(entry.data);
+      if (result.success) {
+        this.scheduleConfigRevalidation(entry);
+      }
+      return result;
+    } catch (error) {
+      this.logger.error("Error fetching conversion rules:", error);
 
-      if (!data.success) {
-        this.logger.error("Invalid API key:", trackerToken);
-        return false;
+      if (cached && this.config.get("staleConfigFallback")) {
+        this.logger.warn("Remote config unreachable, using expired cached copy");
+        const result = this.applyRemoteConfig(cached.data);
+        if (result.success) {
+          this.scheduleConfigRevalidation({ ...cached, fetchedAt: Date.now() });
+        }
+        return result;
       }
 
-      // Validate domain from API response
-      const currentDomain = this.normalizeDomain(window.location.origin);
-      const configuredDomain = this.normalizeDomain(data.domain);
+      return { success: false, reason: "config_fetch_failed" };
+    }
+  }
 
-      this.logger.log("🔍 Domain validation:");
-      this.logger.log("   - Current domain:", currentDomain);
-      this.logger.log("   - Configured domain:", configuredDomain);
+  /**
+   * Validate a /keys/config response against this page and apply its
+   * rules and sampling
+   * @param {Object} data Response body
+   * @returns {Object} { success } or { success: false, reason }
+   */
+  applyRemoteConfig(data) {
+    if (!data.success) {
+      this.logger.error("Invalid API key:", this.config.get("trackerToken"));
+      return { success: false, reason: "invalid_api_key" };
+    }
 
-      // Allow wildcard (*) to match any domain
-      if (configuredDomain && configuredDomain !== '*' && configuredDomain !== currentDomain) {
-        this.logger.error(
-          `❌ Invalid domain. Configured domain (${configuredDomain}) does not match the current domain (${currentDomain}).`
-        );
-        return false;
-      }
+    // Validate the page origin against the domains allowed for this token
+    // (a string, comma-separated list or array of patterns such as
+    // "https://*.example.com") and against the local data-domain setting
+    const currentDomain = window.location.origin;
+    const allowedDomains = toDomainList(data.allowed_domains || data.domain);
+    const localDomains = toDomainList(this.config.get("domain"));
+
+    this.logger.log("🔍 Domain validation:");
+    this.logger.log("   - Current domain:", currentDomain);
+    this.logger.log("   - Allowed domains:", allowedDomains);
+    if (localDomains.length > 0) {
+      this.logger.log("   - data-domain:", localDomains);
+    }
+
+    if (!isDomainAllowed(allowedDomains, currentDomain)) {
+      this.logger.error(
+        `❌ Invalid domain. Allowed domains (${allowedDomains.join(", ")}) do not match the current domain (${currentDomain}).`
+      );
+      return { success: false, reason: "domain_mismatch" };
+    }
+
+    if (!isDomainAllowed(localDomains, currentDomain)) {
+      this.logger.error(
+        `❌ Invalid domain. data-domain (${localDomains.join(", ")}) does not match the current domain (${currentDomain}).`
+      );
+      return { success: false, reason: "domain_mismatch" };
+    }
+
+    this.logger.log("Domain validation passed");
+
+    const rules = data.conversion_rules || [];
+    const rulesChanged =
+      JSON.stringify(rules) !== JSON.stringify(this.conversionRules);
+
+    this.conversionRules = rules;
+    this.config.set("conversionRules", this.conversionRules);
+    this.sampler.setRemote(data.sampling);
+    this.logger.log("Fetched conversion rules:", this.conversionRules);
 
-      if (configuredDomain === '*') {
-        this.logger.log("Wildcard domain (*) - allowing all domains");
+    // Hot reload: swap the listeners of a running tracker. URL rules are
+    // evaluated again from the next page view.
+    if (rulesChanged && this.state.get("isInitialized")) {
+      if (rules.length > 0) {
+        this.eventTracker.applyConversionRules();
       } else {
-        this.logger.log("Domain validation passed");
+        this.eventTracker.conversions.teardown();
       }
+    }
 
-      this.conversionRules = data.conversion_rules || [];
-      this.config.set("conversionRules", this.conversionRules);
-      this.logger.log("Fetched conversion rules:", this.conversionRules);
+    return { success: true };
+  }
 
-      if (this.eventTracker && this.conversionRules.length > 0) {
-        this.eventTracker.applyConversionRules();
+  /**
+   * Revalidate the cached config in the background and apply any change.
+   * A revoked token or a domain no longer allowed stops tracking: the SDK
+   * is destroyed and the cached config cleared.
+   */
+  async revalidateConfig() {
+    if (this.configRevalidation) return;
+
+    this.configRevalidation = (async () => {
+      try {
+        const { entry, changed } = await this.remoteConfig.fetch(
+          this.remoteConfig.load()
+        );
+
+        if (changed) {
+          const result = this.applyRemoteConfig(entry.data);
+          if (!result.success) {
+            // Token revoked or domain removed: stop sending events now, and
+            // the next page load fails init
+            this.logger.error("Remote config no longer valid, tracking stopped:", result.reason);
+            this.remoteConfig.clear();
+            this.destroy();
+            return;
+          }
+          this.logger.log("Remote config updated");
+          this.emitter.emit("config_updated", {
+            conversionRules: this.conversionRules,
+            sampling: entry.data.sampling || null,
+          });
+        }
+
+        this.scheduleConfigRevalidation(entry);
+      } catch (error) {
+        this.logger.warn("Remote config revalidation failed:", error);
+      } finally {
+        this.configRevalidation = null;
       }
+    })();
+  }
 
-      return true;
-    } catch (error) {
-      this.logger.error("Error fetching conversion rules:", error);
-      return false;
-    }
+  /**
+   * Revalidate again once an entry goes stale, for long-lived pages
+   * @param {Object} entry Cached entry
+   */
+  scheduleConfigRevalidation(entry) {
+    clearTimeout(this.configTimer);
+    this.configTimer = setTimeout(
+      () => this.revalidateConfig(),
+      this.remoteConfig.getTimeToStale(entry)
+    );
   }
 
   autoInit() {
@@ -169,6 +332,7 @@ class CarbonCutSDK {
         "CarbonCut: No tracker token found. Add data-token attribute to script tag."
       );
       this.isInitializing = false;
+      this.failInit("invalid_config");
       return;
     }
 
@@ -176,12 +340,85 @@ class CarbonCutSDK {
     this.isInitializing = false;
   }
 
+  /**
+   * Report a failed init() to listeners
+   * @param {string} reason Machine-readable reason
+   * @returns {boolean} Always false, for init() to return
+   */
+  failInit(reason) {
+    this.initFailed = true;
+
+    if (this.pendingCommands.length > 0) {
+      this.logger.warn(
+        `Discarding ${this.pendingCommands.length} calls queued before init`
+      );
+      this.pendingCommands = [];
+    }
+
+    this.emitter.emit("init_failed", { reason });
+    return false;
+  }
+
+  /**
+   * Buffer a call made before init() has finished
+   * @param {string} method SDK method name
+   * @param {Array} args Call arguments
+   * @returns {boolean} Whether the call was taken over (queued or discarded)
+   */
+  deferUntilReady(method, args) {
+    if (this.state.get("isInitialized")) return false;
+
+    if (this.initFailed) {
+      this.logger.error("SDK not initialized. Call init() first");
+      return true;
+    }
+
+    if (this.pendingCommands.length >= this.maxPendingCommands) {
+      this.logger.warn(`Pre-init queue is full, dropping ${method}()`);
+      return true;
+    }
+
+    this.pendingCommands.push([method, args]);
+    this.logger.log(`SDK not ready yet, queued ${method}()`);
+    return true;
+  }
+
+  replayPendingCommands() {
+    const commands = this.pendingCommands;
+    this.pendingCommands = [];
+
+    if (commands.length > 0) {
+      this.logger.log(`Replaying ${commands.length} calls queued before init`);
+    }
+
+    commands.forEach(([method, args]) => this[method](...args));
+  }
+
+  /**
+   * Run snippet-style commands, e.g. CarbonCut.push(["trackEvent", "signup"])
+   * @param {...Array} commands [method, ...args] tuples
+   */
+  push(...commands) {
+    commands.forEach((command) => {
+      const [method, ...args] = Array.isArray(command) ? command : [];
+
+      if (!SNIPPET_METHODS.includes(method)) {
+        this.logger.error("Unknown CarbonCut command:", command);
+        return;
+      }
+
+      this[method](...args);
+    });
+  }
+
   async init(options = {}) {
+    this.initFailed = false;
+
     if (!isBrowser()) {
       this.logger.error(
         "CarbonCut SDK can only be initialized in a browser environment"
       );
-      return false;
+      return this.failInit("not_browser");
     }
 
     if (this.state.get("isInitialized")) {
@@ -190,7 +427,7 @@ class CarbonCutSDK {
     }
 
     if (!this.config.init(options)) {
-      return false;
+      return this.failInit("invalid_config");
     }
 
     this.logger.setDebug(this.config.get("debug"));
@@ -200,14 +437,23 @@ class CarbonCutSDK {
       navigator.doNotTrack === "1"
     ) {
       this.logger.warn("Do Not Track is enabled, tracking disabled");
-      return false;
+      return this.failInit("do_not_track");
     }
 
+    this.consent.listenForSignals();
+
     // Validate API key and domain
-    const isValidApiKey = await this.fetchConversionRules();
-    if (!isValidApiKey) {
+    const validation = await this.loadRemoteConfig();
+    if (!validation.success) {
       this.logger.error("Initialization aborted due to invalid API key or domain.");
-      return false;
+      return this.failInit(validation.reason);
+    }
+
+    // Session, visitor and UTM parameters handed over from a linked domain
+    const link = this.linker.consume();
+    if (link) {
+      this.identity.link(link.anonymousId);
+      storeUTMParams(link.utmParams);
     }
 
     this.session = new Session(this.config, this.logger);
@@ -215,23 +461,40 @@ class CarbonCutSDK {
     const useWorker = this.config.get("useWorker") !== false;
 
     if (useWorker && typeof Worker !== "undefined") {
-      this.transport = new ApiWorkerTransport(this.config, this.logger);
+      this.transport = new ApiWorkerTransport(
+        this.config,
+        this.logger,
+        this.emitter
+      );
       this.logger.log("Using Web Worker for v2 event processing");
     } else {
-      this.transport = new ApiTransport(this.config, this.logger);
+      this.transport = new ApiTransport(this.config, this.logger, this.emitter);
       this.logger.log("Using main thread for v2 event processing");
     }
 
+    // Re-initializing: drop listeners and observers left by the previous trackers
+    this.eventTracker?.conversions.teardown();
+    this.eventTracker?.webVitals.disconnect();
+    this.errorTracker?.stop();
+
     this.eventTracker = new EventTracker(
       this.config,
       this.session,
       this.transport,
-      this.logger
+      this.logger,
+      this.consent,
+      this.identity,
+      this.pipeline,
+      this.emitter
     );
-    this.pingTracker = new PingTracker(
+    if (this.conversionRules.length > 0) {
+      this.eventTracker.applyConversionRules();
+    }
+    this.engagementTracker = new EngagementTracker(
       this.config,
       this.state,
       this.eventTracker,
+      this.session,
       this.logger
     );
     this.pageViewTracker = new PageViewTracker(
@@ -240,19 +503,57 @@ class CarbonCutSDK {
       this.eventTracker,
       this.logger
     );
+    this.errorTracker = new ErrorTracker(
+      this.config,
+      this.eventTracker,
+      this.session,
+      this.logger
+    );
     this.browserListeners = new BrowserListeners(
       this.config,
       this.state,
       this.session,
       this.eventTracker,
-      this.pingTracker,
+      this.engagementTracker,
       this.pageViewTracker,
       this.logger
     );
 
+    this.session.onStart((record) => {
+      this.eventTracker.send("session_start", getBrowserMetadata());
+      this.emitter.emit("session_start", { sessionId: record.id });
+    });
+    this.session.onEnd((record) => {
+      this.emitter.emit("session_end", {
+        sessionId: record.id,
+        durationSeconds: this.session.getDuration(record),
+      });
+      this.eventTracker.send("session_end", {
+        session_id: record.id,
+        total_time_spent_seconds: this.session.getDuration(record),
+        engaged_time_seconds: Math.round(record.engagedSeconds || 0),
+        page_url: window.location.href,
+      });
+    });
+
+    if (link) {
+      this.session.join(link);
+    }
     this.session.start();
-    this.eventTracker.send("session_start", getBrowserMetadata());
-    this.pingTracker.start();
+    this.linker.attach(() => ({
+      sessionId: this.session.getId(),
+      startedAt: this.session.startedAt,
+      anonymousId: this.identity.getAnonymousId(),
+      utmParams: this.eventTracker.utmParams,
+    }));
+    if (!this.session.isNew) {
+      // Resumed session: this page load is just another page view
+      this.pageViewTracker.track();
+    }
+    this.engagementTracker.start();
+    if (this.config.get("trackErrors")) {
+      this.errorTracker.start();
+    }
     this.browserListeners.setup();
     this.state.set("isInitialized", true);
 
@@ -263,55 +564,223 @@ class CarbonCutSDK {
       apiVersion: "v2",
     });
 
+    this.readyInfo = {
+      sessionId: this.session.getId(),
+      anonymousId: this.identity.getAnonymousId(),
+    };
+    this.emitter.emit("ready", this.readyInfo);
+    this.replayPendingCommands();
+
     //   UPDATED: Automatically prompt for location on load if enabled
     if (this.config.get("promptForLocationOnLoad")) {
-      this.logger.log("📍 SDK: `promptForLocationOnLoad` is true, requesting location...");
-      
-      // Set enableGeolocation to true so data is included in events
-      this.config.set("enableGeolocation", true);
-      
-      // Request location asynchronously (don't block initialization)
-      setTimeout(async () => {
-        const location = await this.eventTracker.requestUserLocation();
-        
-        if (location) {
-          this.logger.log("  SDK: Initial geolocation obtained on load:", {
-            latitude: location.latitude.toFixed(6),
-            longitude: location.longitude.toFixed(6),
-            accuracy: `${Math.round(location.accuracy)}m`
-          });
-        }
-      }, 500); // Small delay to let init complete
+      if (this.consent.hasConsent("geolocation")) {
+        this.promptForLocation();
+      } else {
+        this.logger.log("📍 SDK: Waiting for geolocation consent before prompting");
+      }
     }
 
     return true;
   }
 
-  trackEvent(eventName, data = {}) {
-    if (!this.state.get("isInitialized")) {
-      this.logger.error("SDK not initialized. Call init() first");
-      return;
+  /**
+   * Prompt for the visitor's location once per page load
+   */
+  promptForLocation() {
+    if (this.locationPrompted) return;
+    this.locationPrompted = true;
+
+    this.logger.log("📍 SDK: `promptForLocationOnLoad` is true, requesting location...");
+    
+    // Set enableGeolocation to true so data is included in events
+    this.config.set("enableGeolocation", true);
+    
+    // Request location asynchronously (don't block initialization)
+    setTimeout(async () => {
+      const location = await this.eventTracker.requestUserLocation();
+      
+      if (location) {
+        this.logger.log("  SDK: Initial geolocation obtained on load:", {
+          latitude: location.latitude.toFixed(6),
+          longitude: location.longitude.toFixed(6),
+          accuracy: `${Math.round(location.accuracy)}m`
+        });
+      }
+    }, 500); // Small delay to let init complete
+  }
+
+  /**
+   * Update consent for one or more categories
+   * @param {Object} consent e.g. { analytics: true, geolocation: false, performance: true }
+   * @returns {Object} Resolved consent state
+   */
+  setConsent(consent) {
+    return this.consent.setConsent(consent, "api");
+  }
+
+  getConsent() {
+    return this.consent.getState();
+  }
+
+  handleConsentChange(state) {
+    this.eventTracker?.handleConsentChange(state);
+
+    if (!this.state.get("isInitialized")) return;
+
+    if (state.geolocation && this.config.get("promptForLocationOnLoad")) {
+      this.promptForLocation();
     }
 
+    if (!state.geolocation) {
+      this.eventTracker.clearLocationCache();
+    }
+  }
+
+  trackEvent(eventName, data = {}) {
+    if (this.deferUntilReady("trackEvent", [eventName, data])) return;
+
     this.eventTracker.trackCustomEvent(eventName, data);
   }
 
   trackPageView(pagePath) {
-    if (!this.state.get("isInitialized")) {
-      this.logger.error("SDK not initialized. Call init() first");
+    if (this.deferUntilReady("trackPageView", [pagePath])) return;
+
+    this.pageViewTracker.track(pagePath);
+  }
+
+  /**
+   * Send a caught error as an error event
+   * @param {*} error Error or other thrown value
+   * @param {Object} context Extra data sent with the error
+   */
+  captureException(error, context = {}) {
+    if (this.deferUntilReady("captureException", [error, context])) return;
+
+    this.errorTracker.captureException(error, context);
+  }
+
+  /**
+   * Subscribe to an SDK event: ready, init_failed, event_queued, event_sent,
+   * event_failed, conversion, session_start, session_end, location_obtained,
+   * config_updated.
+   * A "ready" handler added after initialization is called right away.
+   * @param {string} name Event name
+   * @param {Function} handler Called with the event's data
+   * @returns {CarbonCutSDK} The SDK, for chaining
+   */
+  on(name, handler) {
+    if (!this.callIfReady(name, handler)) {
+      this.emitter.on(name, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Subscribe to the next occurrence of an SDK event only
+   * @param {string} name Event name
+   * @param {Function} handler Called with the event's data
+   * @returns {CarbonCutSDK} The SDK, for chaining
+   */
+  once(name, handler) {
+    if (!this.callIfReady(name, handler)) {
+      this.emitter.once(name, handler);
+    }
+    return this;
+  }
+
+  /**
+   * Unsubscribe from an SDK event
+   * @param {string} name Event name
+   * @param {Function} [handler] Handler to remove, or all handlers when omitted
+   * @returns {CarbonCutSDK} The SDK, for chaining
+   */
+  off(name, handler) {
+    this.emitter.off(name, handler);
+    return this;
+  }
+
+  callIfReady(name, handler) {
+    if (name !== "ready" || !this.state.get("isInitialized")) return false;
+
+    if (typeof handler === "function") {
+      setTimeout(() => handler(this.readyInfo), 0);
+    }
+    return true;
+  }
+
+  /**
+   * Add a middleware that can change, enrich or cancel payloads before
+   * they are sent. Middlewares run in the order they were added.
+   * @param {Function} middleware (payload, context) => payload | null | void
+   * @returns {CarbonCutSDK} The SDK, for chaining
+   */
+  use(middleware) {
+    this.pipeline.use(middleware);
+    return this;
+  }
+
+  /**
+   * Link the current visitor to a known user
+   * @param {string} userId Application user ID
+   * @param {Object} traits User traits (email, plan, ...)
+   */
+  identify(userId, traits = {}) {
+    if (userId === undefined || userId === null || userId === "") {
+      this.logger.error("identify() requires a user ID");
       return;
     }
 
-    this.pageViewTracker.track(pagePath);
+    if (this.deferUntilReady("identify", [userId, traits])) return;
+
+    const { previousId } = this.identity.identify(userId, traits);
+
+    this.eventTracker.send("custom_event", {
+      event_name: "identify",
+      previous_id: previousId,
+      traits: this.identity.getTraits(),
+    });
   }
 
-  ping() {
-    if (!this.state.get("isInitialized")) {
-      this.logger.error("SDK not initialized. Call init() first");
+  /**
+   * Merge a previous identity into a new user ID
+   * @param {string} newId New user ID
+   * @param {string} [previousId] Defaults to the current user or anonymous ID
+   */
+  alias(newId, previousId) {
+    if (newId === undefined || newId === null || newId === "") {
+      this.logger.error("alias() requires a new user ID");
       return;
     }
 
-    this.pingTracker.trigger();
+    if (this.deferUntilReady("alias", [newId, previousId])) return;
+
+    const result = this.identity.alias(newId, previousId);
+
+    this.eventTracker.send("custom_event", {
+      event_name: "alias",
+      previous_id: result.previousId,
+    });
+  }
+
+  /**
+   * Forget the current user (e.g. on logout) and start a new session
+   */
+  reset() {
+    if (this.deferUntilReady("reset", [])) return;
+
+    // End the old session before the identity changes so its session_end
+    // still carries the previous IDs
+    if (this.session.isActive()) {
+      this.session.expire(this.session.getRecord());
+    }
+    this.identity.reset();
+    this.session.begin();
+  }
+
+  ping() {
+    if (this.deferUntilReady("ping", [])) return;
+
+    this.engagementTracker.trigger();
   }
 
   /**
@@ -408,14 +877,53 @@ class CarbonCutSDK {
       timeSpent: this.state.get("timeSpent"),
       isInitialized: this.state.get("isInitialized"),
       queueSize: this.transport?.getQueueSize() || 0,
+      trackingBytes: this.eventTracker?.getBytesTracked() || null,
       apiVersion: "v2",
       utmParams: this.eventTracker?.utmParams || null,
       conversionRules: this.conversionRules,
       //   NEW: Geolocation status
       geolocationEnabled: this.config.get("enableGeolocation"),
+      consent: this.consent.getState(),
+      anonymousId: this.identity.getAnonymousId(),
+      userId: this.identity.getUserId(),
     };
   }
 
+  /**
+   * Estimated CO2e for everything tracked in this page's session
+   * @returns {Object|null} Emissions summary
+   */
+  getEmissions() {
+    return this.eventTracker?.emissions.getSummary() || null;
+  }
+
+  /**
+   * Bytes loaded by this page so far, by origin (first or third party) and
+   * by known vendor, with cache hits and estimated CO2e
+   * @returns {Object|null} Page weight report
+   */
+  getPageWeightReport() {
+    return this.eventTracker?.getPageWeightReport() || null;
+  }
+
+  /**
+   * Add the cross-domain cc_link parameter to a URL on a linked domain, for
+   * navigations made from script (window.location = ...)
+   * @param {string} url Target URL
+   * @returns {string} Decorated URL, or the URL unchanged
+   */
+  decorateUrl(url) {
+    return this.linker.decorate(url);
+  }
+
+  /**
+   * Events dropped after exhausting retries or being rejected by the API
+   * @returns {Array} Dead-letter entries ({ payload, reason, droppedAt })
+   */
+  getDeadLetterEvents() {
+    return this.transport?.getDeadLetters() || [];
+  }
+
   enableDebug() {
     this.logger.setDebug(true);
     this.config.set("debug", true);
@@ -427,16 +935,42 @@ class CarbonCutSDK {
   }
 
   destroy() {
-    this.pingTracker?.stop();
+    clearTimeout(this.configTimer);
+    this.linker.detach();
+    this.browserListeners?.teardown();
+    this.engagementTracker?.teardown();
+    this.errorTracker?.stop();
+    this.eventTracker?.conversions.teardown();
+    this.eventTracker?.webVitals.disconnect();
     this.transport?.terminate?.();
     this.session?.end();
     this.state.reset();
+    // Calls made from now on are dropped instead of waiting for an init()
+    // that already ran
+    this.initFailed = true;
+    this.pendingCommands = [];
     this.logger.log("SDK destroyed");
   }
 }
 
 const carbonCut = new CarbonCutSDK();
 
+// Commands queued by the async snippet (window.CarbonCut = []) before load
+const snippetQueue =
+  typeof window !== "undefined" && Array.isArray(window.CarbonCut)
+    ? [...window.CarbonCut]
+    : [];
+
+if (snippetQueue.some((command) => command[0] === "init")) {
+  // The page initializes explicitly; don't also read the script tag
+  carbonCut.autoInitAttempted = true;
+}
+
+if (typeof window !== "undefined") {
+  window.CarbonCut = carbonCut;
+  carbonCut.push(...snippetQueue);
+}
+
 if (typeof document !== "undefined") {
   if (document.readyState === "loading") {
     document.addEventListener(
@@ -455,8 +989,4 @@ if (typeof module !== "undefined" && module.exports) {
   module.exports = carbonCut;
 }
 
-if (typeof window !== "undefined") {
-  window.CarbonCut = carbonCut;
-}
-
 export default carbonCut;
@@ -1,19 +1,20 @@
 export class BrowserListeners {
-  constructor(config, state, session, eventTracker, pingTracker, pageViewTracker, logger) {
+  constructor(config, state, session, eventTracker, engagementTracker, pageViewTracker, logger) {
     this.config = config;
     this.state = state;
     this.session = session;
     this.eventTracker = eventTracker;
-    this.pingTracker = pingTracker;
+    this.engagementTracker = engagementTracker;
     this.pageViewTracker = pageViewTracker;
     this.logger = logger;
+    this.hasExited = false;
+    this.cleanups = [];
   }
 
   setup() {
     if (typeof window === 'undefined') return;
 
-    this.setupUnloadListener();
-    this.setupVisibilityListener();
+    this.setupExitListeners();
     
     this.setupClickTracking();
     
@@ -22,31 +23,70 @@ export class BrowserListeners {
     }
   }
 
-  setupUnloadListener() {
-    window.addEventListener('beforeunload', () => {
-      this.pingTracker.stop();
-      this.eventTracker.send('session_end', {
-        total_time_spent_seconds: this.state.get('timeSpent'),
-        page_url: window.location.href
-      });
-      this.session.end();
+  setupExitListeners() {
+    // beforeunload is unreliable on mobile and keeps the page out of the
+    // bfcache. Either of these may be the last event a page gets, so both
+    // run the exit path. Leaving a page doesn't end the session: it is
+    // resumed on the next page load and only ends once it expires.
+    this.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.handleExit('hidden');
+      } else {
+        this.handleReturn();
+      }
     });
-  }
 
-  setupVisibilityListener() {
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this.pingTracker.stop();
-        this.logger.log('Page hidden, ping timer paused');
-      } else {
-        this.pingTracker.start();
-        this.logger.log('Page visible, ping timer resumed');
+    this.listen(window, 'pagehide', () => this.handleExit('pagehide'));
+
+    this.listen(window, 'pageshow', (event) => {
+      if (event.persisted) {
+        this.handleRestore();
       }
     });
   }
 
+  /**
+   * Send the engagement summary and drain every queue through sendBeacon,
+   * without yielding to the event loop
+   * @param {string} reason hidden or pagehide
+   */
+  handleExit(reason) {
+    // visibilitychange and pagehide usually both fire
+    if (this.hasExited) return;
+    this.hasExited = true;
+
+    this.eventTracker.setExiting(true);
+    this.engagementTracker.pause();
+    this.eventTracker.reportWebVitals();
+    this.eventTracker.reportPageWeight();
+    this.session.persist();
+    this.eventTracker.drainOnExit();
+    this.logger.log(`Page exit (${reason}), pending events handed to sendBeacon`);
+  }
+
+  handleReturn() {
+    if (!this.hasExited) return;
+    this.hasExited = false;
+
+    this.eventTracker.setExiting(false);
+    this.engagementTracker.resume();
+    this.logger.log('Page visible, engagement tracking resumed');
+  }
+
+  /**
+   * The page came back from the bfcache: count it as a new page view of
+   * the resumed session
+   */
+  handleRestore() {
+    this.handleReturn();
+    this.engagementTracker.resetPage();
+    this.eventTracker.webVitals.startPage();
+    this.pageViewTracker.track(undefined, { resumed: true, navigation_type: 'back_forward_cache' });
+    this.logger.log('Page restored from the bfcache');
+  }
+
   setupClickTracking() {
-    document.addEventListener('click', (e) => {
+    this.listen(document, 'click', (e) => {
       const target = e.target;
       
       const elementInfo = {
@@ -95,25 +135,48 @@ export class BrowserListeners {
       const lastPath = this.state.get('lastPath');
       
       if (currentPath !== lastPath) {
+        this.engagementTracker.handleNavigation();
         this.pageViewTracker.track(currentPath);
       }
     };
 
-    window.addEventListener('popstate', checkPathChange);
+    this.listen(window, 'popstate', checkPathChange);
 
     const originalPushState = history.pushState;
     const originalReplaceState = history.replaceState;
 
-    history.pushState = function() {
+    const pushState = function() {
       originalPushState.apply(this, arguments);
       checkPathChange();
     };
 
-    history.replaceState = function() {
+    const replaceState = function() {
       originalReplaceState.apply(this, arguments);
       checkPathChange();
     };
 
+    history.pushState = pushState;
+    history.replaceState = replaceState;
+
+    // Only put the originals back if nothing patched history after us
+    this.cleanups.push(() => {
+      if (history.pushState === pushState) history.pushState = originalPushState;
+      if (history.replaceState === replaceState) history.replaceState = originalReplaceState;
+    });
+
     this.logger.log('SPA navigation tracking enabled');
   }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Remove every listener added by setup() and restore the history methods
+   */
+  teardown() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+  }
 }
\ No newline at end of file
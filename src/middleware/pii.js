@@ -0,0 +1,93 @@
+const DEFAULT_PARAMS = [
+  'email',
+  'e-mail',
+  'mail',
+  'phone',
+  'tel',
+  'mobile',
+  'name',
+  'first_name',
+  'last_name',
+  'firstname',
+  'lastname',
+  'address',
+  'zip',
+  'postcode',
+  'ssn',
+  'dob',
+  'password',
+  'pass',
+  'pwd',
+  'token',
+  'access_token',
+  'auth',
+  'session',
+  'code',
+  'secret',
+  'api_key',
+  'apikey'
+];
+
+const DEFAULT_FIELDS = ['page_url', 'referrer', 'conversion_url', 'href'];
+
+const EMAIL_PATTERN = /[^\s@/?&=#]+@[^\s@/?&=#]+\.[a-z]{2,}/gi;
+
+/**
+ * Create a middleware that redacts personal data from URLs in a payload
+ * @param {Object} options
+ * @param {string[]} [options.params] Extra query parameter names to redact
+ * @param {string[]} [options.fields] Extra payload fields holding URLs
+ * @param {boolean} [options.stripQuery] Drop the whole query string and hash
+ * @param {boolean} [options.redactEmails] Redact email addresses anywhere in the URL (default true)
+ * @param {string} [options.replacement] Replacement text (default "[redacted]")
+ * @returns {Function} Middleware
+ */
+export function scrubPii(options = {}) {
+  const params = new Set(
+    [...DEFAULT_PARAMS, ...(options.params || [])].map((param) => param.toLowerCase())
+  );
+  const fields = [...DEFAULT_FIELDS, ...(options.fields || [])];
+  const replacement = options.replacement || '[redacted]';
+  const redactEmails = options.redactEmails !== false;
+
+  const scrubUrl = (value) => {
+    let url;
+    try {
+      url = new URL(value, typeof window !== 'undefined' ? window.location.href : undefined);
+    } catch (error) {
+      return redactEmails ? value.replace(EMAIL_PATTERN, replacement) : value;
+    }
+
+    if (options.stripQuery) {
+      url.search = '';
+      url.hash = '';
+    } else {
+      const search = new URLSearchParams(url.search);
+      [...search.entries()].forEach(([key, paramValue]) => {
+        if (params.has(key.toLowerCase())) {
+          search.set(key, replacement);
+        } else if (redactEmails && EMAIL_PATTERN.test(paramValue)) {
+          search.set(key, paramValue.replace(EMAIL_PATTERN, replacement));
+        }
+        EMAIL_PATTERN.lastIndex = 0;
+      });
+      url.search = search.toString();
+    }
+
+    let scrubbed = url.toString();
+    if (redactEmails) {
+      scrubbed = scrubbed.replace(EMAIL_PATTERN, encodeURIComponent(replacement));
+    }
+    return scrubbed;
+  };
+
+  return function scrubPiiMiddleware(payload) {
+    fields.forEach((field) => {
+      if (typeof payload[field] === 'string' && payload[field]) {
+        payload[field] = scrubUrl(payload[field]);
+      }
+    });
+
+    return payload;
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Create a middleware that keeps a random share of events
+ * @param {number|Object} options Sample rate (0-1), or { rate, events }
+ * @param {number} options.rate Share of events to keep
+ * @param {string[]} [options.events] Only sample these payload event types
+ * @returns {Function} Middleware
+ */
+export function sample(options = {}) {
+  const { rate = 1, events = null } =
+    typeof options === 'number' ? { rate: options } : options;
+  const sampleRate = Math.min(1, Math.max(0, rate));
+
+  return function samplingMiddleware(payload) {
+    if (events && !events.includes(payload.event)) {
+      return payload;
+    }
+
+    if (Math.random() >= sampleRate) {
+      return null;
+    }
+
+    // Stamp the effective rate so the backend can re-weight counts
+    payload.sample_rate = (payload.sample_rate ?? 1) * sampleRate;
+    return payload;
+  };
+}
@@ -0,0 +1,356 @@
+import http from 'http';
+import https from 'https';
+import { Config } from '../core/config.js';
+import { Logger } from '../utils/logger.js';
+import { RetryPolicy, isRetryableStatus, parseRetryAfter } from '../transport/retry.js';
+import { buildPayload } from '../tracking/payload.js';
+
+const NODE_DEFAULTS = {
+  batchSize: 20,
+  batchInterval: 5000,
+  // Per-request socket timeout
+  requestTimeout: 10000,
+  // Flush on beforeExit, SIGINT and SIGTERM
+  flushOnExit: true
+};
+
+// Fields taken from event data to build the payload rather than sent as-is
+const CONTEXT_FIELDS = ['session_id', 'user_id', 'anonymous_id', 'page_url', 'referrer', 'utm_params'];
+
+/**
+ * Server-side tracking client. Builds the same v2 payloads as the browser
+ * SDK and sends them in batches over keep-alive connections. Pass the
+ * browser's session_id and user_id (from CarbonCut.getSessionInfo()) with
+ * each event so server events join the visitor's session.
+ */
+export class CarbonCutNode {
+  constructor(options = {}) {
+    if (!options.trackerToken) {
+      throw new Error('CarbonCut: trackerToken is required');
+    }
+
+    this.config = new Config();
+    this.config.init({ ...NODE_DEFAULTS, ...options });
+    this.logger = new Logger(this.config.get('debug'));
+    this.retryPolicy = new RetryPolicy(this.config, this.logger);
+
+    let apiUrl = this.config.get('apiUrl');
+    if (!apiUrl.endsWith('/')) {
+      apiUrl = apiUrl + '/';
+    }
+    this.url = new URL(apiUrl);
+
+    const client = this.url.protocol === 'https:' ? https : http;
+    this.client = client;
+    this.agent = new client.Agent({ keepAlive: true });
+
+    this.queue = [];
+    this.flushTimer = null;
+    this.retryTimer = null;
+    this.flushing = null;
+    this.closed = false;
+    this.exitHandlers = null;
+
+    if (this.config.get('flushOnExit')) {
+      this.attachExitHandlers();
+    }
+  }
+
+  /**
+   * Queue an event
+   * @param {string} event SDK event name (page_view, conversion, custom_event, ...)
+   * @param {Object} data Event data, including session_id and user_id from the browser
+   * @returns {string|null} Event ID, or null once the client is shut down
+   */
+  track(event, data = {}) {
+    if (this.closed) {
+      this.logger.warn('Client shut down, event dropped:', event);
+      return null;
+    }
+
+    if (!data.session_id) {
+      this.logger.warn('Event has no session_id and will not join a browser session:', event);
+    }
+
+    const rest = { ...data };
+    CONTEXT_FIELDS.forEach((field) => delete rest[field]);
+
+    const payload = {
+      ...buildPayload(event, {
+        sessionId: data.session_id,
+        trackerToken: this.config.get('trackerToken'),
+        utmParams: data.utm_params,
+        userId: data.user_id,
+        anonymousId: data.anonymous_id,
+        pageUrl: data.page_url,
+        referrer: data.referrer
+      }),
+      ...rest
+    };
+
+    this.queue.push({ payload, attempts: 0 });
+    this.logger.log('Event queued:', event, payload.event_id);
+
+    if (this.queue.length >= this.config.get('batchSize')) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+
+    return payload.event_id;
+  }
+
+  /**
+   * Track a custom event, mirroring CarbonCut.trackEvent() in the browser
+   * @param {string} eventName Custom event name
+   * @param {Object} data Event data, including session_id and user_id
+   */
+  trackEvent(eventName, data = {}) {
+    const eventData = { ...data };
+    CONTEXT_FIELDS.forEach((field) => delete eventData[field]);
+
+    return this.track('custom_event', {
+      event_name: eventName,
+      event_data: eventData,
+      custom_event_type: eventName,
+      ...data
+    });
+  }
+
+  /**
+   * Track a conversion, e.g. a confirmed order
+   * @param {Object} data Conversion data, including session_id and user_id
+   */
+  trackConversion(data = {}) {
+    return this.track('conversion', data);
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer || this.retryTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.config.get('batchInterval'));
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Send everything queued
+   * @returns {Promise<void>} Resolves once the queue is drained or a retry is scheduled
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async drain() {
+    while (this.queue.length > 0 && !this.retryTimer) {
+      const batch = this.queue.splice(0, this.config.get('batchSize'));
+
+      try {
+        const response = await this.post({ events: batch.map((entry) => entry.payload), batch: true });
+
+        if (response.status !== 200 && response.status !== 202 && response.status !== 207) {
+          const error = new Error(`HTTP ${response.status}`);
+          error.status = response.status;
+          if (response.status === 429 || response.status === 503) {
+            error.retryAfter = parseRetryAfter(response.headers['retry-after']);
+          }
+          throw error;
+        }
+
+        const failures = this.getFailedResults(response.body);
+        const sent = batch.filter((entry) => !failures.has(entry.payload.event_id));
+        this.logger.log(`Sent ${sent.length} events`);
+
+        if (sent.length < batch.length) {
+          const message = `${batch.length - sent.length} events not acknowledged`;
+          const failed = batch.filter((entry) => failures.has(entry.payload.event_id));
+          this.handleFailure(failed.filter((entry) => failures.get(entry.payload.event_id)), message, true);
+          this.handleFailure(failed.filter((entry) => !failures.get(entry.payload.event_id)), message, false);
+        }
+      } catch (error) {
+        this.handleFailure(
+          batch,
+          error.message,
+          error.status ? isRetryableStatus(error.status) : true,
+          error.retryAfter ?? null
+        );
+      }
+    }
+  }
+
+  /**
+   * Re-queue retryable events behind a backoff and dead-letter the rest
+   * @param {Array} entries Queue entries that failed
+   * @param {string} error Failure message
+   * @param {boolean} retryable Whether the failure is worth retrying
+   * @param {number|null} retryAfter Server-requested delay in ms
+   */
+  handleFailure(entries, error, retryable, retryAfter = null) {
+    if (entries.length === 0) return;
+
+    const retry = [];
+    const dropped = [];
+
+    entries.forEach((entry) => {
+      entry.attempts += 1;
+      if (retryable && this.retryPolicy.canRetry(entry.attempts) && !this.closed) {
+        retry.push(entry);
+      } else {
+        dropped.push(entry.payload);
+      }
+    });
+
+    if (dropped.length > 0) {
+      this.retryPolicy.deadLetter(dropped, retryable ? 'max_retries_exceeded' : 'rejected');
+    }
+
+    if (retry.length === 0) return;
+
+    this.queue.unshift(...retry);
+
+    const attempts = Math.max(...retry.map((entry) => entry.attempts));
+    const delay = this.retryPolicy.getDelay(attempts, retryAfter);
+    this.logger.warn(`Send failed (${error}), retrying ${retry.length} events in ${delay}ms`);
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+    this.retryTimer.unref?.();
+  }
+
+  /**
+   * Per-event acknowledgements, same format the browser worker reads
+   * @param {string} body Response body
+   * @returns {Map} Failed event ID -> retryable
+   */
+  getFailedResults(body) {
+    const failures = new Map();
+
+    try {
+      const data = JSON.parse(body);
+      if (!Array.isArray(data?.results)) return failures;
+
+      data.results
+        .filter((result) => result.success === false)
+        .forEach((result) => failures.set(result.event_id, result.retryable !== false));
+    } catch (error) {
+      // Unreadable body: treat the batch as acknowledged
+    }
+
+    return failures;
+  }
+
+  /**
+   * POST a JSON body over the keep-alive agent
+   * @param {Object} data Request body
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  post(data) {
+    const body = JSON.stringify(data);
+
+    return new Promise((resolve, reject) => {
+      const request = this.client.request(this.url, {
+        method: 'POST',
+        agent: this.agent,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'X-Tracker-Token': this.config.get('trackerToken')
+        }
+      }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          responseBody += chunk;
+        });
+        response.on('end', () => {
+          resolve({ status: response.statusCode, headers: response.headers, body: responseBody });
+        });
+        response.on('error', reject);
+      });
+
+      request.setTimeout(this.config.get('requestTimeout'), () => {
+        request.destroy(new Error('Request timed out'));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  attachExitHandlers() {
+    if (typeof process === 'undefined' || typeof process.on !== 'function') return;
+
+    const onBeforeExit = () => {
+      if (this.queue.length > 0 && !this.closed) {
+        this.shutdown();
+      }
+    };
+
+    // Flush, then let the signal's default behaviour run unless the app
+    // handles it itself
+    const onSignal = (signal) => {
+      this.detachExitHandlers();
+      this.shutdown().finally(() => {
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
+    };
+
+    this.exitHandlers = { beforeExit: onBeforeExit, SIGINT: onSignal, SIGTERM: onSignal };
+    Object.entries(this.exitHandlers).forEach(([name, handler]) => process.on(name, handler));
+  }
+
+  detachExitHandlers() {
+    if (!this.exitHandlers) return;
+
+    Object.entries(this.exitHandlers).forEach(([name, handler]) => process.removeListener(name, handler));
+    this.exitHandlers = null;
+  }
+
+  /**
+   * Flush remaining events and close connections. Events that still fail
+   * are dead-lettered instead of retried.
+   */
+  async shutdown() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    while (this.queue.length > 0) {
+      await this.flush();
+    }
+    this.agent.destroy();
+    this.detachExitHandlers();
+    this.logger.log('Client shut down');
+  }
+
+  getQueueSize() {
+    return this.queue.length;
+  }
+
+  getDeadLetters() {
+    return this.retryPolicy.getDeadLetters();
+  }
+}
+
+export default CarbonCutNode;
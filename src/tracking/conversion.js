@@ -0,0 +1,498 @@
+/**
+ * Whether the current URL or path matches a url rule
+ * @param {Object} rule { pattern, match_type }
+ * @param {string} url Full URL
+ * @param {string} path Path name
+ * @returns {boolean}
+ */
+export function matchesUrlRule(rule, url, path) {
+  const pattern = rule.pattern;
+  if (!pattern) return false;
+
+  switch (rule.match_type) {
+    case 'contains':
+      return url.includes(pattern) || path.includes(pattern);
+    case 'exact':
+      return url === pattern || path === pattern;
+    case 'starts_with':
+      return url.startsWith(pattern) || path.startsWith(pattern);
+    case 'ends_with':
+      return url.endsWith(pattern) || path.endsWith(pattern);
+    case 'regex': {
+      const regex = new RegExp(pattern);
+      return regex.test(url) || regex.test(path);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Read a property from event data, following dotted paths
+ * @param {Object} data Event data
+ * @param {string} path e.g. "plan" or "cart.total"
+ */
+function getProperty(data, path) {
+  return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Whether a property value satisfies a custom_event rule condition
+ * @param {Object} condition { property, operator, value }
+ * @param {Object} data Event data
+ * @returns {boolean}
+ */
+export function matchesCondition(condition, data) {
+  const actual = getProperty(data, condition.property);
+  const expected = condition.value;
+
+  switch (condition.operator || 'equals') {
+    case 'equals':
+      return actual == expected;
+    case 'not_equals':
+      return actual != expected;
+    case 'contains':
+      return actual != null && String(actual).includes(expected);
+    case 'greater_than':
+      return Number(actual) > Number(expected);
+    case 'less_than':
+      return Number(actual) < Number(expected);
+    case 'exists':
+      return actual !== undefined && actual !== null;
+    case 'regex':
+      return actual != null && new RegExp(expected).test(String(actual));
+    default:
+      return false;
+  }
+}
+
+export const COUNT_POLICIES = ['every', 'once_per_session', 'once_per_user'];
+
+// Rule types matched against page elements with rule.selector
+const SELECTOR_RULE_TYPES = ['click', 'form_submit', 'element_visible'];
+
+/**
+ * Turns the conversion rules from /keys/config into conversion events.
+ *
+ * click and form_submit rules match every time. element_visible,
+ * scroll_depth and time_on_page rules match once per page view, and url
+ * rules are checked on each page view. A rule's `count` policy then decides
+ * whether a match is reported: `every` (default), `once_per_session` or
+ * `once_per_user`, remembered in localStorage across page loads.
+ */
+export class ConversionTracker {
+  constructor(config, eventTracker, logger) {
+    this.config = config;
+    this.eventTracker = eventTracker;
+    this.logger = logger;
+    this.rules = [];
+    // Teardown callbacks for listeners and observers set up by apply()
+    this.cleanups = [];
+    // Rule IDs already fired on the current page
+    this.firedOnPage = new Set();
+    this.visibleSeconds = 0;
+    this.storageKey = 'cc_conversions';
+    this.maxUsers = 20;
+    this.history = this.load();
+  }
+
+  /**
+   * Rules already converted per session and per user
+   */
+  load() {
+    let stored = null;
+
+    if (typeof localStorage !== 'undefined') {
+      try {
+        stored = JSON.parse(localStorage.getItem(this.storageKey));
+      } catch (error) {
+        stored = null;
+      }
+    }
+
+    return {
+      sessionId: stored?.sessionId || null,
+      session: stored?.session || [],
+      users: stored?.users || {}
+    };
+  }
+
+  persist() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (error) {
+      this.logger.error('Failed to persist conversion history:', error);
+    }
+  }
+
+  /**
+   * Reserve a conversion under the rule's count policy. The claim is
+   * recorded right away, before the event is sent, so two matches in quick
+   * succession (or in two tabs) can't both be counted; release() gives it
+   * back if the event is dropped on the way to the transport.
+   * @param {Object} rule Conversion rule
+   * @returns {boolean} Whether the policy allows this conversion
+   */
+  claim(rule) {
+    const policy = rule.count || 'every';
+    if (policy === 'every') return true;
+
+    if (!COUNT_POLICIES.includes(policy)) {
+      this.logger.warn(`Unknown count policy "${policy}" on conversion rule:`, rule.id);
+      return true;
+    }
+
+    // Another tab may have converted since this page loaded
+    this.history = this.load();
+    const ruleId = String(rule.id);
+
+    if (policy === 'once_per_session') {
+      const sessionId = this.eventTracker.session.getId();
+      if (this.history.sessionId !== sessionId) {
+        this.history.sessionId = sessionId;
+        this.history.session = [];
+      }
+      if (this.history.session.includes(ruleId)) return false;
+
+      this.history.session.push(ruleId);
+    } else {
+      const userId = this.getUserKey();
+      const converted = this.history.users[userId] || [];
+      if (converted.includes(ruleId)) return false;
+
+      // Re-insert so the most recent users are kept when trimming
+      delete this.history.users[userId];
+      this.history.users[userId] = [...converted, ruleId];
+
+      const users = Object.keys(this.history.users);
+      users.slice(0, Math.max(0, users.length - this.maxUsers)).forEach((id) => {
+        delete this.history.users[id];
+      });
+    }
+
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Undo a claim whose conversion was dropped by middleware, sampling or
+   * consent, so the next match is counted
+   * @param {Object} rule Conversion rule
+   * @param {string} sessionId Session the claim was made in
+   * @param {string} userId User the claim was made for
+   */
+  release(rule, sessionId, userId) {
+    const policy = rule.count || 'every';
+    if (!COUNT_POLICIES.includes(policy) || policy === 'every') return;
+
+    this.history = this.load();
+    const ruleId = String(rule.id);
+
+    if (policy === 'once_per_session') {
+      if (this.history.sessionId !== sessionId) return;
+      this.history.session = this.history.session.filter((id) => id !== ruleId);
+    } else {
+      const converted = this.history.users[userId];
+      if (!converted) return;
+      this.history.users[userId] = converted.filter((id) => id !== ruleId);
+    }
+
+    this.persist();
+  }
+
+  getUserKey() {
+    const identity = this.eventTracker.identity;
+    return identity.getUserId() || identity.getAnonymousId();
+  }
+
+  /**
+   * Replace the active rules, removing listeners from the previous set
+   * @param {Array} rules Conversion rules
+   */
+  apply(rules = []) {
+    this.teardown();
+    this.rules = rules.filter((rule) =>
+      !SELECTOR_RULE_TYPES.includes(rule.type) || this.hasValidSelector(rule)
+    );
+
+    const byType = (type) => this.rules.filter((rule) => rule.type === type);
+
+    this.watchClicks(byType('click'));
+    this.watchForms(byType('form_submit'));
+    this.watchVisibility(byType('element_visible'));
+    this.watchScroll(byType('scroll_depth'));
+    this.watchTimeOnPage(byType('time_on_page'));
+
+    this.logger.log(`📋 Applied ${this.rules.length} conversion rules`);
+  }
+
+  /**
+   * Whether a rule's selector parses. Checked once up front, so a bad
+   * selector in the config can't throw on every click or submit.
+   * @param {Object} rule Conversion rule
+   * @returns {boolean}
+   */
+  hasValidSelector(rule) {
+    if (typeof rule.selector !== 'string') {
+      this.logger.error('Conversion rule without a selector skipped:', rule.id);
+      return false;
+    }
+    if (typeof document === 'undefined') return true;
+
+    try {
+      document.createDocumentFragment().querySelector(rule.selector);
+      return true;
+    } catch (error) {
+      this.logger.error('Invalid selector in conversion rule, rule skipped:', rule.id, rule.selector);
+      return false;
+    }
+  }
+
+  /**
+   * Remove every listener, observer and timer set up by apply()
+   */
+  teardown() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+    this.rules = [];
+  }
+
+  /**
+   * Start a new page: reset per-page rules and check url rules
+   */
+  handlePageView() {
+    this.firedOnPage.clear();
+    this.visibleSeconds = 0;
+    this.observeElements?.();
+    this.checkUrlRules();
+  }
+
+  checkUrlRules() {
+    const urlRules = this.rules.filter((rule) => rule.type === 'url');
+    if (urlRules.length === 0 || typeof window === 'undefined') return;
+
+    const currentUrl = window.location.href;
+    const currentPath = window.location.pathname;
+
+    this.logger.log('🔍 Checking URL conversions for:', currentPath);
+
+    urlRules.forEach((rule) => {
+      let matched = false;
+      try {
+        matched = matchesUrlRule(rule, currentUrl, currentPath);
+      } catch (error) {
+        this.logger.error('Invalid regex pattern:', rule.pattern, error);
+      }
+
+      if (matched) {
+        this.convert(rule, {
+          conversion_url: currentUrl,
+          match_type: rule.match_type,
+          pattern: rule.pattern
+        });
+      }
+    });
+  }
+
+  /**
+   * Match custom_event rules against an event tracked through trackEvent()
+   * @param {string} eventName Custom event name
+   * @param {Object} data Event data
+   */
+  handleCustomEvent(eventName, data = {}) {
+    this.rules
+      .filter((rule) => rule.type === 'custom_event' && rule.event_name === eventName)
+      .forEach((rule) => {
+        let matched = false;
+        try {
+          matched = (rule.conditions || []).every((condition) => matchesCondition(condition, data));
+        } catch (error) {
+          this.logger.error('Invalid condition in conversion rule:', rule.id, error);
+        }
+
+        if (matched) {
+          const value = Number(data.value);
+          this.convert(rule, {
+            conversion_event_name: eventName,
+            // Event data carries the actual amount, e.g. an order total.
+            // Anything that isn't a number falls back to the rule's value.
+            ...(data.value != null && Number.isFinite(value) && { conversion_value: value }),
+            ...(data.currency && { conversion_currency: String(data.currency).toUpperCase() })
+          });
+        }
+      });
+  }
+
+  watchClicks(rules) {
+    if (rules.length === 0) return;
+
+    this.listen(document, 'click', (event) => {
+      rules.forEach((rule) => {
+        const target = event.target.closest?.(rule.selector);
+        if (!target) return;
+
+        this.convert(rule, {
+          conversion_selector: rule.selector,
+          conversion_element: target.tagName,
+          element_text: target.innerText?.substring(0, 100)
+        });
+      });
+    });
+  }
+
+  watchForms(rules) {
+    if (rules.length === 0) return;
+
+    this.listen(document, 'submit', (event) => {
+      rules.forEach((rule) => {
+        const form = event.target.closest?.(rule.selector);
+        if (!form) return;
+
+        this.convert(rule, {
+          conversion_selector: rule.selector,
+          form_id: form.id || null,
+          form_action: form.getAttribute('action') || null
+        });
+      });
+    }, true);
+  }
+
+  watchVisibility(rules) {
+    if (rules.length === 0) return;
+
+    if (typeof IntersectionObserver === 'undefined') {
+      this.logger.warn('IntersectionObserver unavailable, element_visible rules skipped');
+      return;
+    }
+
+    const observers = rules.map((rule) => {
+      const threshold = rule.threshold ?? 0.5;
+      const observer = new IntersectionObserver((entries) => {
+        const visible = entries.find((entry) => entry.isIntersecting && entry.intersectionRatio >= threshold);
+        if (visible && this.markFired(rule)) {
+          this.convert(rule, {
+            conversion_selector: rule.selector,
+            conversion_element: visible.target.tagName
+          });
+        }
+      }, { threshold });
+
+      return { rule, observer };
+    });
+
+    // Elements may be replaced on SPA navigation, so observe them again per page
+    this.observeElements = () => {
+      observers.forEach(({ rule, observer }) => {
+        observer.disconnect();
+        try {
+          document.querySelectorAll(rule.selector).forEach((element) => observer.observe(element));
+        } catch (error) {
+          this.logger.error('Invalid selector in conversion rule:', rule.selector, error);
+        }
+      });
+    };
+    this.observeElements();
+
+    this.cleanups.push(() => {
+      observers.forEach(({ observer }) => observer.disconnect());
+      this.observeElements = null;
+    });
+  }
+
+  watchScroll(rules) {
+    if (rules.length === 0) return;
+
+    let scheduled = false;
+    const check = () => {
+      scheduled = false;
+      const depth = this.getScrollDepth();
+
+      rules.forEach((rule) => {
+        if (depth >= (rule.percentage ?? 50) && this.markFired(rule)) {
+          this.convert(rule, { scroll_depth: depth, threshold: rule.percentage ?? 50 });
+        }
+      });
+    };
+
+    this.listen(window, 'scroll', () => {
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame(check);
+    }, { passive: true });
+  }
+
+  /**
+   * Percentage of the page scrolled past the bottom of the viewport
+   */
+  getScrollDepth() {
+    const element = document.documentElement;
+    const scrollable = element.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 100;
+
+    return Math.min(100, Math.round((window.scrollY / scrollable) * 100));
+  }
+
+  watchTimeOnPage(rules) {
+    if (rules.length === 0) return;
+
+    // Count visible time only, so background tabs do not convert
+    const timer = setInterval(() => {
+      if (document.visibilityState !== 'visible') return;
+      this.visibleSeconds += 1;
+
+      rules.forEach((rule) => {
+        if (this.visibleSeconds >= (rule.seconds ?? 30) && this.markFired(rule)) {
+          this.convert(rule, { time_on_page_seconds: this.visibleSeconds });
+        }
+      });
+    }, 1000);
+
+    this.cleanups.push(() => clearInterval(timer));
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Record that a once-per-page rule fired
+   * @returns {boolean} false if it already fired on this page
+   */
+  markFired(rule) {
+    if (this.firedOnPage.has(rule.id)) return false;
+    this.firedOnPage.add(rule.id);
+    return true;
+  }
+
+  /**
+   * Send a conversion for a matched rule
+   * @param {Object} rule Conversion rule
+   * @param {Object} data Rule-specific details
+   */
+  convert(rule, data = {}) {
+    if (!this.claim(rule)) {
+      this.logger.log(`Conversion skipped, already counted (${rule.count}):`, rule.id);
+      return;
+    }
+
+    const sessionId = this.eventTracker.session.getId();
+    const userId = this.getUserKey();
+
+    this.logger.log(`🎯 ${rule.type} conversion matched:`, rule);
+
+    this.eventTracker.send('conversion', {
+      conversion_type: rule.type,
+      conversion_label: rule.name,
+      conversion_rule_id: rule.id,
+      conversion_count: rule.count || 'every',
+      ...(typeof rule.value === 'number' && { conversion_value: rule.value }),
+      ...(rule.currency && { conversion_currency: String(rule.currency).toUpperCase() }),
+      ...data
+    }, {
+      onDropped: () => this.release(rule, sessionId, userId)
+    });
+  }
+}
@@ -0,0 +1,287 @@
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll', 'wheel', 'touchstart'];
+
+
+/**
+ * Engaged-time tracking. Time counts only while the tab is visible and the
+ * visitor was active (pointer, keys, scroll) within `idleThreshold`. The
+ * time is checkpointed to sessionStorage on an interval that backs off from
+ * `pingInterval` to `maxPingInterval`, and one `engagement` event
+ * summarizes it when the page is hidden or left. A summary that never got
+ * sent (the page was discarded) is sent on the tab's next page load.
+ */
+export class EngagementTracker {
+  constructor(config, state, eventTracker, session, logger) {
+    this.config = config;
+    this.state = state;
+    this.eventTracker = eventTracker;
+    this.session = session;
+    this.logger = logger;
+    this.storageKey = 'cc_engagement';
+    this.timer = null;
+    this.interval = null;
+    this.listening = false;
+    this.onActivity = this.onActivity.bind(this);
+    this.resetPage();
+  }
+
+
+  resetPage(now = Date.now()) {
+    this.pageStartedAt = now;
+    this.pageUrl = typeof window !== 'undefined' ? window.location.href : null;
+    this.engagedMs = 0;
+    this.reportedMs = 0;
+    this.sessionReportedMs = 0;
+    this.lastActivity = now;
+    this.lastCountedAt = now;
+    this.interval = this.config.get('pingInterval');
+  }
+
+
+  getIdleThreshold() {
+    return this.config.get('idleThreshold') || 30000;
+  }
+
+
+  isVisible() {
+    return typeof document === 'undefined' || document.visibilityState !== 'hidden';
+  }
+
+
+  /**
+   * Add the engaged time since the last count: the span up to the last
+   * activity plus at most `idleThreshold` after it
+   */
+  count(now = Date.now()) {
+    if (this.isVisible()) {
+      const engagedUntil = Math.min(now, this.lastActivity + this.getIdleThreshold());
+      this.engagedMs += Math.max(0, engagedUntil - this.lastCountedAt);
+    }
+    this.lastCountedAt = now;
+    this.state.set('timeSpent', Math.round(this.engagedMs / 1000));
+  }
+
+
+  onActivity() {
+    const now = Date.now();
+    // Activity after an idle gap starts a new engaged span
+    if (now - this.lastActivity > this.getIdleThreshold()) {
+      this.count(now);
+      this.lastCountedAt = now;
+    }
+    this.lastActivity = now;
+  }
+
+
+  start() {
+    this.stop();
+    this.sendPending();
+
+    if (typeof document !== 'undefined' && !this.listening) {
+      ACTIVITY_EVENTS.forEach((type) => {
+        document.addEventListener(type, this.onActivity, { capture: true, passive: true });
+      });
+      this.listening = true;
+    }
+
+    this.lastActivity = Date.now();
+    this.lastCountedAt = this.lastActivity;
+    this.schedule();
+
+    this.logger.log(`Engagement tracking started. Checkpoint interval: ${this.interval / 1000}s`);
+  }
+
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+
+  /**
+   * Stop tracking and remove the activity listeners
+   */
+  teardown() {
+    this.stop();
+
+    if (typeof document !== 'undefined' && this.listening) {
+      ACTIVITY_EVENTS.forEach((type) => {
+        document.removeEventListener(type, this.onActivity, { capture: true });
+      });
+      this.listening = false;
+    }
+  }
+
+
+  schedule() {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.checkpoint();
+      this.interval = Math.min(this.interval * 1.5, this.config.get('maxPingInterval'));
+      this.schedule();
+    }, this.interval);
+  }
+
+
+  /**
+   * Save the unreported time so it survives the tab being killed, and keep
+   * the session alive while the visitor is engaged
+   */
+  checkpoint() {
+    const before = this.engagedMs;
+    this.count();
+
+    if (this.engagedMs > before) {
+      this.session.touch();
+    }
+
+    this.persistPending();
+  }
+
+
+  /**
+   * Page became visible again
+   */
+  resume() {
+    this.lastActivity = Date.now();
+    this.lastCountedAt = this.lastActivity;
+    if (!this.timer) {
+      this.schedule();
+    }
+  }
+
+
+  /**
+   * Page is being hidden: stop counting and send the summary
+   */
+  pause() {
+    this.count();
+    this.stop();
+    this.report('hidden');
+  }
+
+
+  /**
+   * Send the engaged time not yet reported for this page
+   * @param {string} reason hidden, navigation or manual
+   */
+  report(reason = 'manual') {
+    this.count();
+
+    const unreported = this.engagedMs - this.reportedMs;
+    if (unreported < 1000 && reason !== 'manual') {
+      this.persistPending();
+      return;
+    }
+
+    this.addSessionTime();
+    this.reportedMs = this.engagedMs;
+    this.clearPending();
+
+    this.eventTracker.send('engagement', {
+      engaged_time_seconds: Math.round(unreported / 1000),
+      total_engaged_seconds: Math.round(this.engagedMs / 1000),
+      page_duration_seconds: Math.round((Date.now() - this.pageStartedAt) / 1000),
+      page_url: this.pageUrl,
+      reason
+    });
+  }
+
+
+  /**
+   * SPA navigation: summarize the previous page and start counting anew
+   */
+  handleNavigation() {
+    this.report('navigation');
+    this.resetPage();
+    this.stop();
+    this.schedule();
+  }
+
+
+  addSessionTime() {
+    const seconds = (this.engagedMs - this.sessionReportedMs) / 1000;
+    if (seconds > 0 && this.session.isActive()) {
+      this.session.addEngagedTime(seconds);
+      this.sessionReportedMs = this.engagedMs;
+    }
+  }
+
+
+  persistPending() {
+    if (typeof sessionStorage === 'undefined') return;
+
+    const unreported = this.engagedMs - this.reportedMs;
+    if (unreported < 1000 || !this.session.getId()) return;
+
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify({
+        sessionId: this.session.getId(),
+        pageUrl: this.pageUrl,
+        engagedMs: unreported,
+        totalMs: this.engagedMs,
+        pageStartedAt: this.pageStartedAt,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      this.logger.error('Failed to checkpoint engagement:', error);
+    }
+  }
+
+
+  clearPending() {
+    if (typeof sessionStorage === 'undefined') return;
+
+    try {
+      sessionStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Nothing stored
+    }
+  }
+
+
+  /**
+   * Send a summary checkpointed by a page that could not send it
+   */
+  sendPending() {
+    if (typeof sessionStorage === 'undefined') return;
+
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(this.storageKey));
+    } catch (error) {
+      pending = null;
+    }
+    this.clearPending();
+
+    if (!pending || !pending.sessionId) return;
+
+    if (pending.sessionId === this.session.getId()) {
+      this.session.addEngagedTime(pending.engagedMs / 1000);
+    }
+
+    this.logger.log('Sending engagement left over from a previous page');
+    this.eventTracker.send('engagement', {
+      session_id: pending.sessionId,
+      engaged_time_seconds: Math.round(pending.engagedMs / 1000),
+      total_engaged_seconds: Math.round(pending.totalMs / 1000),
+      page_duration_seconds: Math.round((pending.savedAt - pending.pageStartedAt) / 1000),
+      page_url: pending.pageUrl,
+      reason: 'recovered'
+    });
+  }
+
+
+  /**
+   * Send the current summary right away (CarbonCut.ping())
+   */
+  trigger() {
+    this.report('manual');
+  }
+
+
+  isRunning() {
+    return this.timer !== null;
+  }
+}
@@ -0,0 +1,242 @@
+const MAX_FRAMES = 30;
+
+// "    at fn (https://x.com/app.js:10:5)" (V8)
+const V8_FRAME = /^\s*at (?:async )?(?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+// "fn@https://x.com/app.js:10:5" (Firefox, Safari)
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parse a stack trace into frames, dropping query strings and hashes
+ * from file URLs
+ * @param {string} stack Error stack
+ * @returns {Array} [{ function, file, line, column }], innermost first
+ */
+export function normalizeStack(stack) {
+  if (typeof stack !== 'string') return [];
+
+  const frames = [];
+
+  stack.split('\n').forEach((line) => {
+    if (frames.length >= MAX_FRAMES) return;
+
+    const match = V8_FRAME.exec(line) || GECKO_FRAME.exec(line);
+    if (!match) return;
+
+    frames.push({
+      function: match[1] || '<anonymous>',
+      file: match[2].replace(/[?#].*$/, ''),
+      line: Number(match[3]),
+      column: Number(match[4])
+    });
+  });
+
+  return frames;
+}
+
+/**
+ * Message with the parts that vary between occurrences (numbers, IDs,
+ * quoted values) replaced, for grouping
+ * @param {string} message Error message
+ * @returns {string}
+ */
+export function normalizeMessage(message) {
+  return String(message)
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<id>')
+    .replace(/(["'`]).*?\1/g, '<value>')
+    .replace(/\b0x[0-9a-f]+\b|\d+/gi, '<n>')
+    .slice(0, 200);
+}
+
+/**
+ * Grouping key for an error: its type, normalized message and top frames
+ * @param {Object} error { type, message, frames }
+ * @returns {string} Hex fingerprint
+ */
+export function fingerprintError(error) {
+  const input = [
+    error.type,
+    normalizeMessage(error.message),
+    ...error.frames.slice(0, 3).map((frame) => `${frame.file}:${frame.function}`)
+  ].join('|');
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Describe anything that was thrown or rejected
+ * @param {*} error Error, string or other value
+ * @param {string} fallbackType Type for values that aren't errors
+ * @returns {Object} { type, message, frames }
+ */
+export function describeError(error, fallbackType = 'Error') {
+  if (error instanceof Error || (error && typeof error.message === 'string')) {
+    return {
+      type: error.name || fallbackType,
+      message: error.message,
+      frames: normalizeStack(error.stack)
+    };
+  }
+
+  let message;
+  try {
+    message = typeof error === 'string' ? error : JSON.stringify(error);
+  } catch (serializeError) {
+    message = String(error);
+  }
+
+  return { type: fallbackType, message: String(message).slice(0, 1000), frames: [] };
+}
+
+/**
+ * Sends unhandled errors, unhandled rejections and captureException()
+ * calls as `error` events. Each fingerprint is sent once per session,
+ * later occurrences are only counted locally, and at most `maxErrorsPerMinute`
+ * errors are sent. Events go through EventTracker.send, so consent and
+ * sampling apply as for any other event.
+ */
+export class ErrorTracker {
+  constructor(config, eventTracker, session, logger) {
+    this.config = config;
+    this.eventTracker = eventTracker;
+    this.session = session;
+    this.logger = logger;
+    this.seen = new Map();
+    this.sessionId = null;
+    this.sentAt = [];
+    this.capturing = false;
+    this.listening = false;
+    this.onError = this.onError.bind(this);
+    this.onRejection = this.onRejection.bind(this);
+  }
+
+  start() {
+    if (typeof window === 'undefined' || this.listening) return;
+
+    // Bubble phase only: resource load errors don't bubble to window
+    window.addEventListener('error', this.onError);
+    window.addEventListener('unhandledrejection', this.onRejection);
+    this.listening = true;
+
+    this.logger.log('Error tracking enabled');
+  }
+
+  stop() {
+    if (!this.listening) return;
+
+    window.removeEventListener('error', this.onError);
+    window.removeEventListener('unhandledrejection', this.onRejection);
+    this.listening = false;
+  }
+
+  onError(event) {
+    // Cross-origin scripts without CORS only report this, with no details
+    if (!event.error && event.message === 'Script error.') {
+      this.logger.log('Ignoring cross-origin "Script error."');
+      return;
+    }
+
+    this.capture(event.error || event.message, {
+      mechanism: 'onerror',
+      handled: false,
+      context: event.error ? {} : {
+        file: event.filename?.replace(/[?#].*$/, ''),
+        line: event.lineno,
+        column: event.colno
+      }
+    });
+  }
+
+  onRejection(event) {
+    this.capture(event.reason, {
+      mechanism: 'unhandledrejection',
+      handled: false,
+      fallbackType: 'UnhandledRejection'
+    });
+  }
+
+  /**
+   * Whether another error may be sent this minute
+   */
+  takeSlot(now = Date.now()) {
+    const limit = this.config.get('maxErrorsPerMinute');
+    this.sentAt = this.sentAt.filter((time) => now - time < 60000);
+
+    if (limit && this.sentAt.length >= limit) return false;
+
+    this.sentAt.push(now);
+    return true;
+  }
+
+  /**
+   * Send an error unless it was already sent this session or the rate
+   * limit is reached
+   * @param {*} error Thrown or rejected value
+   * @param {Object} options { mechanism, handled, context, fallbackType }
+   * @returns {string|null} Fingerprint, or null when nothing was sent
+   */
+  capture(error, options = {}) {
+    // An error raised while reporting one must not loop
+    if (this.capturing) return null;
+    this.capturing = true;
+
+    try {
+      const described = describeError(error, options.fallbackType);
+      const fingerprint = fingerprintError(described);
+
+      if (this.session.getId() !== this.sessionId) {
+        this.sessionId = this.session.getId();
+        this.seen.clear();
+      }
+
+      if (this.seen.has(fingerprint)) {
+        const occurrences = this.seen.get(fingerprint) + 1;
+        this.seen.set(fingerprint, occurrences);
+        this.logger.log(`Duplicate error ${fingerprint} (${occurrences} this session), not sent`);
+        return null;
+      }
+
+      // A dropped error isn't marked as seen, so a later occurrence can be sent
+      if (!this.takeSlot()) {
+        this.logger.warn('Error rate limit reached, error dropped:', described.message);
+        return null;
+      }
+      this.seen.set(fingerprint, 1);
+
+      this.eventTracker.send('error', {
+        error_type: described.type,
+        error_message: described.message,
+        error_stack: described.frames,
+        error_fingerprint: fingerprint,
+        error_mechanism: options.mechanism || 'manual',
+        error_handled: options.handled ?? true,
+        error_context: options.context || {},
+        page_url: typeof window !== 'undefined' ? window.location.href : undefined
+      }).catch((sendError) => {
+        this.logger.error('Failed to send error event:', sendError);
+      });
+
+      return fingerprint;
+    } catch (captureError) {
+      this.logger.error('Failed to capture error:', captureError);
+      return null;
+    } finally {
+      this.capturing = false;
+    }
+  }
+
+  /**
+   * Report a caught error (CarbonCut.captureException())
+   * @param {*} error Error or other thrown value
+   * @param {Object} context Extra data sent with the error
+   * @returns {string|null} Fingerprint, or null when nothing was sent
+   */
+  captureException(error, context = {}) {
+    return this.capture(error, { mechanism: 'manual', handled: true, context });
+  }
+}
@@ -1,33 +1,55 @@
-import { getUTMParams, storeUTMParams, generateEventId } from "../utils/utm.js";
-import { PerformanceMonitor } from "../utils/performance.js";
+import { getUTMParams, storeUTMParams } from "../utils/utm.js";
+import { buildPayload, mapEventType } from "./payload.js";
+import { ConversionTracker } from "./conversion.js";
+import { Attribution } from "../core/attribution.js";
+import { PerformanceMonitor, WebVitalsMonitor } from "../utils/performance.js";
 import { GeolocationManager } from "../utils/geolocation.js";
+import { EmissionsCalculator } from "../utils/emissions.js";
+import { createBatchId, withBatchId, estimateHeaderBytes } from "../transport/ledger.js";
 
 export class EventTracker {
-  constructor(config, session, transport, logger) {
+  constructor(config, session, transport, logger, consent, identity, pipeline, emitter) {
     this.config = config;
     this.session = session;
     this.transport = transport;
     this.logger = logger;
+    this.consent = consent;
+    this.identity = identity;
+    this.pipeline = pipeline;
+    this.emitter = emitter;
     this.sentEvents = new Map();
+    // { payload, eventName, onDropped } built before analytics consent was granted
+    this.preConsentBuffer = [];
+    this.maxPreConsentBuffer = 100;
+    // The first page-level event of a page load reports navigation bytes
+    this.navigationReported = false;
     this.utmParams = null;
     this.conversionRulesApplied = false;
+    // While the page is hidden or left, events are built and handed to
+    // the transport without yielding (see setExiting)
+    this.exiting = false;
+    this.pageWeightReported = false;
 
     // Add performance monitor
     this.performanceMonitor = new PerformanceMonitor(logger);
+    this.webVitals = new WebVitalsMonitor(logger);
     
+    // Conversion rules from /keys/config
+    this.conversions = new ConversionTracker(config, this, logger);
+
     //   Add geolocation manager
     this.geolocationManager = new GeolocationManager(logger);
-    
-    this.bytesTracked = {
-      pageView: 0,
-      clicks: 0,
-      conversions: 0,
-      total: 0
-    };
+
+    // CO2e estimates for the bytes attributed to each event
+    this.emissions = new EmissionsCalculator(config, logger);
+    this.lastGeolocation = null;
 
     // Track last event timestamp for calculating request bytes
     this.lastEventTime = Date.now();
 
+    // First-touch and last-touch attribution
+    this.attribution = new Attribution(config, logger);
+
     // Initialize and store UTM parameters
     this.initializeUTMParams();
     this.setupPerformanceTracking();
@@ -37,57 +59,132 @@ export class EventTracker {
    * Initialize UTM parameters from URL
    */
   initializeUTMParams() {
-    this.utmParams = getUTMParams();
-    storeUTMParams(this.utmParams);
+    const utmParams = getUTMParams();
+    storeUTMParams(utmParams);
+    // First and last touch ride along with the session's UTM parameters
+    this.utmParams = { ...utmParams, ...this.attribution.capture() };
     this.logger.log("UTM parameters initialized:", this.utmParams);
   }
 
   /**
-   * Setup performance tracking for API requests
+   * Start observing page performance. Tracking requests are measured by
+   * the transport's RequestLedger.
    */
   setupPerformanceTracking() {
-    this.performanceObserver = this.performanceMonitor.observeTrackingBytes(
-      (data) => {
-        this.logger.log("📊 Tracking request bytes:", data);
-
-        // Aggregate bytes by event type
-        if (data.url.includes("page_view")) {
-          this.bytesTracked.pageView += data.bytes;
-        } else if (data.url.includes("click")) {
-          this.bytesTracked.clicks += data.bytes;
-        } else if (data.url.includes("conversion")) {
-          this.bytesTracked.conversions += data.bytes;
-        }
-        
-        this.bytesTracked.total += data.bytes;
-      }
-    );
+    if (this.config.get("trackWebVitals")) {
+      this.webVitals.observe();
+    }
   }
 
   /**
-   * Get bytes for the tracking request itself
+   * Send the Core Web Vitals of the current page view, once. Called as
+   * the page is hidden.
    */
-  async getTrackingRequestBytes(eventId) {
-    // Wait a bit for the request to complete
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    const requestBytes = this.performanceMonitor.getRequestByEventId(eventId);
-    return requestBytes?.bytes || 0;
+  reportWebVitals() {
+    if (!this.config.get("trackWebVitals") || !this.consent.hasConsent("performance")) {
+      return;
+    }
+
+    const metrics = this.webVitals.collect();
+    if (!metrics) return;
+
+    const pageBytes = this.performanceMonitor.getPageViewBytes();
+    const resourceBytes = this.performanceMonitor.getAllResourceBytes();
+
+    this.send("web_vitals", {
+      ...metrics,
+      // Lets the API relate performance to page weight and emissions
+      page_weight_bytes: (pageBytes?.transferSize || 0) + resourceBytes.total,
+    });
+  }
+
+  /**
+   * Page weight by origin and vendor, with the estimated CO2e of each
+   * @returns {Object|null} Page weight report
+   */
+  getPageWeightReport() {
+    const report = this.performanceMonitor.getPageWeightReport();
+    if (!report) return null;
+
+    const withCo2e = (group) => ({
+      ...group,
+      co2eGrams: this.emissions.estimate(group.transferBytes, this.lastGeolocation).co2eGrams,
+    });
+
+    return {
+      ...withCo2e(report),
+      origins: report.origins.map(withCo2e),
+      vendors: report.vendors.map(withCo2e),
+    };
+  }
+
+  /**
+   * Send a page_weight summary once per page load, as the page is hidden
+   */
+  reportPageWeight() {
+    if (
+      this.pageWeightReported ||
+      !this.config.get("sendPageWeightReport") ||
+      !this.consent.hasConsent("performance")
+    ) {
+      return;
+    }
+
+    const report = this.getPageWeightReport();
+    if (!report || report.requests === 0) return;
+    this.pageWeightReported = true;
+
+    const round = (grams) => Number(grams.toFixed(6));
+
+    this.send("page_weight", {
+      total_requests: report.requests,
+      transfer_bytes: report.transferBytes,
+      first_party_bytes: report.firstPartyBytes,
+      third_party_bytes: report.thirdPartyBytes,
+      cache_hits: report.cacheHits,
+      cache_hit_ratio: Number((report.cacheHits / report.requests).toFixed(3)),
+      unmeasured_requests: report.unmeasured,
+      page_co2e_grams: round(report.co2eGrams),
+      bytes_by_category: report.byCategory,
+      top_third_parties: report.origins
+        .filter((origin) => !origin.firstParty)
+        .slice(0, 5)
+        .map((origin) => ({
+          origin: origin.origin,
+          vendor: origin.vendor,
+          category: origin.category,
+          requests: origin.requests,
+          transfer_bytes: origin.transferBytes,
+          co2e_grams: round(origin.co2eGrams),
+        })),
+    });
   }
 
   /**
-   * Calculate estimated request size
+   * Bytes of the request that carried an event, once it has completed
+   * @param {string} eventId Event ID
+   * @returns {number} Request plus response bytes, 0 if not sent yet
+   */
+  getTrackingRequestBytes(eventId) {
+    return this.transport.ledger.getRequestByEventId(eventId)?.bytes || 0;
+  }
+
+  /**
+   * Estimate the size of the request that will carry a payload: its exact
+   * body plus the request line and headers
    */
   estimateRequestSize(payload) {
     const jsonString = JSON.stringify(payload);
     const bodyBytes = new Blob([jsonString]).size;
-    
-    // Estimate HTTP headers (~800-1000 bytes)
-    const estimatedHeaders = 850;
-    
+    const url = withBatchId(this.config.get("apiUrl"), createBatchId());
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Tracker-Token": this.config.get("trackerToken"),
+    };
+
     return {
       bodyBytes,
-      estimatedTotal: bodyBytes + estimatedHeaders,
+      estimatedTotal: bodyBytes + estimateHeaderBytes(url, headers, bodyBytes),
       actualJson: jsonString
     };
   }
@@ -112,6 +209,11 @@ export class EventTracker {
       return null;
     }
 
+    if (!this.consent.hasConsent('geolocation')) {
+      this.logger.log('📍 No geolocation consent, skipping');
+      return null;
+    }
+
     //   Check cache status before requesting
     const cacheStatus = this.geolocationManager.getCacheStatus();
     this.logger.log('📍 Cache status before request:', cacheStatus);
@@ -146,32 +248,68 @@ export class EventTracker {
    * Send event with byte tracking
    * @param {string} event Event type
    * @param {Object} data Additional event data
+   * @param {Object} options { onDropped } called if the event is dropped
+   * before it reaches the transport (inactive session, consent, middleware)
    */
-  async send(event, data = {}) {
-    if (!this.session.isActive()) {
-      this.logger.error("Cannot send event without active session");
+  async send(event, data = {}, options = {}) {
+    // Engagement summaries and web vitals are sent as the visitor leaves,
+    // and neither they nor errors count as activity. session_end is sent
+    // for a session that has already been closed.
+    const isBackground = ["ping", "engagement", "web_vitals", "page_weight", "error"].includes(event);
+    if (!isBackground && event !== "session_end") {
+      this.session.touch();
+    }
+
+    if (!this.session.isActive() && !data.session_id) {
+      if (!isBackground) {
+        this.logger.error("Cannot send event without active session");
+      }
+      options.onDropped?.();
       return;
     }
 
-    const eventTypeMapping = {
-      session_start: "page_view",
-      page_view: "page_view",
-      ping: "page_view",
-      custom_event: "click",
-      session_end: "conversion",
-      button_click: "click",
-      form_submit: "conversion",
-      conversion: "conversion",
-    };
+    if (
+      !this.consent.hasConsent("analytics") &&
+      this.config.get("consentMode") === "drop"
+    ) {
+      this.logger.log("No analytics consent, event dropped:", event);
+      options.onDropped?.();
+      return;
+    }
 
-    const mappedEventType = eventTypeMapping[event] || "click";
-    const eventId = generateEventId();
+    // Drop identical conversions sent within 2 seconds (e.g. a
+    // double-clicked conversion button). Other events may legitimately
+    // repeat, like two add-to-cart clicks.
+    if (event === "conversion") {
+      const eventKey = `${event}_${JSON.stringify(data)}`;
+
+      if (this.sentEvents.has(eventKey)) {
+        this.logger.warn("Duplicate conversion prevented:", data.conversion_rule_id);
+        options.onDropped?.();
+        return;
+      }
+
+      this.sentEvents.set(eventKey, Date.now());
+
+      // Clean up old entries after 2 seconds
+      setTimeout(() => {
+        this.sentEvents.delete(eventKey);
+      }, 2000);
+    }
+
+    const mappedEventType = mapEventType(event);
 
     // Get performance data based on event type
     let performanceData = {};
     
-    if (event === "session_start") {
+    if (!this.consent.hasConsent("performance")) {
+      // Page weight data is only collected with performance consent
+    } else if (
+      !this.navigationReported &&
+      (event === "session_start" || event === "page_view")
+    ) {
       // Initial page load - use Navigation Timing API
+      this.navigationReported = true;
       const pageBytes = this.performanceMonitor.getPageViewBytes();
       if (pageBytes) {
         performanceData = {
@@ -192,7 +330,7 @@ export class EventTracker {
       };
 
       // Add event-specific byte fields
-      if (event === "page_view" || event === "ping") {
+      if (event === "page_view" || isBackground) {
         performanceData.bytesPerPageView = resourceBytes.total;
       } else if (event === "button_click" || mappedEventType === "click") {
         performanceData.bytesPerClick = resourceBytes.total;
@@ -204,26 +342,32 @@ export class EventTracker {
     //   NEW: Get geolocation data (only for session_start and conversions by default)
     let geolocationData = null;
     if (event === "session_start" || event === "conversion") {
-      geolocationData = await this.getGeolocationData();
+      // No time to wait for a position on the way out
+      geolocationData = this.exiting
+        ? this.lastGeolocation
+        : await this.getGeolocationData();
+      if (geolocationData) {
+        this.lastGeolocation = geolocationData;
+      }
     }
 
     // Build v2 payload format
     const payload = {
-      event: mappedEventType,
-      session_id: this.session.getId(),
-      timestamp: new Date().toISOString(),
-      tracker_token: this.config.get("trackerToken"),
-      utm_params: this.utmParams,
-      event_id: eventId,
-      user_id: data.user_id || this.session.getId(),
-      page_url:
-        typeof window !== "undefined"
-          ? window.location.href
-          : data.page_url || "",
-      referrer:
-        typeof document !== "undefined"
-          ? document.referrer
-          : data.referrer || "",
+      ...buildPayload(event, {
+        sessionId: this.session.getId(),
+        trackerToken: this.config.get("trackerToken"),
+        utmParams: this.utmParams,
+        userId: this.identity.getUserId(),
+        anonymousId: this.identity.getAnonymousId(),
+        pageUrl:
+          typeof window !== "undefined"
+            ? window.location.href
+            : data.page_url,
+        referrer:
+          typeof document !== "undefined"
+            ? document.referrer
+            : data.referrer,
+      }),
       ...performanceData,
       ...(geolocationData && { 
         geolocation: geolocationData,
@@ -232,6 +376,7 @@ export class EventTracker {
         location_accuracy: geolocationData.accuracy
       }),
       ...data,
+      consent: this.consent.getState(),
     };
 
     // Add estimated tracking request size
@@ -239,20 +384,16 @@ export class EventTracker {
     payload.trackingRequestBytes = requestSize.estimatedTotal;
     payload.trackingRequestBody = requestSize.bodyBytes;
 
-    // Prevent duplicate events
-    const eventKey = `${event}_${payload.timestamp}_${JSON.stringify(data)}`;
-
-    if (this.sentEvents.has(eventKey)) {
-      this.logger.warn("Duplicate event prevented:", event);
-      return;
-    }
-
-    this.sentEvents.set(eventKey, Date.now());
-
-    // Clean up old entries after 2 seconds
-    setTimeout(() => {
-      this.sentEvents.delete(eventKey);
-    }, 2000);
+    // Estimate emissions for the page bytes plus the tracking request itself
+    const eventBytes =
+      (performanceData.bytesPerPageView ||
+        performanceData.bytesPerClick ||
+        performanceData.bytesPerConversion ||
+        0) + requestSize.estimatedTotal;
+    const emissions = this.emissions.estimate(eventBytes, this.lastGeolocation);
+    this.emissions.record(event, eventBytes, emissions);
+    payload.co2e_grams = Number(emissions.co2eGrams.toFixed(6));
+    payload.grid_intensity = emissions.gridIntensity;
 
     this.logger.log("📤 Sending event with performance data:", {
       event: mappedEventType,
@@ -261,23 +402,101 @@ export class EventTracker {
       hasGeolocation: !!geolocationData
     });
     
-    this.transport.send(payload);
+    this.dispatch(payload, event, options.onDropped);
 
     // Update last event time AFTER sending
     setTimeout(() => {
       this.lastEventTime = Date.now();
-      
-      // Update byte tracking after request completes
-      const latestBytes = this.performanceMonitor.getLatestTrackingRequestBytes();
-      if (latestBytes > 0) {
-        this.logger.log(`  Captured ${latestBytes} bytes for ${event} event`);
-      }
     }, 100);
 
-    // CHECK URL CONVERSIONS ON EVERY PAGE VIEW
+    // Per-page conversion rules restart on every page view
     if (event === "page_view" || event === "session_start") {
-      this.checkUrlConversions();
+      this.conversions.handlePageView();
+    }
+  }
+
+  /**
+   * Run a payload through the middleware chain and hand it to the transport,
+   * holding it back until analytics consent is granted
+   * @param {Object} payload Event payload
+   * @param {string} eventName Event name before type mapping
+   * @param {Function} onDropped Called if the payload never reaches the transport
+   */
+  async dispatch(payload, eventName, onDropped) {
+    payload = this.exiting
+      ? this.pipeline.runSync(payload, { eventName })
+      : await this.pipeline.run(payload, { eventName });
+    if (!payload) {
+      onDropped?.();
+      return;
     }
+
+    if (eventName === "conversion") {
+      this.emitter.emit("conversion", payload);
+    }
+
+    if (!this.consent.hasConsent("analytics")) {
+      this.preConsentBuffer.push({ payload, eventName, onDropped });
+      if (this.preConsentBuffer.length > this.maxPreConsentBuffer) {
+        this.preConsentBuffer.shift().onDropped?.();
+      }
+      this.logger.log(
+        `No analytics consent, buffered ${payload.event} (${this.preConsentBuffer.length} pending)`
+      );
+      return;
+    }
+
+    this.enqueue(payload, eventName);
+  }
+
+  enqueue(payload, eventName) {
+    this.emitter.emit("event_queued", payload);
+    this.transport.send(payload, eventName);
+  }
+
+  /**
+   * Enter or leave the page-exit path. While exiting, send() skips the
+   * geolocation lookup and async middleware so an event reaches the
+   * transport before the page can be frozen or unloaded, and the
+   * transport beacons it.
+   * @param {boolean} exiting Whether the page is being hidden or left
+   */
+  setExiting(exiting) {
+    this.exiting = exiting;
+    this.transport.setExiting?.(exiting);
+  }
+
+  /**
+   * Hand everything the transport still holds to sendBeacon
+   */
+  drainOnExit() {
+    this.transport.drain();
+  }
+
+  /**
+   * Release or discard buffered payloads after a consent decision
+   * @param {Object} consentState Resolved consent state
+   */
+  handleConsentChange(consentState) {
+    if (this.preConsentBuffer.length === 0) return;
+
+    // Still waiting for an analytics decision
+    if (!consentState.analytics && !this.consent.isDecided("analytics")) return;
+
+    const buffered = this.preConsentBuffer;
+    this.preConsentBuffer = [];
+
+    if (!consentState.analytics) {
+      this.logger.log(`Analytics consent denied, discarded ${buffered.length} buffered events`);
+      buffered.forEach(({ onDropped }) => onDropped?.());
+      return;
+    }
+
+    this.logger.log(`Analytics consent granted, sending ${buffered.length} buffered events`);
+    buffered.forEach(({ payload, eventName }) => {
+      payload.consent = consentState;
+      this.enqueue(payload, eventName);
+    });
   }
 
   /**
@@ -294,16 +513,21 @@ export class EventTracker {
     });
 
     this.logger.log("Custom event tracked:", eventName);
+    this.conversions.handleCustomEvent(eventName, data);
   }
 
   /**
    * Update UTM parameters (e.g., for SPA navigation)
    */
   refreshUTMParams() {
-    this.utmParams = getUTMParams();
-    storeUTMParams(this.utmParams);
+    const utmParams = getUTMParams();
+    storeUTMParams(utmParams);
+    this.utmParams = { ...utmParams, ...this.attribution.capture() };
     this.logger.log("UTM parameters refreshed:", this.utmParams);
   }
+  /**
+   * Set up the conversion rules fetched from /keys/config
+   */
   applyConversionRules() {
     const rules = this.config.get("conversionRules") || [];
 
@@ -314,111 +538,24 @@ export class EventTracker {
       return;
     }
 
-    this.logger.log(`📋 Applying ${rules.length} conversion rules`);
-
-    // Apply click-based rules (set up event listeners)
-    rules.forEach((rule) => {
-      if (rule.type === "click") {
-        this.trackClickConversion(rule);
-      }
-    });
-
-    // Check URL-based rules immediately
-    this.checkUrlConversions();
-
+    this.conversions.apply(rules);
     this.conversionRulesApplied = true;
   }
 
-  //  NEW METHOD: Check URL conversions (called on every page view)
-  checkUrlConversions() {
-    const rules = this.config.get("conversionRules") || [];
-    const urlRules = rules.filter((r) => r.type === "url");
-
-    if (urlRules.length === 0) return;
-
-    const currentUrl = window.location.href;
-    const currentPath = window.location.pathname;
-
-    this.logger.log("🔍 Checking URL conversions for:", currentPath);
-
-    urlRules.forEach((rule) => {
-      let matched = false;
-      const pattern = rule.pattern;
-
-      switch (rule.match_type) {
-        case "contains":
-          matched =
-            currentUrl.includes(pattern) || currentPath.includes(pattern);
-          break;
-        case "exact":
-          matched = currentUrl === pattern || currentPath === pattern;
-          break;
-        case "starts_with":
-          matched =
-            currentUrl.startsWith(pattern) || currentPath.startsWith(pattern);
-          break;
-        case "ends_with":
-          matched =
-            currentUrl.endsWith(pattern) || currentPath.endsWith(pattern);
-          break;
-        case "regex":
-          try {
-            const regex = new RegExp(pattern);
-            matched = regex.test(currentUrl) || regex.test(currentPath);
-          } catch (e) {
-            this.logger.error("Invalid regex pattern:", pattern, e);
-          }
-          break;
-      }
-
-      if (matched) {
-        this.logger.log("🎯 URL conversion matched:", rule);
-        this.send("conversion", {
-          conversion_type: "url",
-          conversion_label: rule.name,
-          conversion_url: currentUrl,
-          conversion_rule_id: rule.id,
-          match_type: rule.match_type,
-          pattern: pattern,
-        });
-      }
-    });
-  }
-
-  trackUrlConversion(rule) {
-    // This is now handled by checkUrlConversions()
-    this.logger.warn(
-      "trackUrlConversion is deprecated, use checkUrlConversions instead"
-    );
-  }
-
-  trackClickConversion(rule) {
-    this.logger.log("Setting up click conversion listener for:", rule.selector);
-
-    document.addEventListener("click", (event) => {
-      const target = event.target.closest(rule.selector);
-
-      if (target) {
-        this.logger.log("🎯 Click conversion matched:", rule);
-        this.send("conversion", {
-          conversion_type: "click",
-          conversion_label: rule.name,
-          conversion_selector: rule.selector,
-          conversion_element: target.tagName,
-          conversion_rule_id: rule.id,
-          element_text: target.innerText?.substring(0, 100),
-        });
-      }
-    });
-  }
-
   /**
-   * Get aggregated bytes by event type
+   * Bytes of the SDK's own tracking requests, in total and by event type
+   * @returns {Object} { requests, measuredRequests, requestBytes,
+   * responseBytes, total, byEventType, pageView, clicks, conversions }
    */
   getBytesTracked() {
+    const totals = this.transport.getBytesTracked();
+    const bytesOf = (type) => totals.byEventType[type]?.bytes || 0;
+
     return {
-      ...this.bytesTracked,
-      total: Object.values(this.bytesTracked).reduce((a, b) => a + b, 0),
+      ...totals,
+      pageView: bytesOf("page_view"),
+      clicks: bytesOf("click"),
+      conversions: bytesOf("conversion"),
     };
   }
 
@@ -426,6 +563,11 @@ export class EventTracker {
    *   NEW: Manually request location (useful for opt-in consent)
    */
   async requestUserLocation() {
+    if (!this.consent.hasConsent('geolocation')) {
+      this.logger.warn('📍 Location request skipped: no geolocation consent');
+      return null;
+    }
+
     this.logger.log('📍 Manual location request initiated');
     
     // Log current permission status
@@ -440,6 +582,8 @@ export class EventTracker {
         longitude: location.longitude.toFixed(6),
         accuracy: `${Math.round(location.accuracy)}m`
       });
+      this.lastGeolocation = location;
+      this.emitter.emit('location_obtained', location);
       return location;
     } else {
       this.logger.warn('❌ Manual location request failed');
@@ -9,15 +9,18 @@ export class PageViewTracker {
     this.logger = logger;
   }
 
-  
-  track(pagePath) {
+  /**
+   * @param {string} [pagePath] Path to report instead of the current one
+   * @param {Object} [data] Extra event data
+   */
+  track(pagePath, data = {}) {
     const pageInfo = getPageInfo();
     
     if (pagePath) {
       pageInfo.page_path = pagePath;
     }
 
-    this.eventTracker.send('page_view', pageInfo);
+    this.eventTracker.send('page_view', { ...pageInfo, ...data });
     this.state.set('lastPath', pageInfo.page_path);
     this.logger.log('Page view tracked:', pageInfo.page_path);
   }
@@ -0,0 +1,50 @@
+import { generateEventId } from '../utils/utm.js';
+
+/**
+ * SDK event names mapped to the v2 API event types
+ */
+export const EVENT_TYPE_MAPPING = {
+  session_start: 'page_view',
+  page_view: 'page_view',
+  ping: 'page_view',
+  engagement: 'engagement',
+  web_vitals: 'web_vitals',
+  page_weight: 'page_weight',
+  custom_event: 'click',
+  error: 'error',
+  session_end: 'conversion',
+  button_click: 'click',
+  form_submit: 'conversion',
+  conversion: 'conversion'
+};
+
+/**
+ * Map an SDK event name to its v2 API event type
+ * @param {string} event SDK event name
+ * @returns {string} API event type, `click` for unknown events
+ */
+export function mapEventType(event) {
+  return EVENT_TYPE_MAPPING[event] || 'click';
+}
+
+/**
+ * Core v2 payload fields shared by the browser and Node clients. Callers
+ * spread their own event data over the result.
+ * @param {string} event SDK event name
+ * @param {Object} context { sessionId, trackerToken, utmParams, userId, anonymousId, pageUrl, referrer }
+ * @returns {Object} v2 payload
+ */
+export function buildPayload(event, context) {
+  return {
+    event: mapEventType(event),
+    session_id: context.sessionId ?? null,
+    timestamp: new Date().toISOString(),
+    tracker_token: context.trackerToken,
+    utm_params: context.utmParams ?? null,
+    event_id: generateEventId(),
+    user_id: context.userId || context.anonymousId || null,
+    anonymous_id: context.anonymousId ?? null,
+    page_url: context.pageUrl || '',
+    referrer: context.referrer || ''
+  };
+}
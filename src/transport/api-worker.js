@@ -1,16 +1,74 @@
+import { PersistentQueue } from './queue.js';
+import {
+  RetryPolicy,
+  computeBackoffDelay,
+  parseRetryAfter,
+  isRetryableStatus
+} from './retry.js';
+import { sendBeaconBatches } from './beacon.js';
+import {
+  RequestLedger,
+  getEventsUrl,
+  createBatchId,
+  withBatchId,
+  estimateHeaderBytes,
+  getBatchId,
+  summarizeBatch,
+  describeRequest
+} from './ledger.js';
+
 export class ApiWorkerTransport {
-  constructor(config, logger) {
+  constructor(config, logger, emitter) {
     this.config = config;
     this.logger = logger;
+    this.emitter = emitter;
     this.worker = null;
     this.isSupported = this.checkWorkerSupport();
-    this.queueSize = 0;
+    // Durable mirror of everything the worker has not yet delivered
+    this.queue = new PersistentQueue(config, logger);
+    this.retryPolicy = new RetryPolicy(config, logger);
+    // Retries of main-thread deliveries, when no worker is available
+    this.retryTimer = null;
+    // Event IDs in a request the worker has started, which drain() skips
+    this.inFlight = new Set();
+    this.exiting = false;
+    // Requests made by the worker are measured there and reported back
+    this.ledger = new RequestLedger(logger);
+    if (typeof window !== 'undefined') {
+      this.setupOnlineListener();
+      this.ledger.observe();
+    }
     
     if (this.isSupported) {
       this.initWorker();
     } else {
       this.logger.warn('Web Workers not supported, falling back to main thread');
     }
+
+    this.queue.restored.then((entries) => this.replay(entries));
+  }
+
+  /**
+   * Hand events persisted by previous page loads back to the worker
+   * @param {Array} entries Restored queue entries
+   */
+  replay(entries) {
+    if (entries.length === 0) return;
+
+    this.logger.log(`Replaying ${entries.length} persisted events`);
+
+    if (!this.worker) {
+      this.flushDirect();
+      return;
+    }
+
+    entries.forEach((entry) => {
+      this.worker.postMessage({
+        type: 'TRACK_EVENT',
+        payload: entry.payload,
+        attempts: entry.attempts || 0
+      });
+    });
   }
 
   checkWorkerSupport() {
@@ -38,13 +96,14 @@ export class ApiWorkerTransport {
         payload: {
           apiUrl: this.config.get('apiUrl'),
           trackerToken: this.config.get('trackerToken'),
-          batchSize: 10,
-          batchInterval: 5000
+          batchSize: this.config.get('batchSize'),
+          batchInterval: this.config.get('batchInterval'),
+          maxRetries: this.retryPolicy.getMaxRetries(),
+          retryDelay: this.config.get('retryDelay') || 1000,
+          maxRetryDelay: this.config.get('maxRetryDelay') || 60000
         }
       });
       
-      this.setupOnlineListener();
-      
       this.logger.log('Web Worker initialized for v2 event processing');
     } catch (error) {
       this.logger.error('Failed to initialize worker:', error);
@@ -57,7 +116,19 @@ export class ApiWorkerTransport {
       let config = null;
       let eventQueue = [];
       let flushTimer = null;
-      let isOnline = true;
+      let retryTimer = null;
+      let isOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+      const attempts = new Map();
+
+      const computeBackoffDelay = ${computeBackoffDelay.toString()};
+      const parseRetryAfter = ${parseRetryAfter.toString()};
+      const isRetryableStatus = ${isRetryableStatus.toString()};
+      const getEventsUrl = ${getEventsUrl.toString()};
+      const createBatchId = ${createBatchId.toString()};
+      const withBatchId = ${withBatchId.toString()};
+      const estimateHeaderBytes = ${estimateHeaderBytes.toString()};
+      const getBatchId = ${getBatchId.toString()};
+      const summarizeBatch = ${summarizeBatch.toString()};
 
       self.addEventListener('message', async (event) => {
         const { type, payload } = event.data;
@@ -76,6 +147,9 @@ export class ApiWorkerTransport {
             break;
           
           case 'TRACK_EVENT':
+            if (event.data.attempts) {
+              attempts.set(payload.event_id, event.data.attempts);
+            }
             eventQueue.push({ ...payload, queuedAt: Date.now() });
             if (eventQueue.length >= (config.batchSize || 10)) {
               flushQueue();
@@ -95,77 +169,267 @@ export class ApiWorkerTransport {
             isOnline = false;
             break;
           
+          case 'DISCARD_EVENTS': {
+            // Taken over by the page on exit
+            const discarded = new Set(event.data.eventIds);
+            eventQueue = eventQueue.filter((queued) => !discarded.has(queued.event_id));
+            discarded.forEach((id) => attempts.delete(id));
+            break;
+          }
+
           case 'GET_QUEUE_SIZE':
             self.postMessage({ type: 'QUEUE_SIZE', size: eventQueue.length });
             break;
         }
       });
 
+      let isFlushing = false;
+
       async function flushQueue() {
-        if (eventQueue.length === 0 || !isOnline) return;
-        
-        const batch = [...eventQueue];
-        eventQueue = [];
-        
-        try {
-          // Send individual events
-          for (const event of batch) {
-            // Ensure URL always has trailing slash
-            let url = config.apiUrl;
-            if (!url.endsWith('/')) {
-              url = url + '/';
-            }
-            
-            const response = await fetch(url, {
+        if (eventQueue.length === 0 || !isOnline || isFlushing || retryTimer) return;
+
+        isFlushing = true;
+
+        const url = getEventsUrl(config.apiUrl);
+
+        while (eventQueue.length > 0 && isOnline) {
+          const batch = eventQueue.splice(0, config.batchSize || 10);
+          self.postMessage({ type: 'FLUSH_START', eventIds: batch.map((event) => event.event_id) });
+          const body = JSON.stringify({ events: batch, batch: true });
+          const batchUrl = withBatchId(url, createBatchId());
+          const headers = {
+            'Content-Type': 'application/json',
+            'X-Tracker-Token': config.trackerToken
+          };
+
+          try {
+            const response = await fetch(batchUrl, {
               method: 'POST',  // Explicitly set POST
-              headers: {
-                'Content-Type': 'application/json',
-                'X-Tracker-Token': config.trackerToken
-              },
-              body: JSON.stringify(event),
-              keepalive: true,
+              headers,
+              body,
+              // keepalive requests are capped at 64KB by the browser
+              keepalive: body.length < 60000,
               redirect: 'error'  // Don't follow redirects
             });
-            
-            if (response.status !== 202 && response.status !== 200) {
-              throw new Error(\`HTTP \${response.status}\`);
+
+            if (response.status !== 202 && response.status !== 200 && response.status !== 207) {
+              const error = new Error(\`HTTP \${response.status}\`);
+              error.status = response.status;
+              if (response.status === 429 || response.status === 503) {
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+              }
+              throw error;
             }
+
+            const failures = await getFailedResults(response, batch);
+            reportRequest(batchUrl, headers, batch, body);
+            const isFailed = (event) => failures.has(event.event_id);
+            const sent = batch.filter((event) => !isFailed(event));
+
+            sent.forEach((event) => attempts.delete(event.event_id));
+            self.postMessage({
+              type: 'FLUSH_SUCCESS',
+              count: sent.length,
+              eventIds: sent.map((event) => event.event_id)
+            });
+
+            if (sent.length < batch.length) {
+              const message = \`\${batch.length - sent.length} events not acknowledged\`;
+              handleFailure(
+                batch.filter((event) => isFailed(event) && failures.get(event.event_id)),
+                message, true, null
+              );
+              handleFailure(
+                batch.filter((event) => isFailed(event) && !failures.get(event.event_id)),
+                message, false, null
+              );
+              break;
+            }
+          } catch (error) {
+            reportRequest(batchUrl, headers, batch, body);
+            handleFailure(
+              batch,
+              error.message,
+              error.status ? isRetryableStatus(error.status) : true,
+              error.retryAfter ?? null
+            );
+            break;
           }
-          
-          self.postMessage({ type: 'FLUSH_SUCCESS', count: batch.length });
+        }
+
+        isFlushing = false;
+      }
+
+      // Count a failed attempt for each event, re-queue the ones that may be
+      // retried after a backoff and report the rest as dropped
+      function handleFailure(events, error, retryable, retryAfter) {
+        if (events.length === 0) return;
+
+        const retry = [];
+        const dropped = [];
+
+        events.forEach((event) => {
+          const count = (attempts.get(event.event_id) || 0) + 1;
+          if (retryable && count <= config.maxRetries) {
+            attempts.set(event.event_id, count);
+            retry.push(event);
+          } else {
+            attempts.delete(event.event_id);
+            dropped.push(event);
+          }
+        });
+
+        if (retry.length > 0) {
+          eventQueue.unshift(...retry);
+
+          const attempt = Math.max(...retry.map((event) => attempts.get(event.event_id)));
+          const delay = retryAfter !== null
+            ? retryAfter
+            : computeBackoffDelay(attempt, config.retryDelay, config.maxRetryDelay);
+
+          clearTimeout(retryTimer);
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flushQueue();
+          }, delay);
+
+          self.postMessage({
+            type: 'FLUSH_ERROR',
+            error,
+            count: retry.length,
+            eventIds: retry.map((event) => event.event_id),
+            retryIn: delay
+          });
+        }
+
+        if (dropped.length > 0) {
+          self.postMessage({
+            type: 'EVENTS_DROPPED',
+            events: dropped,
+            reason: retryable ? 'max_retries_exceeded' : 'rejected'
+          });
+        }
+      }
+
+      // Send the request's size to the page. Its Resource Timing entry lives
+      // in the worker's timeline and is added once the response is read.
+      function reportRequest(batchUrl, headers, batch, body) {
+        const bodyBytes = new TextEncoder().encode(body).length;
+        const record = {
+          batchId: getBatchId(batchUrl),
+          eventIds: batch.map((event) => event.event_id),
+          byEventType: summarizeBatch(batch),
+          requestBytes: bodyBytes + estimateHeaderBytes(batchUrl, headers, bodyBytes)
+        };
+
+        setTimeout(() => {
+          const entry = performance.getEntriesByName(batchUrl).pop();
+          performance.clearResourceTimings();
+          self.postMessage({
+            type: 'REQUEST_COMPLETE',
+            record,
+            transferSize: entry ? entry.transferSize : 0
+          });
+        }, 0);
+      }
+
+      // Read per-event acknowledgements from a batch response. The API answers
+      // with { results: [{ event_id, success, retryable }] }; a 200 or 202
+      // without results acknowledges the whole batch. A 207 promises results,
+      // so when its body can't be read nothing in the batch is known to be
+      // delivered and all of it is retried. Maps failed IDs to retryability.
+      async function getFailedResults(response, batch) {
+        const failures = new Map();
+        let results = null;
+
+        try {
+          const data = await response.json();
+          results = Array.isArray(data?.results) ? data.results : null;
         } catch (error) {
-          eventQueue.push(...batch);
-          self.postMessage({ type: 'FLUSH_ERROR', error: error.message, count: batch.length });
+          results = null;
         }
+
+        if (!results) {
+          if (response.status === 207) {
+            batch.forEach((event) => failures.set(event.event_id, true));
+          }
+          return failures;
+        }
+
+        results
+          .filter((result) => result.success === false)
+          .forEach((result) => failures.set(result.event_id, result.retryable !== false));
+
+        return failures;
       }
     `;
   }
 
   handleWorkerMessage(data) {
-    const { type, count, error, size } = data;
+    const { type, count, error, eventIds, events, reason, retryIn } = data;
     
     switch (type) {
+      case 'REQUEST_COMPLETE':
+        this.ledger.settle(data.record, data.transferSize);
+        break;
+
       case 'INIT_SUCCESS':
         this.logger.log('Worker ready for v2 API');
         break;
+
+      case 'FLUSH_START':
+        eventIds.forEach((id) => this.inFlight.add(id));
+        break;
       
       case 'FLUSH_SUCCESS':
+        (eventIds || []).forEach((id) => {
+          this.inFlight.delete(id);
+          const entry = this.queue.get(id);
+          this.queue.remove(id);
+          if (entry) {
+            this.emitter.emit('event_sent', entry.payload);
+          }
+        });
         this.logger.log(`Worker flushed ${count} v2 events`);
         break;
       
       case 'FLUSH_ERROR':
-        this.logger.error(`Worker flush failed: ${error}`);
+        // Keep persisted attempt counts in step with the worker's
+        (eventIds || []).forEach((id) => {
+          this.inFlight.delete(id);
+          const entry = this.queue.get(id);
+          if (entry) {
+            entry.attempts = (entry.attempts || 0) + 1;
+            this.queue.update(entry);
+            this.emitter.emit('event_failed', {
+              payload: entry.payload,
+              error,
+              attempts: entry.attempts,
+              willRetry: true
+            });
+          }
+        });
+        this.logger.error(`Worker flush failed: ${error}, retrying ${count} events in ${retryIn}ms`);
         break;
-      
-      case 'QUEUE_SIZE':
-        this.queueSize = size;
+
+      case 'EVENTS_DROPPED':
+        events.forEach((event) => {
+          this.inFlight.delete(event.event_id);
+          this.queue.remove(event.event_id);
+          this.emitter.emit('event_failed', { payload: event, error: reason, willRetry: false });
+        });
+        this.retryPolicy.deadLetter(events, reason);
         break;
     }
   }
 
   setupOnlineListener() {
     window.addEventListener('online', () => {
-      this.worker?.postMessage({ type: 'ONLINE' });
+      if (this.worker) {
+        this.worker.postMessage({ type: 'ONLINE' });
+      } else {
+        this.flushDirect();
+      }
     });
 
     window.addEventListener('offline', () => {
@@ -174,6 +438,16 @@ export class ApiWorkerTransport {
   }
 
   async send(payload) {
+    this.queue.add(payload);
+
+    // The worker may not run again once the page is hidden. drain() hands
+    // anything it can't beacon back to the worker.
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    if (this.exiting && this.worker && online) {
+      this.drain();
+      return !this.queue.has(payload.event_id);
+    }
+
     if (!this.worker) {
       return this.sendDirect(payload);
     }
@@ -186,37 +460,204 @@ export class ApiWorkerTransport {
     return true;
   }
 
+  /**
+   * Deliver on the main thread when no worker is available. Failures go
+   * through the RetryPolicy as in ApiTransport: retried with backoff, then
+   * dead-lettered.
+   * @param {Object} payload Event payload
+   * @returns {Promise<boolean>} Whether the event was delivered
+   */
   async sendDirect(payload) {
+    // Stays queued; the online listener flushes it
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.logger.warn('Offline, queueing event');
+      return false;
+    }
+
+    const result = await this.deliverDirect(payload);
+    const entry = this.queue.get(payload.event_id);
+
+    if (result.success) {
+      this.queue.remove(payload.event_id);
+      this.emitter.emit('event_sent', payload);
+    } else if (entry) {
+      this.handleDirectFailure(entry, result);
+    }
+    return result.success;
+  }
+
+  /**
+   * Attempt a single main-thread delivery without touching the queue
+   * @param {Object} payload Event payload
+   * @returns {Promise<Object>} { success, retryable, retryAfter, error }
+   */
+  async deliverDirect(payload) {
     try {
-      const response = await fetch(this.config.get('apiUrl'), {
+      const url = withBatchId(getEventsUrl(this.config.get('apiUrl')), createBatchId());
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Tracker-Token': this.config.get('trackerToken')
+      };
+      const body = JSON.stringify(payload);
+      this.ledger.track(describeRequest(url, headers, [payload], body));
+
+      const response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Tracker-Token': this.config.get('trackerToken')
-        },
-        body: JSON.stringify(payload),
+        headers,
+        body,
         keepalive: true
       });
-      
-      return response.status === 202;
+
+      if (response.status === 202 || response.status === 200) {
+        return { success: true };
+      }
+
+      return {
+        success: false,
+        retryable: isRetryableStatus(response.status),
+        retryAfter: response.status === 429 || response.status === 503
+          ? parseRetryAfter(response.headers.get('Retry-After'))
+          : null,
+        error: `HTTP ${response.status}`
+      };
     } catch (error) {
       this.logger.error('Direct send failed:', error);
-      return false;
+      return { success: false, retryable: true, retryAfter: null, error: error.message };
     }
   }
 
+  /**
+   * Count a failed attempt and either schedule a retry or dead-letter the event
+   * @param {Object} entry Queue entry
+   * @param {Object} result Result from deliverDirect()
+   */
+  handleDirectFailure(entry, result) {
+    entry.attempts = (entry.attempts || 0) + 1;
+
+    const willRetry = result.retryable && this.retryPolicy.canRetry(entry.attempts);
+    this.emitter.emit('event_failed', {
+      payload: entry.payload,
+      error: result.error,
+      attempts: entry.attempts,
+      willRetry
+    });
+
+    if (!willRetry) {
+      this.queue.remove(entry.id);
+      this.retryPolicy.deadLetter(
+        [entry.payload],
+        result.retryable ? 'max_retries_exceeded' : 'rejected'
+      );
+      return;
+    }
+
+    this.queue.update(entry);
+    this.scheduleDirectRetry(this.retryPolicy.getDelay(entry.attempts, result.retryAfter));
+  }
+
+  scheduleDirectRetry(delay) {
+    if (this.retryTimer) return;
+
+    this.logger.log(`Retrying queued events in ${delay}ms`);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flushDirect();
+    }, delay);
+  }
+
+  /**
+   * Deliver everything queued on the main thread, one event at a time
+   */
+  async flushDirect() {
+    if (this.worker || this.isFlushing || this.queue.size() === 0) return;
+
+    this.isFlushing = true;
+
+    for (const entry of this.queue.getAll()) {
+      await this.sendDirect(entry.payload);
+      // Leave the rest queued until the scheduled retry
+      if (this.retryTimer) break;
+    }
+
+    this.isFlushing = false;
+  }
+
   async flushQueue() {
     this.worker?.postMessage({ type: 'FLUSH_QUEUE' });
   }
 
+  /**
+   * Enter or leave the page-exit path, where events are beaconed from the
+   * persisted mirror instead of waiting for the worker
+   * @param {boolean} exiting Whether the page is being hidden or left
+   */
+  setExiting(exiting) {
+    this.exiting = exiting;
+  }
+
+  /**
+   * Synchronously hand every undelivered event to sendBeacon as the page
+   * is hidden or left. The worker may not get to run again, so the events
+   * come from the persisted mirror. Events in a request the worker has
+   * already started are left to its keepalive fetch, and the rest are
+   * taken out of the worker's queue before they are beaconed, so one
+   * event is not sent by both. Refused events go back to the worker and
+   * stay persisted for the next page load.
+   */
+  drain() {
+    if (this.queue.size() === 0) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    const entries = this.queue.getAll().filter((entry) => !this.inFlight.has(entry.id));
+    if (entries.length === 0) return;
+
+    this.worker?.postMessage({
+      type: 'DISCARD_EVENTS',
+      eventIds: entries.map((entry) => entry.id)
+    });
+
+    const sent = new Set(sendBeaconBatches(
+      this.config.get('apiUrl'),
+      entries.map((entry) => entry.payload),
+      this.ledger
+    ));
+
+    entries.forEach((entry) => {
+      if (sent.has(entry.id)) {
+        this.queue.remove(entry.id);
+        this.emitter.emit('event_sent', entry.payload);
+      } else {
+        this.worker?.postMessage({
+          type: 'TRACK_EVENT',
+          payload: entry.payload,
+          attempts: entry.attempts || 0
+        });
+      }
+    });
+
+    this.logger.log(`Drained ${sent.size} of ${entries.length} pending events via sendBeacon`);
+  }
+
   getQueueSize() {
-    if (!this.worker) return 0;
-    
-    this.worker.postMessage({ type: 'GET_QUEUE_SIZE' });
-    return this.queueSize;
+    return this.queue.size();
+  }
+
+  getDeadLetters() {
+    return this.retryPolicy.getDeadLetters();
+  }
+
+  /**
+   * Bytes of the SDK's own tracking requests
+   * @returns {Object} Ledger totals
+   */
+  getBytesTracked() {
+    return this.ledger.getTotals();
   }
 
   terminate() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
     if (this.worker) {
       this.worker.terminate();
       this.worker = null;
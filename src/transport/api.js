@@ -1,13 +1,31 @@
+import { PersistentQueue } from './queue.js';
+import { RetryPolicy, parseRetryAfter, isRetryableStatus } from './retry.js';
+import { sendBeaconBatches } from './beacon.js';
+import { RequestLedger, getEventsUrl, createBatchId, withBatchId, describeRequest } from './ledger.js';
+
 export class ApiTransport {
-  constructor(config, logger) {
+  constructor(config, logger, emitter) {
     this.config = config;
     this.logger = logger;
-    this.queue = [];
+    this.emitter = emitter;
+    this.queue = new PersistentQueue(config, logger);
+    this.retryPolicy = new RetryPolicy(config, logger);
+    this.ledger = new RequestLedger(logger);
+    this.retryTimer = null;
+    this.exiting = false;
     this.isOnline = typeof navigator !== 'undefined' ? navigator.onLine : true;
     
     if (typeof window !== 'undefined') {
       this.setupOnlineListener();
+      this.ledger.observe();
     }
+
+    // Replay events left over from previous page loads
+    this.queue.restored.then((entries) => {
+      if (entries.length > 0) {
+        this.flushQueue();
+      }
+    });
   }
 
   setupOnlineListener() {
@@ -23,65 +41,151 @@ export class ApiTransport {
     });
   }
 
-  async send(payload) {
+  /**
+   * Send one event, queueing it for retry when delivery fails
+   * @param {Object} payload Event payload
+   * @param {string} eventName Event name before type mapping
+   */
+  async send(payload, eventName) {
     if (!this.isOnline) {
       this.logger.warn('Offline, queueing event');
-      this.queue.push(payload);
+      this.queue.add(payload);
       return false;
     }
 
+    // Persisted first, so an event the browser refuses to beacon is
+    // replayed on the next page load
+    if (this.exiting) {
+      this.queue.add(payload);
+      this.drain();
+      return !this.queue.has(payload.event_id);
+    }
+
+    const result = await this.deliver(payload, eventName);
+    if (result.success) {
+      this.emitter.emit('event_sent', payload);
+    } else {
+      this.handleFailure(this.queue.add(payload), result);
+    }
+    return result.success;
+  }
+
+  /**
+   * Attempt a single delivery without touching the queue
+   * @param {Object} payload Event payload
+   * @param {string} [eventName] Event name before type mapping
+   * @returns {Promise<Object>} { success, retryable, retryAfter }
+   */
+  async deliver(payload, eventName) {
     const apiUrl = this.config.get('apiUrl');
     
     try {
-      if (this.shouldUseSendBeacon(payload.event)) {
+      if (this.shouldUseSendBeacon(eventName)) {
         const success = this.sendViaBeacon(apiUrl, payload);
         if (success) {
           this.logger.log('Event sent via sendBeacon:', payload.event);
-          return true;
+          return { success: true };
         }
       }
 
       const response = await this.sendViaFetch(apiUrl, payload);
       this.logger.log('Event sent via fetch:', payload.event, 'Status:', response.status);
-      return true;
+      return { success: true };
 
     } catch (error) {
       this.logger.error('Failed to send event:', error);
-      this.queue.push(payload);
-      return false;
+      return {
+        success: false,
+        // Network errors carry no status and are always worth retrying
+        retryable: error.status ? isRetryableStatus(error.status) : true,
+        retryAfter: error.retryAfter ?? null,
+        error: error.message
+      };
     }
   }
 
-  sendViaBeacon(url, payload) {
+  /**
+   * Count a failed attempt and either schedule a retry or dead-letter the event
+   * @param {Object} entry Queue entry
+   * @param {Object} result Result from deliver()
+   */
+  handleFailure(entry, result) {
+    entry.attempts = (entry.attempts || 0) + 1;
+
+    const willRetry = result.retryable && this.retryPolicy.canRetry(entry.attempts);
+    this.emitter.emit('event_failed', {
+      payload: entry.payload,
+      error: result.error,
+      attempts: entry.attempts,
+      willRetry
+    });
+
+    if (!willRetry) {
+      this.queue.remove(entry.id);
+      this.retryPolicy.deadLetter(
+        [entry.payload],
+        result.retryable ? 'max_retries_exceeded' : 'rejected'
+      );
+      return;
+    }
+
+    this.queue.update(entry);
+    this.scheduleRetry(this.retryPolicy.getDelay(entry.attempts, result.retryAfter));
+  }
+
+  scheduleRetry(delay) {
+    if (this.retryTimer) return;
+
+    this.logger.log(`Retrying queued events in ${delay}ms`);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flushQueue();
+    }, delay);
+  }
+
+  /**
+   * Beacon one event. sendBeacon can't set the X-Tracker-Token header, so
+   * the API authenticates it by the payload's `tracker_token`.
+   * @param {string} apiUrl API endpoint
+   * @param {Object} payload Event payload
+   * @returns {boolean} Whether the browser accepted it
+   */
+  sendViaBeacon(apiUrl, payload) {
     if (typeof navigator === 'undefined' || !navigator.sendBeacon) {
       return false;
     }
 
     try {
-      const blob = new Blob([JSON.stringify(payload)], { 
+      const json = JSON.stringify(payload);
+      const url = withBatchId(getEventsUrl(apiUrl), createBatchId());
+      const sent = navigator.sendBeacon(url, new Blob([json], {
         type: 'application/json' 
-      });
-      return navigator.sendBeacon(url, blob);
+      }));
+      if (sent) {
+        this.ledger.track(describeRequest(url, { 'Content-Type': 'application/json' }, [payload], json));
+      }
+      return sent;
     } catch (error) {
       this.logger.error('sendBeacon failed:', error);
       return false;
     }
   }
 
-  async sendViaFetch(url, payload) {
-    if (!url.endsWith('/')) {
-      url = url + '/';
-    }
-    
+  async sendViaFetch(apiUrl, payload) {
+    const url = withBatchId(getEventsUrl(apiUrl), createBatchId());
     this.logger.log('Sending payload to:', url, payload);
     
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Tracker-Token': this.config.get('trackerToken')
+    };
+    const body = JSON.stringify(payload);
+    this.ledger.track(describeRequest(url, headers, [payload], body));
+
     const response = await fetch(url, {
       method: 'POST',  // Explicitly set POST
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Tracker-Token': this.config.get('trackerToken')
-      },
-      body: JSON.stringify(payload),
+      headers,
+      body,
       keepalive: true,
       redirect: 'error'  // Don't follow redirects that might change method
     });
@@ -89,39 +193,106 @@ export class ApiTransport {
     // Handle responses
     if (response.status === 202 || response.status === 200) {
       return response;
-    } else if (response.status === 500) {
+    }
+
+    let message = `HTTP error! status: ${response.status}`;
+    if (response.status === 500) {
       // Parse error details
       try {
         const errorData = await response.json();
-        throw new Error(`API Error: ${errorData.message || 'Unknown error'}`);
+        message = `API Error: ${errorData.message || 'Unknown error'}`;
       } catch (parseError) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // Keep the status-only message
       }
-    } else {
-      throw new Error(`HTTP error! status: ${response.status}`);
     }
+
+    const error = new Error(message);
+    error.status = response.status;
+    if (response.status === 429 || response.status === 503) {
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    }
+    throw error;
+  }
+
+  /**
+   * Whether to send through sendBeacon, which survives the page going away
+   * but reports no response: for exit events, and for anything sent on the
+   * page-exit path
+   * @param {string} [eventName] Event name before type mapping
+   */
+  shouldUseSendBeacon(eventName) {
+    return this.exiting || ['session_end', 'page_unload'].includes(eventName);
   }
 
-  shouldUseSendBeacon(eventType) {
-    return ['session_end', 'page_unload'].includes(eventType);
+  /**
+   * Enter or leave the page-exit path. While exiting, events are queued
+   * and beaconed straight away; on return, whatever the browser refused is
+   * flushed normally.
+   * @param {boolean} exiting Whether the page is being hidden or left
+   */
+  setExiting(exiting) {
+    this.exiting = exiting;
+    if (!exiting) this.flushQueue();
+  }
+
+  /**
+   * Synchronously hand every queued event to sendBeacon as the page is
+   * hidden or left. Events the browser refuses stay persisted and are
+   * replayed on the next page load.
+   */
+  drain() {
+    if (!this.isOnline || this.queue.size() === 0) return;
+
+    const entries = this.queue.getAll();
+    const sent = sendBeaconBatches(
+      this.config.get('apiUrl'),
+      entries.map((entry) => entry.payload),
+      this.ledger
+    );
+
+    sent.forEach((id) => {
+      const entry = this.queue.get(id);
+      this.queue.remove(id);
+      this.emitter.emit('event_sent', entry.payload);
+    });
+
+    this.logger.log(`Drained ${sent.length} of ${entries.length} queued events via sendBeacon`);
   }
 
   async flushQueue() {
-    if (this.queue.length === 0) return;
+    if (this.queue.size() === 0 || !this.isOnline || this.isFlushing) return;
 
-    this.logger.log(`Flushing ${this.queue.length} queued events`);
-    const queue = [...this.queue];
-    this.queue = [];
+    this.isFlushing = true;
+    this.logger.log(`Flushing ${this.queue.size()} queued events`);
 
-    for (const payload of queue) {
-      const success = await this.send(payload);
-      if (!success) {
-        this.queue.push(payload);
+    for (const entry of this.queue.getAll()) {
+      const result = await this.deliver(entry.payload);
+      if (result.success) {
+        this.queue.remove(entry.id);
+        this.emitter.emit('event_sent', entry.payload);
+      } else {
+        this.handleFailure(entry, result);
+        // Leave the rest queued until the scheduled retry
+        if (this.retryTimer) break;
       }
     }
+
+    this.isFlushing = false;
   }
 
   getQueueSize() {
-    return this.queue.length;
+    return this.queue.size();
+  }
+
+  getDeadLetters() {
+    return this.retryPolicy.getDeadLetters();
+  }
+
+  /**
+   * Bytes of the SDK's own tracking requests
+   * @returns {Object} Ledger totals
+   */
+  getBytesTracked() {
+    return this.ledger.getTotals();
   }
 }
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { getEventsUrl, createBatchId, withBatchId, describeRequest } from './ledger.js';
+
+// Browsers cap the body of in-flight sendBeacon requests at 64KB per page
+export const BEACON_MAX_BYTES = 60000;
+
+const encoder = typeof TextEncoder !== 'undefined' ? new TextEncoder() : null;
+
+function byteLength(value) {
+  return encoder ? encoder.encode(value).length : value.length;
+}
+
+/**
+ * Split payloads into batches whose `{ events, batch: true }` body stays
+ * under maxBytes. A payload too large on its own is left out.
+ * @param {Array} payloads Event payloads
+ * @param {number} maxBytes Body size limit
+ * @returns {Array<Array>} Batches
+ */
+export function chunkPayloads(payloads, maxBytes = BEACON_MAX_BYTES) {
+  const overhead = byteLength(JSON.stringify({ events: [], batch: true }));
+  const chunks = [];
+  let current = [];
+  let size = overhead;
+
+  payloads.forEach((payload) => {
+    const bytes = byteLength(JSON.stringify(payload)) + 1;
+    if (overhead + bytes > maxBytes) return;
+
+    if (size + bytes > maxBytes) {
+      chunks.push(current);
+      current = [];
+      size = overhead;
+    }
+
+    current.push(payload);
+    size += bytes;
+  });
+
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Hand payloads to sendBeacon in batches, posted to the events endpoint as
+ * the worker posts its batches. sendBeacon can't set headers, so instead
+ * of X-Tracker-Token the API reads the `tracker_token` each payload
+ * carries. Stops at the first batch the browser refuses (its beacon budget
+ * is spent); callers keep the rest persisted for the next page load.
+ * @param {string} apiUrl API endpoint
+ * @param {Array} payloads Event payloads
+ * @param {RequestLedger} ledger Records the bytes of each batch
+ * @returns {string[]} IDs of the events accepted by the browser
+ */
+export function sendBeaconBatches(apiUrl, payloads, ledger) {
+  if (typeof navigator === 'undefined' || !navigator.sendBeacon) return [];
+
+  const sent = [];
+
+  for (const batch of chunkPayloads(payloads)) {
+    const url = withBatchId(getEventsUrl(apiUrl), createBatchId());
+    const json = JSON.stringify({ events: batch, batch: true });
+
+    let accepted = false;
+    try {
+      accepted = navigator.sendBeacon(url, new Blob([json], { type: 'application/json' }));
+    } catch (error) {
+      accepted = false;
+    }
+    if (!accepted) break;
+
+    ledger.track(describeRequest(url, { 'Content-Type': 'application/json' }, batch, json));
+    sent.push(...batch.map((payload) => payload.event_id));
+  }
+
+  return sent;
+}
@@ -0,0 +1,240 @@
+// Response bytes assumed when Resource Timing reports no size, i.e. the
+// API does not send Timing-Allow-Origin
+export const ESTIMATED_RESPONSE_BYTES = 250;
+
+// The helpers up to describeRequest are also inlined into the worker, so
+// they must not reference anything outside their own bodies
+
+/**
+ * The events endpoint, with the trailing slash the API expects. Single
+ * events and `{ events, batch: true }` batches are posted to the same URL.
+ * @param {string} apiUrl Configured API URL
+ * @returns {string}
+ */
+export function getEventsUrl(apiUrl) {
+  return apiUrl.endsWith('/') ? apiUrl : `${apiUrl}/`;
+}
+
+/**
+ * Short random ID tying a tracking request to the events it carried
+ * @returns {string}
+ */
+export function createBatchId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Add the batch ID to a request URL, where Resource Timing can see it
+ * @param {string} url Request URL
+ * @param {string} batchId Batch ID
+ * @returns {string}
+ */
+export function withBatchId(url, batchId) {
+  return `${url}${url.includes('?') ? '&' : '?'}cc_batch=${batchId}`;
+}
+
+/**
+ * Size of the request line and headers of a tracking POST: the ones the
+ * SDK sets, plus an allowance for those the browser adds (User-Agent,
+ * Accept, Accept-Language, Origin, Referer, sec-* hints)
+ * @param {string} url Request URL
+ * @param {Object} headers Headers set by the SDK
+ * @param {number} bodyBytes Body size
+ * @returns {number}
+ */
+export function estimateHeaderBytes(url, headers, bodyBytes) {
+  const browserHeaderBytes = 450;
+  const { host, pathname, search } = new URL(url);
+  const lines = [
+    `POST ${pathname}${search} HTTP/1.1`,
+    `Host: ${host}`,
+    `Content-Length: ${bodyBytes}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+
+  // Each line ends in CRLF, and a blank line ends the headers
+  return lines.reduce((total, line) => total + line.length + 2, 2) + browserHeaderBytes;
+}
+
+/**
+ * Batch ID of a tracking request URL
+ * @param {string} url Request URL
+ * @returns {string|null}
+ */
+export function getBatchId(url) {
+  const match = /[?&]cc_batch=([^&#]+)/.exec(url);
+  return match ? match[1] : null;
+}
+
+/**
+ * Body bytes and event count per payload type in one request
+ * @param {Array} payloads Event payloads
+ * @returns {Object} { [event]: { events, bodyBytes } }
+ */
+export function summarizeBatch(payloads) {
+  const encoder = new TextEncoder();
+  const byEventType = {};
+
+  payloads.forEach((payload) => {
+    const type = payload.event || 'unknown';
+    const totals = byEventType[type] || (byEventType[type] = { events: 0, bodyBytes: 0 });
+    totals.events += 1;
+    totals.bodyBytes += encoder.encode(JSON.stringify(payload)).length;
+  });
+
+  return byEventType;
+}
+
+/**
+ * Describe a request for the ledger
+ * @param {string} url Request URL, including the batch ID
+ * @param {Object} headers Headers set by the SDK
+ * @param {Array} payloads Events in the request
+ * @param {string} body Request body
+ * @returns {Object} { batchId, eventIds, byEventType, requestBytes }
+ */
+export function describeRequest(url, headers, payloads, body) {
+  const bodyBytes = new TextEncoder().encode(body).length;
+  return {
+    batchId: getBatchId(url),
+    eventIds: payloads.map((payload) => payload.event_id),
+    byEventType: summarizeBatch(payloads),
+    requestBytes: bodyBytes + estimateHeaderBytes(url, headers, bodyBytes)
+  };
+}
+
+/**
+ * The SDK's own network cost. Each tracking request carries a batch ID in
+ * its query string. Request bytes are the exact body plus estimated
+ * headers; response bytes come from the request's Resource Timing entry
+ * when the API allows it, and are estimated otherwise. Bytes are split
+ * across event types by their share of the body.
+ */
+export class RequestLedger {
+  constructor(logger) {
+    this.logger = logger;
+    this.pending = new Map();
+    this.eventBatches = new Map();
+    this.batches = new Map();
+    this.maxHistory = 500;
+    this.timingTimeout = 10000;
+    this.observer = null;
+    this.totals = {
+      requests: 0,
+      measuredRequests: 0,
+      requestBytes: 0,
+      responseBytes: 0,
+      total: 0,
+      byEventType: {}
+    };
+  }
+
+  /**
+   * Watch Resource Timing for tracking requests made on this thread
+   */
+  observe() {
+    if (typeof PerformanceObserver === 'undefined' || this.observer) return;
+
+    try {
+      this.observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          const batchId = getBatchId(entry.name);
+          if (batchId && this.pending.has(batchId)) {
+            this.settle(this.pending.get(batchId), entry.transferSize || 0);
+          }
+        });
+      });
+      this.observer.observe({ type: 'resource' });
+    } catch (error) {
+      this.logger.warn('Could not observe tracking requests:', error);
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Register a request sent from this thread. Its response size is read
+   * from Resource Timing, or estimated if no entry shows up in time.
+   * @param {Object} record Result of describeRequest()
+   */
+  track(record) {
+    record.timer = setTimeout(() => this.settle(record, 0), this.timingTimeout);
+    this.pending.set(record.batchId, record);
+  }
+
+  /**
+   * Add a finished request to the totals
+   * @param {Object} record Request record
+   * @param {number} transferSize Response transferSize, 0 when unknown
+   */
+  settle(record, transferSize) {
+    clearTimeout(record.timer);
+    this.pending.delete(record.batchId);
+
+    const measured = transferSize > 0;
+    const responseBytes = measured ? transferSize : ESTIMATED_RESPONSE_BYTES;
+    const bytes = record.requestBytes + responseBytes;
+    const bodyBytes = Object.values(record.byEventType)
+      .reduce((total, type) => total + type.bodyBytes, 0) || 1;
+
+    this.totals.requests += 1;
+    if (measured) this.totals.measuredRequests += 1;
+    this.totals.requestBytes += record.requestBytes;
+    this.totals.responseBytes += responseBytes;
+    this.totals.total += bytes;
+
+    Object.entries(record.byEventType).forEach(([type, { events, bodyBytes: typeBytes }]) => {
+      const totals = this.totals.byEventType[type] || { events: 0, bytes: 0 };
+      totals.events += events;
+      totals.bytes += Math.round((bytes * typeBytes) / bodyBytes);
+      this.totals.byEventType[type] = totals;
+    });
+
+    this.remember({
+      batchId: record.batchId,
+      events: record.eventIds.length,
+      requestBytes: record.requestBytes,
+      responseBytes,
+      bytes,
+      measured
+    }, record.eventIds);
+
+    this.logger.log(`📊 Tracking request ${record.batchId}: ${bytes} bytes${measured ? '' : ' (estimated)'}`);
+  }
+
+  remember(batch, eventIds) {
+    this.batches.set(batch.batchId, batch);
+    eventIds.forEach((id) => this.eventBatches.set(id, batch.batchId));
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    while (this.eventBatches.size > this.maxHistory) {
+      this.eventBatches.delete(this.eventBatches.keys().next().value);
+    }
+    while (this.batches.size > this.maxHistory) {
+      this.batches.delete(this.batches.keys().next().value);
+    }
+  }
+
+  /**
+   * The request that carried an event
+   * @param {string} eventId Event ID
+   * @returns {Object|null} { batchId, events, requestBytes, responseBytes, bytes, measured }
+   */
+  getRequestByEventId(eventId) {
+    const batchId = this.eventBatches.get(eventId);
+    return batchId ? this.batches.get(batchId) || null : null;
+  }
+
+  getTotals() {
+    const byEventType = {};
+    Object.entries(this.totals.byEventType).forEach(([type, totals]) => {
+      byEventType[type] = { ...totals };
+    });
+
+    return { ...this.totals, byEventType };
+  }
+
+  disconnect() {
+    this.observer?.disconnect();
+    this.observer = null;
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Durable queue for pending event payloads.
+ *
+ * Entries are mirrored in memory so size checks and reads stay synchronous,
+ * and written through to IndexedDB (or localStorage when IndexedDB is not
+ * available) so they survive a closed tab.
+ */
+export class PersistentQueue {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.dbName = 'carboncut';
+    this.storeName = 'event_queue';
+    this.storageKey = 'cc_event_queue';
+    this.maxSize = config.get('maxQueueSize') || 500;
+    this.maxAge = config.get('maxQueueAge') || 24 * 60 * 60 * 1000;
+    this.entries = new Map();
+    this.loaded = false;
+    this.db = null;
+    this.backend = config.get('persistQueue') === false ? 'memory' : null;
+    this.restored = this.open().then(() => this.restore());
+  }
+
+  /**
+   * Pick the storage backend, preferring IndexedDB
+   */
+  async open() {
+    if (this.backend === 'memory') return;
+
+    if (typeof indexedDB !== 'undefined') {
+      try {
+        this.db = await new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+        this.backend = 'indexeddb';
+        return;
+      } catch (error) {
+        this.logger.warn('IndexedDB unavailable, using localStorage queue:', error);
+      }
+    }
+
+    this.backend = typeof localStorage !== 'undefined' ? 'localstorage' : 'memory';
+  }
+
+  /**
+   * Load entries persisted by earlier page loads, dropping expired ones
+   * @returns {Promise<Array>} Restored entries, oldest first
+   */
+  async restore() {
+    let stored = [];
+    try {
+      if (this.backend === 'indexeddb') {
+        stored = await this.request('readonly', (store) => store.getAll());
+      } else if (this.backend === 'localstorage') {
+        stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      }
+    } catch (error) {
+      this.logger.error('Failed to restore event queue:', error);
+    }
+
+    const added = [...this.entries.values()];
+    const restored = stored.filter((entry) => !this.entries.has(entry.id));
+
+    this.entries = new Map();
+    [...restored, ...added]
+      .sort((a, b) => a.queuedAt - b.queuedAt)
+      .forEach((entry) => this.entries.set(entry.id, entry));
+
+    this.loaded = true;
+    this.prune();
+    added.forEach((entry) => this.update(entry));
+
+    if (restored.length > 0) {
+      this.logger.log(`Restored ${restored.length} queued events from ${this.backend}`);
+    }
+
+    return restored.filter((entry) => this.entries.has(entry.id));
+  }
+
+  /**
+   * Add a payload to the queue
+   * @param {Object} payload Event payload
+   * @returns {Object} Queue entry
+   */
+  add(payload) {
+    const id = payload.event_id;
+    const existing = this.entries.get(id);
+    if (existing) return existing;
+
+    const entry = { id, payload, queuedAt: Date.now() };
+    this.entries.set(id, entry);
+    this.prune();
+
+    if (this.entries.has(id)) {
+      this.write((store) => store.put(entry));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Persist changes made to an existing entry
+   * @param {Object} entry Queue entry
+   */
+  update(entry) {
+    if (!this.entries.has(entry.id)) return;
+    this.write((store) => store.put(entry));
+  }
+
+  /**
+   * Remove an entry by event ID
+   * @param {string} id Event ID
+   */
+  remove(id) {
+    if (!this.entries.delete(id)) return;
+    this.write((store) => store.delete(id));
+  }
+
+  /**
+   * Drop expired entries and the oldest ones beyond the size cap
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAge;
+    const expired = [];
+
+    this.entries.forEach((entry, id) => {
+      if (entry.queuedAt < cutoff) expired.push(id);
+    });
+
+    const overflow = this.entries.size - expired.length - this.maxSize;
+    if (overflow > 0) {
+      const remaining = [...this.entries.keys()].filter((id) => !expired.includes(id));
+      expired.push(...remaining.slice(0, overflow));
+    }
+
+    if (expired.length > 0) {
+      this.logger.warn(`Dropping ${expired.length} expired or overflowing queued events`);
+      expired.forEach((id) => this.remove(id));
+    }
+  }
+
+  getAll() {
+    return [...this.entries.values()];
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.write((store) => store.clear());
+  }
+
+  /**
+   * Write the current state to the active backend
+   * @param {Function} operation IndexedDB store operation
+   */
+  write(operation) {
+    // Writes made before the stored entries are loaded are replayed by restore()
+    if (!this.loaded) return;
+
+    if (this.backend === 'indexeddb') {
+      this.request('readwrite', operation).catch((error) => {
+        this.logger.error('Failed to persist event queue:', error);
+      });
+    } else if (this.backend === 'localstorage') {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.getAll()));
+      } catch (error) {
+        this.logger.error('Failed to persist event queue:', error);
+      }
+    }
+  }
+
+  request(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Exponential backoff with equal jitter.
+ *
+ * Kept free of outside references: the worker transport inlines its source.
+ * @param {number} attempt Failed attempts so far (1-based)
+ * @param {number} baseDelay Delay for the first retry in ms
+ * @param {number} maxDelay Upper bound for any delay in ms
+ * @returns {number} Delay in ms
+ */
+export function computeBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date).
+ *
+ * Kept free of outside references: the worker transport inlines its source.
+ * @param {string|null} value Header value
+ * @returns {number|null} Delay in ms, or null when absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed HTTP status is worth retrying
+ * @param {number} status HTTP status code
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Retry bookkeeping shared by both transports
+ */
+export class RetryPolicy {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.maxDeadLetters = 100;
+    this.deadLetters = [];
+  }
+
+  getMaxRetries() {
+    return this.config.get('maxRetries') ?? 3;
+  }
+
+  /**
+   * Whether an event that has failed `attempts` times may be retried
+   * @param {number} attempts Failed attempts so far
+   */
+  canRetry(attempts) {
+    return attempts <= this.getMaxRetries();
+  }
+
+  /**
+   * Delay before the next attempt, preferring the server's Retry-After
+   * @param {number} attempts Failed attempts so far
+   * @param {number|null} retryAfter Retry-After delay in ms
+   */
+  getDelay(attempts, retryAfter = null) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return retryAfter;
+    }
+
+    return computeBackoffDelay(
+      attempts,
+      this.config.get('retryDelay') || 1000,
+      this.config.get('maxRetryDelay') || 60000
+    );
+  }
+
+  /**
+   * Move events that cannot be delivered into the dead-letter bucket
+   * @param {Array} payloads Dropped event payloads
+   * @param {string} reason Why they were dropped
+   */
+  deadLetter(payloads, reason) {
+    if (payloads.length === 0) return;
+
+    const droppedAt = Date.now();
+    payloads.forEach((payload) => {
+      this.deadLetters.push({ payload, reason, droppedAt });
+    });
+
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+
+    this.logger.warn(`Dropped ${payloads.length} events: ${reason}`);
+
+    const onEventDropped = this.config.get('onEventDropped');
+    if (typeof onEventDropped === 'function') {
+      try {
+        onEventDropped(payloads, reason);
+      } catch (error) {
+        this.logger.error('onEventDropped hook threw:', error);
+      }
+    }
+  }
+
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+}
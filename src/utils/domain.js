@@ -0,0 +1,96 @@
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Split an allowed-domain pattern into scheme, host and port. Accepts
+ * "example.com", "*.example.com", "https://example.com", "localhost:3000"
+ * and "https://*.example.com:*".
+ * @param {string} pattern Domain pattern
+ * @returns {Object|null} { scheme, host, port }, null for an empty pattern
+ */
+export function parseDomainPattern(pattern) {
+  let rest = String(pattern || '').trim().toLowerCase().replace(/\/+$/, '');
+  if (!rest) return null;
+
+  let scheme = null;
+  const schemeMatch = rest.match(/^([a-z][a-z0-9+.-]*):\/\//);
+  if (schemeMatch) {
+    scheme = `${schemeMatch[1]}:`;
+    rest = rest.slice(schemeMatch[0].length);
+  }
+
+  // Ignore any path left on the pattern
+  rest = rest.split('/')[0];
+
+  let port = null;
+  const portMatch = rest.match(/:(\d+|\*)$/);
+  if (portMatch) {
+    port = portMatch[1];
+    rest = rest.slice(0, -portMatch[0].length);
+  }
+
+  return { scheme, host: rest.replace(/\.$/, ''), port };
+}
+
+/**
+ * Whether an origin matches one allowed-domain pattern.
+ *
+ * A pattern without a scheme matches http and https. A pattern without a
+ * port only matches the scheme's default port; use ":*" for any port.
+ * "*.example.com" matches subdomains at any depth but not example.com.
+ * @param {string} pattern Domain pattern
+ * @param {string} origin Page origin, e.g. window.location.origin
+ * @returns {boolean}
+ */
+export function matchesDomain(pattern, origin) {
+  const allowed = parseDomainPattern(pattern);
+  if (!allowed) return false;
+  if (allowed.host === '*' && !allowed.scheme && !allowed.port) return true;
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (error) {
+    return false;
+  }
+
+  if (allowed.scheme && allowed.scheme !== url.protocol) return false;
+
+  const port = url.port || DEFAULT_PORTS[url.protocol] || '';
+  if (allowed.port === null) {
+    if (port !== DEFAULT_PORTS[url.protocol]) return false;
+  } else if (allowed.port !== '*' && allowed.port !== port) {
+    return false;
+  }
+
+  const host = url.hostname.replace(/\.$/, '');
+
+  if (allowed.host === '*') return true;
+  if (allowed.host.startsWith('*.')) {
+    return host.endsWith(allowed.host.slice(1));
+  }
+
+  return host === allowed.host;
+}
+
+/**
+ * Normalize a domain setting to a list of patterns. Accepts an array or a
+ * comma-separated string.
+ * @param {string|string[]|null} domains Domain setting
+ * @returns {string[]}
+ */
+export function toDomainList(domains) {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(',');
+  return list.map((domain) => String(domain).trim()).filter(Boolean);
+}
+
+/**
+ * Whether an origin matches any of the allowed domains. An empty list
+ * allows every origin.
+ * @param {string|string[]|null} domains Allowed domain patterns
+ * @param {string} origin Page origin
+ * @returns {boolean}
+ */
+export function isDomainAllowed(domains, origin) {
+  const list = toDomainList(domains);
+  return list.length === 0 || list.some((pattern) => matchesDomain(pattern, origin));
+}
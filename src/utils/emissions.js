@@ -0,0 +1,241 @@
+/**
+ * Sustainable Web Design model (v3): 0.81 kWh per GB transferred, split
+ * across the system segments below
+ */
+export const SWD_MODEL = {
+  name: 'swd-v3',
+  kwhPerGB: 0.81,
+  segments: {
+    dataCentre: 0.15,
+    network: 0.14,
+    device: 0.52,
+    production: 0.19
+  }
+};
+
+/** Global average grid intensity used by the SWD model (gCO2e/kWh) */
+export const GLOBAL_GRID_INTENSITY = 442;
+
+/** Grid intensity for renewable-powered hosting (gCO2e/kWh) */
+export const RENEWABLE_GRID_INTENSITY = 50;
+
+/**
+ * Approximate annual average grid intensity by country (gCO2e/kWh)
+ */
+export const GRID_INTENSITY = {
+  AU: 549,
+  BR: 104,
+  CA: 128,
+  CN: 582,
+  DE: 385,
+  ES: 174,
+  FR: 56,
+  GB: 238,
+  IE: 346,
+  IN: 713,
+  IT: 372,
+  JP: 485,
+  NL: 356,
+  NO: 29,
+  PL: 662,
+  SE: 41,
+  SG: 470,
+  US: 369,
+  ZA: 709
+};
+
+const TIMEZONE_REGIONS = {
+  'Africa/Johannesburg': 'ZA',
+  'America/Chicago': 'US',
+  'America/Denver': 'US',
+  'America/Los_Angeles': 'US',
+  'America/New_York': 'US',
+  'America/Phoenix': 'US',
+  'America/Anchorage': 'US',
+  'Pacific/Honolulu': 'US',
+  'America/Toronto': 'CA',
+  'America/Vancouver': 'CA',
+  'America/Edmonton': 'CA',
+  'America/Winnipeg': 'CA',
+  'America/Halifax': 'CA',
+  'America/Sao_Paulo': 'BR',
+  'Asia/Calcutta': 'IN',
+  'Asia/Kolkata': 'IN',
+  'Asia/Shanghai': 'CN',
+  'Asia/Singapore': 'SG',
+  'Asia/Tokyo': 'JP',
+  'Europe/Amsterdam': 'NL',
+  'Europe/Berlin': 'DE',
+  'Europe/Dublin': 'IE',
+  'Europe/London': 'GB',
+  'Europe/Madrid': 'ES',
+  'Europe/Oslo': 'NO',
+  'Europe/Paris': 'FR',
+  'Europe/Rome': 'IT',
+  'Europe/Stockholm': 'SE',
+  'Europe/Warsaw': 'PL'
+};
+
+// Coarse bounding boxes [minLat, maxLat, minLon, maxLon], smallest first so
+// neighbouring countries resolve to the tighter box
+const COUNTRY_BOUNDS = [
+  ['NL', 50.7, 53.6, 3.3, 7.2],
+  ['IE', 51.4, 55.4, -10.5, -6.0],
+  ['GB', 49.9, 58.7, -8.2, 1.8],
+  ['FR', 42.3, 51.1, -4.8, 8.2],
+  ['DE', 47.3, 55.1, 5.9, 15.0],
+  ['IT', 36.6, 47.1, 6.6, 18.5],
+  ['ES', 36.0, 43.8, -9.3, 3.3],
+  ['PL', 49.0, 54.9, 14.1, 24.2],
+  ['JP', 30.0, 45.6, 129.4, 145.8],
+  ['IN', 6.7, 35.5, 68.1, 97.4],
+  ['US', 24.5, 49.4, -124.8, -66.9],
+  ['CA', 41.7, 83.1, -141.0, -52.6],
+  ['BR', -33.8, 5.3, -73.9, -34.8],
+  ['AU', -43.7, -10.7, 113.3, 153.6]
+];
+
+/**
+ * Resolve a country code from coordinates using coarse bounding boxes
+ * @param {Object} geolocation { latitude, longitude }
+ * @returns {string|null} ISO country code
+ */
+export function regionFromCoordinates(geolocation) {
+  if (!geolocation) return null;
+
+  const { latitude, longitude } = geolocation;
+  const match = COUNTRY_BOUNDS.find(([, minLat, maxLat, minLon, maxLon]) =>
+    latitude >= minLat && latitude <= maxLat && longitude >= minLon && longitude <= maxLon
+  );
+
+  return match ? match[0] : null;
+}
+
+/**
+ * Resolve a country code from the browser's time zone
+ * @returns {string|null} ISO country code
+ */
+export function regionFromTimezone() {
+  try {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return TIMEZONE_REGIONS[timezone] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turns transferred bytes into CO2e and keeps per-session totals
+ */
+export class EmissionsCalculator {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.model = SWD_MODEL;
+    this.totals = {
+      bytes: 0,
+      co2eGrams: 0,
+      events: 0,
+      byEventType: {}
+    };
+  }
+
+  /**
+   * Pick the grid intensity: explicit config, then configured region,
+   * then geolocation, then time zone, then the global average
+   * @param {Object|null} geolocation Last known location
+   * @returns {Object} { intensity, region, source }
+   */
+  getGridIntensity(geolocation = null) {
+    const configured = this.config.get('gridIntensity');
+    if (typeof configured === 'number') {
+      return { intensity: configured, region: null, source: 'config' };
+    }
+
+    const candidates = [
+      [this.config.get('gridRegion'), 'config'],
+      [regionFromCoordinates(geolocation), 'geolocation'],
+      [regionFromTimezone(), 'timezone']
+    ];
+
+    for (const [region, source] of candidates) {
+      const code = region && region.toUpperCase();
+      if (code && GRID_INTENSITY[code]) {
+        return { intensity: GRID_INTENSITY[code], region: code, source };
+      }
+    }
+
+    return { intensity: GLOBAL_GRID_INTENSITY, region: null, source: 'global' };
+  }
+
+  /**
+   * Estimate emissions for a number of transferred bytes
+   * @param {number} bytes Bytes transferred
+   * @param {Object|null} geolocation Last known location
+   * @returns {Object} { co2eGrams, energyKwh, gridIntensity, region, breakdown }
+   */
+  estimate(bytes, geolocation = null) {
+    const grid = this.getGridIntensity(geolocation);
+    const energyKwh = (bytes / 1e9) * this.model.kwhPerGB;
+    const greenHosting = this.config.get('greenHosting') === true;
+
+    const breakdown = {};
+    let co2eGrams = 0;
+
+    Object.entries(this.model.segments).forEach(([segment, share]) => {
+      const intensity = segment === 'dataCentre' && greenHosting
+        ? RENEWABLE_GRID_INTENSITY
+        : grid.intensity;
+      breakdown[segment] = energyKwh * share * intensity;
+      co2eGrams += breakdown[segment];
+    });
+
+    return {
+      co2eGrams,
+      energyKwh,
+      gridIntensity: grid.intensity,
+      region: grid.region,
+      regionSource: grid.source,
+      breakdown
+    };
+  }
+
+  /**
+   * Add an event's emissions to the session totals
+   * @param {string} eventType Event name
+   * @param {number} bytes Bytes attributed to the event
+   * @param {Object} estimate Result of estimate()
+   */
+  record(eventType, bytes, estimate) {
+    this.totals.bytes += bytes;
+    this.totals.co2eGrams += estimate.co2eGrams;
+    this.totals.events += 1;
+
+    const byType = this.totals.byEventType[eventType] || { bytes: 0, co2eGrams: 0, events: 0 };
+    byType.bytes += bytes;
+    byType.co2eGrams += estimate.co2eGrams;
+    byType.events += 1;
+    this.totals.byEventType[eventType] = byType;
+
+    this.lastEstimate = estimate;
+  }
+
+  /**
+   * Session emissions summary
+   */
+  getSummary() {
+    const grid = this.lastEstimate || this.estimate(0);
+
+    return {
+      model: this.model.name,
+      totalBytes: this.totals.bytes,
+      co2eGrams: this.totals.co2eGrams,
+      events: this.totals.events,
+      byEventType: JSON.parse(JSON.stringify(this.totals.byEventType)),
+      gridIntensity: grid.gridIntensity,
+      region: grid.region,
+      regionSource: grid.regionSource,
+      greenHosting: this.config.get('greenHosting') === true
+    };
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Minimal event emitter for SDK lifecycle and delivery events
+ */
+export class EventEmitter {
+  constructor(logger) {
+    this.logger = logger;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} name Event name
+   * @param {Function} handler Called with the event's data
+   */
+  on(name, handler) {
+    if (typeof handler !== 'function') {
+      this.logger.error(`Handler for "${name}" must be a function`);
+      return;
+    }
+
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, []);
+    }
+    this.handlers.get(name).push(handler);
+  }
+
+  /**
+   * Unsubscribe a handler, or every handler for the event when omitted
+   * @param {string} name Event name
+   * @param {Function} [handler] Handler passed to on() or once()
+   */
+  off(name, handler) {
+    if (!handler) {
+      this.handlers.delete(name);
+      return;
+    }
+
+    const handlers = (this.handlers.get(name) || []).filter(
+      (registered) => registered !== handler && registered.original !== handler
+    );
+    this.handlers.set(name, handlers);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} name Event name
+   * @param {Function} handler Called with the event's data
+   */
+  once(name, handler) {
+    const wrapper = (data) => {
+      this.off(name, wrapper);
+      handler(data);
+    };
+    wrapper.original = handler;
+    this.on(name, wrapper);
+  }
+
+  /**
+   * Call every handler for an event. Handler errors are logged, never thrown.
+   * @param {string} name Event name
+   * @param {*} data Event data
+   */
+  emit(name, data) {
+    const handlers = [...(this.handlers.get(name) || [])];
+
+    handlers.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        this.logger.error(`Handler for "${name}" threw:`, error);
+      }
+    });
+  }
+}
@@ -1,3 +1,6 @@
+import { getVendor } from './vendors.js';
+import { getBatchId } from '../transport/ledger.js';
+
 /**
  * Calculate bytes transferred for navigation and resources
  */
@@ -5,7 +8,6 @@ export class PerformanceMonitor {
   constructor(logger) {
     this.logger = logger;
     this.lastCheckTime = Date.now();
-    this.pendingRequests = new Map(); //  Track pending tracking requests
   }
 
   /**
@@ -34,42 +36,6 @@ export class PerformanceMonitor {
     return null;
   }
 
-  /**
-   *  NEW: Get the most recent tracking request bytes
-   */
-  getLatestTrackingRequestBytes() {
-    if (typeof window === 'undefined' || !window.performance) {
-      return 0;
-    }
-
-    try {
-      const entries = performance.getEntriesByType('resource');
-      
-      // Find the most recent request to /events/
-      const trackingRequests = entries
-        .filter(e => e.name.includes('/events') || e.name.includes('/api/v1'))
-        .sort((a, b) => b.startTime - a.startTime); // Sort by most recent
-      
-      if (trackingRequests.length > 0) {
-        const latest = trackingRequests[0];
-        const bytes = latest.transferSize || this.estimateGetRequestSize(latest.name);
-        
-        this.logger.log('📊 Latest tracking request bytes:', {
-          url: latest.name.substring(0, 100) + '...',
-          transferSize: latest.transferSize,
-          encodedBodySize: latest.encodedBodySize,
-          estimatedBytes: bytes
-        });
-        
-        return bytes;
-      }
-    } catch (error) {
-      this.logger.error('Error getting latest tracking request bytes:', error);
-    }
-
-    return 0;
-  }
-
   /**
    *  NEW: Estimate GET request size from URL length
    */
@@ -117,9 +83,10 @@ export class PerformanceMonitor {
 
     try {
       const entries = performance.getEntriesByType('resource');
+      // The SDK's own requests are accounted for by the RequestLedger
       const recentEntries = entries.filter(entry => {
         const entryTime = performance.timeOrigin + entry.startTime;
-        return entryTime >= timestamp;
+        return entryTime >= timestamp && !getBatchId(entry.name);
       });
 
       const byType = {};
@@ -174,69 +141,366 @@ export class PerformanceMonitor {
   }
 
   /**
-   * Monitor fetch/XHR bytes for tracking requests
+   * Weight of the document and every resource loaded so far, grouped by
+   * origin and by known vendor. A cache hit transfers nothing but decodes a
+   * body; a cross-origin resource without Timing-Allow-Origin reports no
+   * sizes at all and is counted as unmeasured.
+   * @returns {Object|null} Report, or null outside the browser
    */
-  observeTrackingBytes(callback) {
-    if (typeof PerformanceObserver === 'undefined') {
-      this.logger.warn('PerformanceObserver not supported');
+  getPageWeightReport() {
+    if (typeof window === 'undefined' || !window.performance) {
       return null;
     }
 
+    const report = {
+      requests: 0,
+      transferBytes: 0,
+      decodedBytes: 0,
+      firstPartyBytes: 0,
+      thirdPartyBytes: 0,
+      cacheHits: 0,
+      unmeasured: 0,
+      byCategory: {},
+      origins: [],
+      vendors: []
+    };
+
     try {
-      const observer = new PerformanceObserver((list) => {
-        list.getEntries().forEach((entry) => {
-          if (entry.name.includes('/events') || entry.name.includes('api/v1')) {
-            const bytes = entry.transferSize || this.estimateGetRequestSize(entry.name);
-            
-            callback({
-              url: entry.name,
-              bytes: bytes,
-              transferSize: entry.transferSize,
-              duration: entry.duration,
-              type: entry.initiatorType
-            });
+      const entries = [
+        ...performance.getEntriesByType('navigation'),
+        ...performance.getEntriesByType('resource')
+      ];
+      const siteHost = window.location.hostname.replace(/^www\./, '');
+      const origins = new Map();
+      const vendors = new Map();
+
+      const tally = (group, entry, cached, unmeasured) => {
+        group.requests += 1;
+        group.transferBytes += entry.transferSize || 0;
+        group.decodedBytes += entry.decodedBodySize || 0;
+        if (cached) group.cacheHits += 1;
+        if (unmeasured) group.unmeasured += 1;
+      };
+
+      entries.forEach((entry) => {
+        let url;
+        try {
+          url = new URL(entry.name);
+        } catch (error) {
+          return;
+        }
+        // data: and blob: URLs cost no network bytes
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+        const host = url.hostname;
+        const firstParty = host === siteHost || host.endsWith(`.${siteHost}`);
+        const cached = entry.transferSize === 0 && entry.decodedBodySize > 0;
+        const unmeasured = !entry.transferSize && !entry.decodedBodySize;
+
+        let origin = origins.get(url.origin);
+        if (!origin) {
+          const vendor = firstParty ? null : getVendor(host);
+          origin = {
+            origin: url.origin,
+            firstParty,
+            vendor: vendor?.name || null,
+            category: firstParty ? 'first_party' : vendor?.category || 'other',
+            requests: 0,
+            transferBytes: 0,
+            decodedBytes: 0,
+            cacheHits: 0,
+            unmeasured: 0
+          };
+          origins.set(url.origin, origin);
+        }
+        tally(origin, entry, cached, unmeasured);
+        tally(report, entry, cached, unmeasured);
+
+        const bytes = entry.transferSize || 0;
+        if (firstParty) {
+          report.firstPartyBytes += bytes;
+        } else {
+          report.thirdPartyBytes += bytes;
+        }
+        report.byCategory[origin.category] = (report.byCategory[origin.category] || 0) + bytes;
+
+        if (origin.vendor) {
+          let vendor = vendors.get(origin.vendor);
+          if (!vendor) {
+            vendor = {
+              name: origin.vendor,
+              category: origin.category,
+              requests: 0,
+              transferBytes: 0,
+              decodedBytes: 0,
+              cacheHits: 0,
+              unmeasured: 0
+            };
+            vendors.set(origin.vendor, vendor);
           }
-        });
+          tally(vendor, entry, cached, unmeasured);
+        }
       });
 
-      observer.observe({ entryTypes: ['resource'] });
-      return observer;
+      const byBytes = (a, b) => b.transferBytes - a.transferBytes;
+      report.origins = [...origins.values()].sort(byBytes);
+      report.vendors = [...vendors.values()].sort(byBytes);
     } catch (error) {
-      this.logger.error('Error setting up PerformanceObserver:', error);
-      return null;
+      this.logger.error('Error building page weight report:', error);
     }
+
+    return report;
+  }
+
+}
+
+/**
+ * Core Web Vitals thresholds as [good, poor] bounds
+ */
+export const WEB_VITALS_THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800]
+};
+
+/**
+ * Rate a metric value as good, needs-improvement or poor
+ * @param {string} name Metric name (lcp, cls, inp, fcp, ttfb)
+ * @param {number} value Metric value
+ * @returns {string}
+ */
+export function rateMetric(name, value) {
+  const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Short CSS selector for an element, for attributing a metric to it
+ * @param {Element} element DOM element
+ * @param {number} maxDepth Ancestors to include
+ * @returns {string|null}
+ */
+export function getElementSelector(element, maxDepth = 5) {
+  const parts = [];
+  let node = element;
+
+  while (node && node.nodeType === 1 && parts.length < maxDepth) {
+    let part = node.tagName.toLowerCase();
+
+    if (node.id) {
+      parts.unshift(`${part}#${node.id}`);
+      break;
+    }
+
+    const classes = typeof node.className === 'string'
+      ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2)
+      : [];
+    if (classes.length > 0) part += `.${classes.join('.')}`;
+
+    parts.unshift(part);
+    node = node.parentElement;
+  }
+
+  return parts.length > 0 ? parts.join('>') : null;
+}
+
+/**
+ * Observes LCP, CLS, INP, FCP and TTFB with PerformanceObserver, following
+ * the web-vitals definitions:
+ * - LCP and FCP only count paints made before the page was first hidden,
+ * - CLS is the worst session window (shifts less than 1s apart, at most 5s
+ *   long) of shifts not caused by input,
+ * - INP is the longest interaction, skipping one per 50 interactions.
+ * Metrics are reported once per page view, when the page is first hidden.
+ * A page restored from the bfcache is a new page view: CLS and INP start
+ * over, while LCP, FCP and TTFB describe the document load and are not
+ * reported again.
+ */
+export class WebVitalsMonitor {
+  constructor(logger) {
+    this.logger = logger;
+    this.observers = [];
+    this.firstHiddenTime = typeof document !== 'undefined' && document.visibilityState === 'hidden'
+      ? 0
+      : Infinity;
+    this.lcp = null;
+    this.fcp = null;
+    this.isFirstPage = true;
+    this.resetPage();
   }
 
   /**
-   *  UPDATED: Get tracking request by event ID
+   * Start measuring a new page view after a bfcache restore
    */
-  getRequestByEventId(eventId) {
-    if (typeof window === 'undefined' || !window.performance) {
-      return null;
+  startPage() {
+    this.isFirstPage = false;
+    this.resetPage();
+  }
+
+  resetPage() {
+    this.reported = false;
+    this.cls = { value: 0, target: null };
+    this.clsWindow = { value: 0, entries: [] };
+    this.interactions = new Map();
+  }
+
+  /**
+   * Start observing. Entry types the browser doesn't support are skipped.
+   */
+  observe() {
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+        }
+      }, { once: true });
     }
 
-    try {
-      const entries = performance.getEntriesByType('resource');
-      // Find most recent tracking request
-      const trackingEntries = entries.filter(e => 
-        e.name.includes('/events') || e.name.includes('api/v1')
-      );
-      
-      if (trackingEntries.length > 0) {
-        const latest = trackingEntries[trackingEntries.length - 1];
-        const bytes = latest.transferSize || this.estimateGetRequestSize(latest.name);
-        
-        return {
-          bytes: bytes,
-          encoded: latest.encodedBodySize || 0,
-          decoded: latest.decodedBodySize || 0,
-          transferSize: latest.transferSize
+    this.observeType(supported, 'largest-contentful-paint', (entry) => {
+      if (entry.startTime < this.firstHiddenTime) {
+        this.lcp = {
+          value: entry.startTime,
+          element: entry.element ? getElementSelector(entry.element) : null,
+          url: entry.url || null
         };
       }
+    });
+
+    this.observeType(supported, 'paint', (entry) => {
+      if (entry.name === 'first-contentful-paint' && entry.startTime < this.firstHiddenTime) {
+        this.fcp = entry.startTime;
+      }
+    });
+
+    this.observeType(supported, 'layout-shift', (entry) => this.addLayoutShift(entry));
+
+    this.observeType(supported, 'event', (entry) => this.addInteraction(entry), {
+      durationThreshold: 40
+    });
+  }
+
+  observeType(supported, type, callback, options = {}) {
+    if (!supported.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(callback);
+      });
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push({ type, observer, callback });
     } catch (error) {
-      this.logger.error('Error getting request by event ID:', error);
+      this.logger.warn(`Could not observe ${type}:`, error);
     }
+  }
 
-    return null;
+  addLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const entries = this.clsWindow.entries;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+
+    if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+      this.clsWindow.value += entry.value;
+      entries.push(entry);
+    } else {
+      this.clsWindow = { value: entry.value, entries: [entry] };
+    }
+
+    if (this.clsWindow.value > this.cls.value) {
+      // Attribute the window to the element of its largest shift
+      const largest = this.clsWindow.entries.reduce((a, b) => (b.value > a.value ? b : a));
+      const node = largest.sources?.find((source) => source.node)?.node;
+      this.cls = {
+        value: this.clsWindow.value,
+        target: node ? getElementSelector(node) : null
+      };
+    }
+  }
+
+  addInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    const existing = this.interactions.get(entry.interactionId);
+    if (existing && existing.duration >= entry.duration) return;
+
+    this.interactions.set(entry.interactionId, {
+      duration: entry.duration,
+      type: entry.name,
+      target: entry.target ? getElementSelector(entry.target) : existing?.target || null
+    });
+  }
+
+  getTTFB() {
+    const navigation = performance.getEntriesByType?.('navigation')?.[0];
+    if (!navigation) return null;
+
+    // Prerendered pages count from activation
+    return Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+  }
+
+  getINP() {
+    if (this.interactions.size === 0) return null;
+
+    const sorted = [...this.interactions.values()].sort((a, b) => b.duration - a.duration);
+    return sorted[Math.min(Math.floor(this.interactions.size / 50), sorted.length - 1)];
+  }
+
+  /**
+   * Metrics for the current page view, once
+   * @returns {Object|null} web_vitals event data, or null when already
+   * reported or nothing was measured
+   */
+  collect() {
+    if (this.reported || typeof performance === 'undefined') return null;
+
+    // Process entries still waiting in the observers' buffers
+    this.observers.forEach(({ observer, callback }) => {
+      observer.takeRecords?.().forEach(callback);
+    });
+
+    const metrics = {};
+    const add = (name, value, digits = 0) => {
+      if (value === null || value === undefined) return;
+      metrics[name] = Number(value.toFixed(digits));
+      metrics[`${name}_rating`] = rateMetric(name, value);
+    };
+
+    if (this.isFirstPage) {
+      add('lcp', this.lcp?.value);
+      if (this.lcp) {
+        metrics.lcp_element = this.lcp.element;
+        metrics.lcp_url = this.lcp.url;
+      }
+      add('fcp', this.fcp);
+      add('ttfb', this.getTTFB());
+    }
+
+    if (this.observers.some(({ type }) => type === 'layout-shift')) {
+      add('cls', this.cls.value, 4);
+      if (this.cls.target) metrics.cls_target = this.cls.target;
+    }
+
+    const inp = this.getINP();
+    if (inp) {
+      add('inp', inp.duration);
+      metrics.inp_target = inp.target;
+      metrics.inp_event_type = inp.type;
+    }
+
+    this.reported = true;
+    return Object.keys(metrics).length > 0 ? metrics : null;
+  }
+
+  disconnect() {
+    this.observers.forEach(({ observer }) => observer.disconnect());
+    this.observers = [];
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,54 @@
+/**
+ * Known third-party vendors by domain. A domain matches itself and its
+ * subdomains.
+ */
+export const VENDORS = [
+  { name: 'Google Analytics', category: 'analytics', domains: ['google-analytics.com', 'analytics.google.com'] },
+  { name: 'Google Tag Manager', category: 'tag_manager', domains: ['googletagmanager.com'] },
+  { name: 'Adobe Analytics', category: 'analytics', domains: ['omtrdc.net', '2o7.net', 'demdex.net'] },
+  { name: 'Segment', category: 'analytics', domains: ['segment.com', 'segment.io'] },
+  { name: 'Mixpanel', category: 'analytics', domains: ['mixpanel.com', 'mxpnl.com'] },
+  { name: 'Amplitude', category: 'analytics', domains: ['amplitude.com'] },
+  { name: 'Hotjar', category: 'analytics', domains: ['hotjar.com', 'hotjar.io'] },
+  { name: 'Microsoft Clarity', category: 'analytics', domains: ['clarity.ms'] },
+  { name: 'Heap', category: 'analytics', domains: ['heap.io', 'heapanalytics.com'] },
+  { name: 'Plausible', category: 'analytics', domains: ['plausible.io'] },
+  { name: 'Google Ads', category: 'ads', domains: ['doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com', 'googletagservices.com'] },
+  { name: 'Meta', category: 'ads', domains: ['connect.facebook.net', 'facebook.com', 'fbcdn.net'] },
+  { name: 'Microsoft Advertising', category: 'ads', domains: ['bat.bing.com', 'ads.microsoft.com'] },
+  { name: 'LinkedIn', category: 'ads', domains: ['snap.licdn.com', 'ads.linkedin.com', 'px.ads.linkedin.com'] },
+  { name: 'TikTok', category: 'ads', domains: ['analytics.tiktok.com', 'ads.tiktok.com'] },
+  { name: 'X', category: 'ads', domains: ['static.ads-twitter.com', 'ads-api.twitter.com', 't.co'] },
+  { name: 'Criteo', category: 'ads', domains: ['criteo.com', 'criteo.net'] },
+  { name: 'Taboola', category: 'ads', domains: ['taboola.com'] },
+  { name: 'Outbrain', category: 'ads', domains: ['outbrain.com'] },
+  { name: 'Amazon Ads', category: 'ads', domains: ['amazon-adsystem.com'] },
+  { name: 'Google Fonts', category: 'fonts', domains: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+  { name: 'Adobe Fonts', category: 'fonts', domains: ['use.typekit.net', 'p.typekit.net'] },
+  { name: 'Font Awesome', category: 'fonts', domains: ['fontawesome.com'] },
+  { name: 'YouTube', category: 'video', domains: ['youtube.com', 'youtube-nocookie.com', 'ytimg.com', 'googlevideo.com'] },
+  { name: 'Vimeo', category: 'video', domains: ['vimeo.com', 'vimeocdn.com'] },
+  { name: 'Wistia', category: 'video', domains: ['wistia.com', 'wistia.net'] },
+  { name: 'JW Player', category: 'video', domains: ['jwplayer.com', 'jwpcdn.com', 'jwpsrv.com'] },
+  { name: 'Brightcove', category: 'video', domains: ['brightcove.net', 'brightcove.com', 'boltdns.net'] },
+  { name: 'Mux', category: 'video', domains: ['mux.com', 'litix.io'] },
+  { name: 'Intercom', category: 'support', domains: ['intercom.io', 'intercomcdn.com'] },
+  { name: 'Zendesk', category: 'support', domains: ['zdassets.com', 'zendesk.com'] },
+  { name: 'Stripe', category: 'payments', domains: ['stripe.com', 'stripe.network'] },
+  { name: 'jsDelivr', category: 'cdn', domains: ['cdn.jsdelivr.net'] },
+  { name: 'unpkg', category: 'cdn', domains: ['unpkg.com'] },
+  { name: 'cdnjs', category: 'cdn', domains: ['cdnjs.cloudflare.com'] }
+];
+
+/**
+ * Find the vendor serving a host
+ * @param {string} host Host name
+ * @returns {Object|null} { name, category }
+ */
+export function getVendor(host) {
+  const vendor = VENDORS.find(({ domains }) =>
+    domains.some((domain) => host === domain || host.endsWith(`.${domain}`))
+  );
+
+  return vendor ? { name: vendor.name, category: vendor.category } : null;
+}
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { ApiWorkerTransport } from '../src/transport/api-worker.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+function createTransport(options = {}) {
+  return new ApiWorkerTransport(
+    createConfig({ persistQueue: false, apiUrl: 'https://api.example.com/api/v1/events', ...options }),
+    new Logger(false),
+    { emit: jest.fn() }
+  );
+}
+
+function respond(status, body) {
+  return {
+    status,
+    headers: { get: () => null },
+    json: async () => {
+      if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+      return body;
+    }
+  };
+}
+
+const event = (id) => ({ event_id: id, event: 'click' });
+
+/**
+ * Run the worker source against a stub `self`, the way the Blob worker
+ * would, and collect what it posts back to the page
+ */
+function startWorker(fetch, options = {}) {
+  const listeners = [];
+  const messages = [];
+  const self = {
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: (message) => messages.push(message)
+  };
+  const performance = { getEntriesByName: () => [], clearResourceTimings: () => {} };
+
+  new Function('self', 'fetch', 'performance', createTransport().getWorkerCode())(self, fetch, performance);
+
+  const post = (data) => Promise.all(listeners.map((listener) => listener({ data })));
+  post({
+    type: 'INIT',
+    payload: {
+      apiUrl: 'https://api.example.com/api/v1/events',
+      trackerToken: 'test-token',
+      batchSize: 10,
+      maxRetries: 1,
+      retryDelay: 1000,
+      maxRetryDelay: 1000,
+      ...options
+    }
+  });
+
+  const ofType = (type) => messages.filter((message) => message.type === type);
+  return { post, ofType };
+}
+
+async function flush(worker, ids) {
+  for (const id of ids) {
+    await worker.post({ type: 'TRACK_EVENT', payload: event(id) });
+  }
+  await worker.post({ type: 'FLUSH_QUEUE' });
+}
+
+beforeEach(() => {
+  // Retries and request reports are scheduled with timers
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.clearAllTimers();
+  jest.useRealTimers();
+  delete globalThis.fetch;
+});
+
+describe('event worker acknowledgements', () => {
+  test('a 207 acknowledges events one by one', async () => {
+    const fetch = jest.fn().mockResolvedValue(respond(207, {
+      results: [
+        { event_id: 'a', success: true },
+        { event_id: 'b', success: false, retryable: true },
+        { event_id: 'c', success: false, retryable: false }
+      ]
+    }));
+    const worker = startWorker(fetch);
+
+    await flush(worker, ['a', 'b', 'c']);
+
+    expect(fetch.mock.calls[0][0]).toMatch(/^https:\/\/api\.example\.com\/api\/v1\/events\/\?cc_batch=/);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).events.map((item) => item.event_id)).toEqual(['a', 'b', 'c']);
+    expect(worker.ofType('FLUSH_SUCCESS')).toEqual([expect.objectContaining({ eventIds: ['a'] })]);
+    expect(worker.ofType('FLUSH_ERROR')).toEqual([expect.objectContaining({ eventIds: ['b'] })]);
+    expect(worker.ofType('EVENTS_DROPPED')).toEqual([
+      expect.objectContaining({ events: [expect.objectContaining({ event_id: 'c' })], reason: 'rejected' })
+    ]);
+  });
+
+  test('retryable results are sent again, then dropped after maxRetries', async () => {
+    const fetch = jest.fn().mockResolvedValue(respond(207, {
+      results: [{ event_id: 'a', success: false, retryable: true }]
+    }));
+    const worker = startWorker(fetch);
+
+    await flush(worker, ['a']);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(worker.ofType('FLUSH_ERROR')).toHaveLength(1);
+    expect(worker.ofType('EVENTS_DROPPED')).toEqual([
+      expect.objectContaining({ reason: 'max_retries_exceeded' })
+    ]);
+  });
+
+  test('a 207 whose body cannot be read acknowledges nothing', async () => {
+    const fetch = jest.fn().mockResolvedValue(respond(207));
+    const worker = startWorker(fetch);
+
+    await flush(worker, ['a', 'b']);
+
+    expect(worker.ofType('FLUSH_SUCCESS')).toEqual([expect.objectContaining({ count: 0, eventIds: [] })]);
+    expect(worker.ofType('FLUSH_ERROR')).toEqual([expect.objectContaining({ eventIds: ['a', 'b'] })]);
+  });
+
+  test('a 202 acknowledges the whole batch without a body', async () => {
+    const fetch = jest.fn().mockResolvedValue(respond(202));
+    const worker = startWorker(fetch);
+
+    await flush(worker, ['a', 'b']);
+
+    expect(worker.ofType('FLUSH_SUCCESS')).toEqual([expect.objectContaining({ eventIds: ['a', 'b'] })]);
+    expect(worker.ofType('FLUSH_ERROR')).toEqual([]);
+  });
+});
+
+describe('ApiWorkerTransport main-thread delivery', () => {
+  test('adds the trailing slash to the API URL like the worker', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(202));
+
+    expect(await createTransport().deliverDirect(event('a'))).toEqual({ success: true });
+    expect(globalThis.fetch.mock.calls[0][0]).toMatch(/^https:\/\/api\.example\.com\/api\/v1\/events\/\?cc_batch=/);
+  });
+});
@@ -0,0 +1,106 @@
+import { Attribution, classifyChannel, matchesHostList, SEARCH_HOSTS } from '../src/core/attribution.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+/**
+ * Load a page: a new Attribution reads what earlier page loads stored
+ */
+function visit(url, referrer = '') {
+  const location = new URL(url);
+  globalThis.window = { location };
+  globalThis.document = { referrer };
+
+  const config = createConfig({ linkerDomains: 'checkout.example.net' });
+  return new Attribution(config, new Logger(false)).capture();
+}
+
+describe('classifyChannel', () => {
+  test('paid click IDs and mediums', () => {
+    expect(classifyChannel({ gclid: 'abc' })).toBe('paid');
+    expect(classifyChannel({ utm_medium: 'CPC' })).toBe('paid');
+    expect(classifyChannel({ utm_medium: 'paid_social', referrer_host: 'facebook.com' })).toBe('paid');
+  });
+
+  test('fbclid alone is social, not paid', () => {
+    expect(classifyChannel({ fbclid: 'abc' })).toBe('social');
+  });
+
+  test('email by medium or source', () => {
+    expect(classifyChannel({ utm_medium: 'e-mail' })).toBe('email');
+    expect(classifyChannel({ utm_source: 'newsletter' })).toBe('email');
+  });
+
+  test('social and search referrers', () => {
+    expect(classifyChannel({ referrer_host: 'l.instagram.com' })).toBe('social');
+    expect(classifyChannel({ referrer_host: 'www.google.co.uk' })).toBe('organic_search');
+    expect(classifyChannel({ utm_medium: 'organic' })).toBe('organic_search');
+  });
+
+  test('other referrers and tagged visits are referral, the rest direct', () => {
+    expect(classifyChannel({ referrer_host: 'blog.example.org' })).toBe('referral');
+    expect(classifyChannel({ utm_source: 'partner' })).toBe('referral');
+    expect(classifyChannel({})).toBe('direct');
+  });
+});
+
+describe('matchesHostList', () => {
+  test('dotless entries match any top-level domain', () => {
+    expect(matchesHostList('www.google.de', SEARCH_HOSTS)).toBe(true);
+    expect(matchesHostList('search.yahoo.co.jp', SEARCH_HOSTS)).toBe(true);
+    expect(matchesHostList('googleusercontent.com', SEARCH_HOSTS)).toBe(false);
+  });
+
+  test('dotted entries match the host and its subdomains only', () => {
+    expect(matchesHostList('duckduckgo.com', SEARCH_HOSTS)).toBe(true);
+    expect(matchesHostList('html.duckduckgo.com', SEARCH_HOSTS)).toBe(true);
+    expect(matchesHostList('notduckduckgo.com', SEARCH_HOSTS)).toBe(false);
+  });
+});
+
+describe('Attribution', () => {
+  beforeEach(() => {
+    globalThis.localStorage = createStorage();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+    delete globalThis.window;
+    delete globalThis.document;
+  });
+
+  test('records the first visit as both first and last touch', () => {
+    const touches = visit('https://example.com/?utm_source=google&utm_medium=cpc', 'https://www.google.com/');
+
+    expect(touches.first_touch).toMatchObject({
+      utm_source: 'google',
+      utm_medium: 'cpc',
+      referrer_host: 'www.google.com',
+      channel: 'paid',
+      landing_page: 'https://example.com/'
+    });
+    expect(touches.last_touch).toEqual(touches.first_touch);
+  });
+
+  test('a campaign visit replaces the last touch but not the first', () => {
+    visit('https://example.com/?utm_source=google&utm_medium=cpc');
+    const touches = visit('https://example.com/offer', 'https://t.co/xyz');
+
+    expect(touches.first_touch.channel).toBe('paid');
+    expect(touches.last_touch).toMatchObject({ channel: 'social', referrer_host: 't.co' });
+  });
+
+  test('direct visits and internal referrers keep the last touch', () => {
+    visit('https://example.com/?utm_medium=email');
+    visit('https://example.com/next');
+    const touches = visit('https://example.com/pay', 'https://checkout.example.net/cart');
+
+    expect(touches.last_touch.channel).toBe('email');
+  });
+
+  test('a direct first visit is still recorded', () => {
+    const touches = visit('https://example.com/');
+
+    expect(touches.first_touch.channel).toBe('direct');
+    expect(touches.last_touch.channel).toBe('direct');
+  });
+});
@@ -0,0 +1,222 @@
+import { jest } from '@jest/globals';
+import { chunkPayloads, sendBeaconBatches, BEACON_MAX_BYTES } from '../src/transport/beacon.js';
+import { getBatchId } from '../src/transport/ledger.js';
+import { ApiTransport } from '../src/transport/api.js';
+import { ApiWorkerTransport } from '../src/transport/api-worker.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+const payload = (id, size = 0) => ({ event_id: id, event: 'click', data: 'x'.repeat(size) });
+const bodySize = (batch) => new TextEncoder().encode(JSON.stringify({ events: batch, batch: true })).length;
+
+describe('chunkPayloads', () => {
+  test('keeps every batch body under the limit', () => {
+    const payloads = Array.from({ length: 30 }, (_, i) => payload(`e${i}`, 5000));
+    const chunks = chunkPayloads(payloads);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk) => expect(bodySize(chunk)).toBeLessThanOrEqual(BEACON_MAX_BYTES));
+    expect(chunks.flat().map((item) => item.event_id)).toEqual(payloads.map((item) => item.event_id));
+  });
+
+  test('starts a new batch when the next payload would not fit', () => {
+    const payloads = [payload('a', 100), payload('b', 100)];
+    const size = bodySize(payloads);
+
+    // Each payload is counted with a separating comma, one byte of slack
+    expect(chunkPayloads(payloads, size + 1)).toHaveLength(1);
+    expect(chunkPayloads(payloads, size - 1)).toHaveLength(2);
+  });
+
+  test('leaves out a payload too large on its own', () => {
+    const chunks = chunkPayloads([payload('a'), payload('huge', 70000), payload('b')]);
+
+    expect(chunks.flat().map((item) => item.event_id)).toEqual(['a', 'b']);
+  });
+
+  test('returns no batches for no payloads', () => {
+    expect(chunkPayloads([])).toEqual([]);
+  });
+});
+
+describe('sendBeaconBatches', () => {
+  const ledger = { track: jest.fn() };
+
+  beforeEach(() => {
+    ledger.track.mockClear();
+  });
+
+  afterEach(() => {
+    delete globalThis.navigator;
+  });
+
+  function stubBeacon(sendBeacon) {
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { sendBeacon },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  test('sends each batch with its own batch ID', () => {
+    const sendBeacon = jest.fn().mockReturnValue(true);
+    stubBeacon(sendBeacon);
+    const payloads = Array.from({ length: 30 }, (_, i) => payload(`e${i}`, 5000));
+
+    const sent = sendBeaconBatches('https://api.example.com/events', payloads, ledger);
+
+    expect(sent).toEqual(payloads.map((item) => item.event_id));
+    const urls = sendBeacon.mock.calls.map(([url]) => url);
+    urls.forEach((url) => expect(url).toMatch(/^https:\/\/api\.example\.com\/events\/\?cc_batch=/));
+    expect(new Set(urls.map(getBatchId)).size).toBe(urls.length);
+    expect(ledger.track).toHaveBeenCalledTimes(urls.length);
+  });
+
+  test('stops at the first batch the browser refuses', () => {
+    const sendBeacon = jest.fn().mockReturnValueOnce(true).mockReturnValue(false);
+    stubBeacon(sendBeacon);
+    const payloads = Array.from({ length: 30 }, (_, i) => payload(`e${i}`, 5000));
+    const [firstBatch] = chunkPayloads(payloads);
+
+    const sent = sendBeaconBatches('https://api.example.com/events/', payloads, ledger);
+
+    expect(sendBeacon).toHaveBeenCalledTimes(2);
+    expect(sent).toEqual(firstBatch.map((item) => item.event_id));
+    expect(ledger.track).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a throwing sendBeacon as refused', () => {
+    stubBeacon(jest.fn(() => {
+      throw new TypeError('Illegal invocation');
+    }));
+
+    expect(sendBeaconBatches('https://api.example.com/events', [payload('a')], ledger)).toEqual([]);
+    expect(ledger.track).not.toHaveBeenCalled();
+  });
+
+  test('sends nothing without sendBeacon', () => {
+    stubBeacon(undefined);
+    expect(sendBeaconBatches('https://api.example.com/events', [payload('a')], ledger)).toEqual([]);
+  });
+});
+
+describe('sending on the page-exit path', () => {
+  const emitter = { emit: jest.fn() };
+
+  function stubNavigator(sendBeacon) {
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { onLine: true, sendBeacon },
+      configurable: true,
+      writable: true
+    });
+  }
+
+  async function createTransport(Transport = ApiTransport) {
+    const transport = new Transport(
+      createConfig({ apiUrl: 'https://api.example.com/events' }),
+      new Logger(false),
+      emitter
+    );
+    await transport.queue.restored;
+    return transport;
+  }
+
+  beforeEach(() => {
+    emitter.emit.mockClear();
+    // The request ledger waits 10s for Resource Timing entries
+    jest.useFakeTimers();
+    globalThis.localStorage = createStorage();
+    globalThis.fetch = jest.fn().mockResolvedValue({ status: 202, headers: { get: () => null } });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    delete globalThis.navigator;
+    delete globalThis.localStorage;
+    delete globalThis.fetch;
+    delete globalThis.document;
+  });
+
+  test('a hidden page only beacons once the exit path has started', async () => {
+    const sendBeacon = jest.fn().mockReturnValue(true);
+    stubNavigator(sendBeacon);
+    globalThis.document = { visibilityState: 'hidden' };
+    const transport = await createTransport();
+
+    await transport.send(payload('a'), 'click');
+    expect(sendBeacon).not.toHaveBeenCalled();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+    transport.setExiting(true);
+    expect(await transport.send(payload('b'), 'click')).toBe(true);
+    expect(sendBeacon).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(await sendBeacon.mock.calls[0][1].text()).events).toEqual([payload('b')]);
+    expect(transport.getQueueSize()).toBe(0);
+    expect(emitter.emit).toHaveBeenCalledWith('event_sent', payload('b'));
+  });
+
+  test('beacons go to the endpoint the worker posts its batches to', async () => {
+    const sendBeacon = jest.fn().mockReturnValue(true);
+    stubNavigator(sendBeacon);
+    const transport = await createTransport();
+
+    transport.queue.add(payload('a'));
+    transport.drain();
+    await transport.send(payload('b'), 'session_end');
+
+    sendBeacon.mock.calls.forEach(([url]) => {
+      expect(url).toMatch(/^https:\/\/api\.example\.com\/events\/\?cc_batch=/);
+    });
+    expect(JSON.parse(await sendBeacon.mock.calls[0][1].text())).toEqual({ events: [payload('a')], batch: true });
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  test('an event the browser refuses stays persisted for the next page load', async () => {
+    stubNavigator(jest.fn().mockReturnValue(false));
+    const transport = await createTransport();
+    transport.setExiting(true);
+
+    expect(await transport.send(payload('a'), 'engagement')).toBe(false);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem('cc_event_queue')).map((entry) => entry.id)).toEqual(['a']);
+
+    // Next page load
+    await createTransport();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(globalThis.fetch.mock.calls[0][1].body)).toEqual(payload('a'));
+    expect(JSON.parse(localStorage.getItem('cc_event_queue'))).toEqual([]);
+  });
+
+  test('refused events are sent normally when the page is shown again', async () => {
+    stubNavigator(jest.fn().mockReturnValue(false));
+    const transport = await createTransport();
+    transport.setExiting(true);
+    await transport.send(payload('a'), 'engagement');
+
+    transport.setExiting(false);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(transport.getQueueSize()).toBe(0);
+  });
+
+  test('the worker transport beacons from its mirror and hands refused events back', async () => {
+    stubNavigator(jest.fn().mockReturnValueOnce(true).mockReturnValue(false));
+    const transport = await createTransport(ApiWorkerTransport);
+    transport.worker = { postMessage: jest.fn() };
+    transport.setExiting(true);
+
+    expect(await transport.send(payload('a'))).toBe(true);
+    expect(await transport.send(payload('b'))).toBe(false);
+
+    expect(transport.queue.getAll().map((entry) => entry.id)).toEqual(['b']);
+    expect(transport.worker.postMessage).toHaveBeenLastCalledWith({
+      type: 'TRACK_EVENT',
+      payload: payload('b'),
+      attempts: 0
+    });
+  });
+});
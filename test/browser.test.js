@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { BrowserListeners } from '../src/listeners/browser.js';
+import { State } from '../src/core/state.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+describe('BrowserListeners', () => {
+  let listeners;
+  let eventTracker;
+  let originalPushState;
+  let originalReplaceState;
+
+  beforeEach(() => {
+    globalThis.window = Object.assign(new EventTarget(), { location: { pathname: '/' } });
+    globalThis.document = Object.assign(new EventTarget(), { visibilityState: 'visible' });
+    originalPushState = jest.fn();
+    originalReplaceState = jest.fn();
+    globalThis.history = { pushState: originalPushState, replaceState: originalReplaceState };
+
+    eventTracker = {
+      setExiting: jest.fn(),
+      reportWebVitals: jest.fn(),
+      reportPageWeight: jest.fn(),
+      drainOnExit: jest.fn(),
+      send: jest.fn(),
+      webVitals: { startPage: jest.fn() }
+    };
+    listeners = new BrowserListeners(
+      createConfig({ autoTrack: true }),
+      new State(),
+      { persist: jest.fn() },
+      eventTracker,
+      { pause: jest.fn(), resume: jest.fn(), resetPage: jest.fn(), handleNavigation: jest.fn() },
+      { track: jest.fn() },
+      new Logger(false)
+    );
+    jest.spyOn(listeners, 'handleExit');
+    listeners.setup();
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+    delete globalThis.history;
+    jest.restoreAllMocks();
+  });
+
+  test('teardown removes the page listeners', () => {
+    window.dispatchEvent(new Event('pagehide'));
+    expect(listeners.handleExit).toHaveBeenCalledTimes(1);
+
+    listeners.teardown();
+    listeners.hasExited = false;
+    window.dispatchEvent(new Event('pagehide'));
+    document.dispatchEvent(new Event('visibilitychange'));
+
+    expect(listeners.handleExit).toHaveBeenCalledTimes(1);
+  });
+
+  test('teardown restores the history methods', () => {
+    expect(history.pushState).not.toBe(originalPushState);
+
+    listeners.teardown();
+
+    expect(history.pushState).toBe(originalPushState);
+    expect(history.replaceState).toBe(originalReplaceState);
+  });
+
+  test('teardown keeps a history patch added after setup', () => {
+    const laterPatch = jest.fn();
+    history.pushState = laterPatch;
+
+    listeners.teardown();
+
+    expect(history.pushState).toBe(laterPatch);
+    expect(history.replaceState).toBe(originalReplaceState);
+  });
+
+  test('web vitals are reported at page hide, not on SPA navigation', () => {
+    window.location.pathname = '/pricing';
+    history.pushState({}, '', '/pricing');
+    expect(eventTracker.reportWebVitals).not.toHaveBeenCalled();
+    expect(eventTracker.webVitals.startPage).not.toHaveBeenCalled();
+
+    document.visibilityState = 'hidden';
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(eventTracker.reportWebVitals).toHaveBeenCalledTimes(1);
+  });
+
+  test('a bfcache restore starts a new web vitals page view', () => {
+    window.dispatchEvent(new Event('pagehide'));
+    window.dispatchEvent(Object.assign(new Event('pageshow'), { persisted: true }));
+
+    expect(eventTracker.webVitals.startPage).toHaveBeenCalledTimes(1);
+  });
+});
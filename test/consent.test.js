@@ -0,0 +1,182 @@
+import { jest } from '@jest/globals';
+import { ConsentManager } from '../src/core/consent.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+function createConsent(options = {}) {
+  return new ConsentManager(createConfig(options), new Logger(false));
+}
+
+/**
+ * Page with a TCF v2 CMP that reports `tcData` once a listener is added
+ */
+function stubTCF(tcData) {
+  globalThis.window = {
+    __tcfapi: (command, version, callback) => callback(tcData, true)
+  };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  delete globalThis.window;
+  jest.restoreAllMocks();
+});
+
+describe('ConsentManager', () => {
+  test('undecided categories follow requireConsent', () => {
+    expect(createConsent().hasConsent('analytics')).toBe(true);
+    expect(createConsent({ requireConsent: true }).getState()).toEqual({
+      analytics: false,
+      geolocation: false,
+      performance: false,
+      source: 'default'
+    });
+  });
+
+  test('setConsent persists decisions and notifies listeners', () => {
+    const consent = createConsent({ requireConsent: true });
+    const listener = jest.fn();
+    consent.onChange(listener);
+
+    consent.setConsent({ analytics: true });
+
+    expect(listener).toHaveBeenCalledWith(
+      { analytics: true, geolocation: false, performance: false, source: 'api' },
+      { analytics: false, geolocation: false, performance: false, source: 'default' }
+    );
+    expect(createConsent({ requireConsent: true }).hasConsent('analytics')).toBe(true);
+  });
+
+  test('setConsent ignores unknown categories', () => {
+    const consent = createConsent();
+    const listener = jest.fn();
+    consent.onChange(listener);
+
+    consent.setConsent({ marketing: false });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(localStorage.getItem('cc_consent')).toBeNull();
+  });
+
+  test('a throwing listener does not stop the others', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const consent = createConsent();
+    const listener = jest.fn();
+    consent.onChange(() => {
+      throw new Error('listener failed');
+    });
+    consent.onChange(listener);
+
+    consent.setConsent({ analytics: false });
+
+    expect(listener).toHaveBeenCalled();
+  });
+
+  test('a decision set through the API wins over CMP signals', () => {
+    createConsent({ requireConsent: true }).setConsent({ analytics: false });
+    stubTCF({ eventStatus: 'useractioncomplete', gdprApplies: false });
+
+    const consent = createConsent({ requireConsent: true });
+    consent.listenForSignals();
+    consent.setConsent({ performance: true }, 'gcm');
+
+    expect(consent.getState()).toEqual({
+      analytics: false,
+      geolocation: false,
+      performance: false,
+      source: 'api'
+    });
+  });
+});
+
+describe('ConsentManager IAB TCF v2', () => {
+  function tcfState(tcData) {
+    stubTCF({ eventStatus: 'tcloaded', gdprApplies: true, ...tcData });
+    const consent = createConsent({ requireConsent: true });
+    consent.listenForSignals();
+    return consent.getState();
+  }
+
+  test('purposes 1 and 9 grant analytics, 1 and 8 performance', () => {
+    expect(tcfState({ purpose: { consents: { 1: true, 9: true } } }))
+      .toMatchObject({ analytics: true, performance: false, geolocation: false, source: 'tcf' });
+    expect(tcfState({ purpose: { consents: { 1: true, 8: true } } }))
+      .toMatchObject({ analytics: false, performance: true });
+    expect(tcfState({ purpose: { consents: { 8: true, 9: true } } }))
+      .toMatchObject({ analytics: false, performance: false });
+  });
+
+  test('special feature 1 grants geolocation', () => {
+    expect(tcfState({ purpose: { consents: {} }, specialFeatureOptins: { 1: true } }))
+      .toMatchObject({ analytics: false, geolocation: true });
+  });
+
+  test('grants everything when GDPR does not apply', () => {
+    expect(tcfState({ gdprApplies: false })).toEqual({
+      analytics: true,
+      geolocation: true,
+      performance: true,
+      source: 'tcf'
+    });
+  });
+
+  test('waits until the CMP has loaded or the visitor has chosen', () => {
+    expect(tcfState({ eventStatus: 'cmpuishown', gdprApplies: false }).source).toBe('default');
+  });
+});
+
+describe('ConsentManager Google Consent Mode', () => {
+  test('reads consent commands already in the dataLayer and new ones', () => {
+    globalThis.window = { dataLayer: [['consent', 'update', { analytics_storage: 'granted' }]] };
+    const consent = createConsent({ requireConsent: true });
+    consent.listenForSignals();
+
+    expect(consent.getState()).toMatchObject({ analytics: true, performance: true, source: 'gcm' });
+
+    window.dataLayer.push(['consent', 'update', { analytics_storage: 'denied' }]);
+
+    expect(window.dataLayer).toHaveLength(2);
+    expect(consent.hasConsent('analytics')).toBe(false);
+    expect(consent.hasConsent('geolocation')).toBe(false);
+  });
+
+  test('ignores other dataLayer entries', () => {
+    globalThis.window = { dataLayer: [] };
+    const consent = createConsent({ requireConsent: true });
+    consent.listenForSignals();
+
+    window.dataLayer.push({ event: 'gtm.js' }, ['consent', 'update', { ad_storage: 'granted' }]);
+
+    expect(consent.getState().source).toBe('default');
+  });
+
+  test('default commands apply to this page only, update commands are persisted', () => {
+    globalThis.window = { dataLayer: [['consent', 'default', { analytics_storage: 'granted' }]] };
+    const consent = createConsent({ requireConsent: true });
+    consent.listenForSignals();
+
+    expect(consent.hasConsent('analytics')).toBe(true);
+    expect(localStorage.getItem('cc_consent')).toBeNull();
+    expect(createConsent({ requireConsent: true }).hasConsent('analytics')).toBe(false);
+
+    window.dataLayer.push(['consent', 'update', { analytics_storage: 'denied' }]);
+
+    expect(consent.hasConsent('analytics')).toBe(false);
+    expect(createConsent({ requireConsent: true }).getState()).toMatchObject({ analytics: false, source: 'gcm' });
+  });
+
+  test('a default never overrides a decision', () => {
+    const consent = createConsent({ requireConsent: true });
+    consent.setConsent({ analytics: true }, 'gcm');
+    globalThis.window = { dataLayer: [['consent', 'default', { analytics_storage: 'denied' }]] };
+
+    consent.listenForSignals();
+
+    expect(consent.hasConsent('analytics')).toBe(true);
+    expect(consent.hasConsent('performance')).toBe(false);
+  });
+});
@@ -0,0 +1,399 @@
+import { jest } from '@jest/globals';
+import { ConversionTracker, matchesUrlRule, matchesCondition } from '../src/tracking/conversion.js';
+import { EventTracker } from '../src/tracking/event.js';
+import { ConsentManager } from '../src/core/consent.js';
+import { Identity } from '../src/core/identity.js';
+import { MiddlewarePipeline } from '../src/core/middleware.js';
+import { Logger } from '../src/utils/logger.js';
+import { EventEmitter } from '../src/utils/emitter.js';
+import { createConfig, createStorage } from './helpers.js';
+
+/**
+ * ConversionTracker with a stub EventTracker. Events reach the transport
+ * unless `dropped` is true, like an event dropped by sampling.
+ */
+function createTracker({ sessionId = 'session-1', userId = null, dropped = false } = {}) {
+  const eventTracker = {
+    session: { id: sessionId, getId() { return this.id; } },
+    identity: { userId, getUserId() { return this.userId; }, getAnonymousId: () => 'anon-1' },
+    send: jest.fn((event, data, options = {}) => {
+      if (dropped) options.onDropped?.();
+      return Promise.resolve();
+    })
+  };
+
+  return { tracker: new ConversionTracker(createConfig(), eventTracker, new Logger(false)), eventTracker };
+}
+
+describe('matchesUrlRule', () => {
+  const url = 'https://shop.example.com/checkout/thanks?order=1';
+  const path = '/checkout/thanks';
+  const rule = (match_type, pattern) => ({ match_type, pattern });
+
+  test('matches the full URL or the path', () => {
+    expect(matchesUrlRule(rule('exact', '/checkout/thanks'), url, path)).toBe(true);
+    expect(matchesUrlRule(rule('exact', '/checkout'), url, path)).toBe(false);
+    expect(matchesUrlRule(rule('contains', 'order=1'), url, path)).toBe(true);
+    expect(matchesUrlRule(rule('starts_with', '/checkout'), url, path)).toBe(true);
+    expect(matchesUrlRule(rule('ends_with', '/thanks'), url, path)).toBe(true);
+    expect(matchesUrlRule(rule('regex', '^/checkout/(thanks|done)$'), url, path)).toBe(true);
+  });
+
+  test('never matches without a pattern or with an unknown match type', () => {
+    expect(matchesUrlRule(rule('contains', ''), url, path)).toBe(false);
+    expect(matchesUrlRule(rule('fuzzy', 'thanks'), url, path)).toBe(false);
+  });
+
+  test('throws on an invalid regex for the caller to report', () => {
+    expect(() => matchesUrlRule(rule('regex', '('), url, path)).toThrow(SyntaxError);
+  });
+});
+
+describe('matchesCondition', () => {
+  const data = { plan: 'pro', seats: '12', cart: { total: 99.5 }, coupon: null };
+
+  test('compares loosely and follows dotted paths', () => {
+    expect(matchesCondition({ property: 'plan', value: 'pro' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'seats', operator: 'equals', value: 12 }, data)).toBe(true);
+    expect(matchesCondition({ property: 'plan', operator: 'not_equals', value: 'free' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'cart.total', operator: 'greater_than', value: '50' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'cart.total', operator: 'less_than', value: 50 }, data)).toBe(false);
+    expect(matchesCondition({ property: 'cart.items.length', operator: 'greater_than', value: 0 }, data)).toBe(false);
+  });
+
+  test('contains, exists and regex', () => {
+    expect(matchesCondition({ property: 'plan', operator: 'contains', value: 'r' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'coupon', operator: 'contains', value: 'null' }, data)).toBe(false);
+    expect(matchesCondition({ property: 'coupon', operator: 'exists' }, data)).toBe(false);
+    expect(matchesCondition({ property: 'plan', operator: 'exists' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'plan', operator: 'regex', value: '^p' }, data)).toBe(true);
+    expect(matchesCondition({ property: 'plan', operator: 'between', value: 1 }, data)).toBe(false);
+  });
+});
+
+describe('ConversionTracker count policies', () => {
+  beforeEach(() => {
+    globalThis.localStorage = createStorage();
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  test('every counts each match', () => {
+    const { tracker, eventTracker } = createTracker();
+    const rule = { id: 1, type: 'url', name: 'Thanks' };
+
+    tracker.convert(rule);
+    tracker.convert(rule);
+
+    expect(eventTracker.send).toHaveBeenCalledTimes(2);
+    expect(eventTracker.send.mock.calls[0][1]).toMatchObject({
+      conversion_type: 'url',
+      conversion_label: 'Thanks',
+      conversion_rule_id: 1,
+      conversion_count: 'every'
+    });
+    expect(localStorage.getItem('cc_conversions')).toBeNull();
+  });
+
+  test('once_per_session counts again in a new session', () => {
+    const { tracker, eventTracker } = createTracker();
+    const rule = { id: 1, type: 'url', count: 'once_per_session' };
+
+    tracker.convert(rule);
+    tracker.convert(rule);
+    expect(eventTracker.send).toHaveBeenCalledTimes(1);
+
+    eventTracker.session.id = 'session-2';
+    tracker.convert(rule);
+    expect(eventTracker.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('once_per_user is remembered across page loads and per user', () => {
+    const rule = { id: 7, type: 'url', count: 'once_per_user' };
+
+    createTracker().tracker.convert(rule);
+
+    const reload = createTracker({ sessionId: 'session-2' });
+    reload.tracker.convert(rule);
+    expect(reload.eventTracker.send).not.toHaveBeenCalled();
+
+    const otherUser = createTracker({ userId: 'user-42' });
+    otherUser.tracker.convert(rule);
+    expect(otherUser.eventTracker.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem('cc_conversions')).users).toEqual({
+      'anon-1': ['7'],
+      'user-42': ['7']
+    });
+  });
+
+  test('is claimed before the event is sent', () => {
+    const { tracker, eventTracker } = createTracker();
+    eventTracker.send.mockReturnValue(new Promise(() => {}));
+    const rule = { id: 1, type: 'url', count: 'once_per_session' };
+
+    tracker.convert(rule);
+    tracker.convert(rule);
+
+    expect(eventTracker.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(localStorage.getItem('cc_conversions')).session).toEqual(['1']);
+  });
+
+  test('a conversion that never reaches the transport is released', () => {
+    const rule = { id: 1, type: 'url', count: 'once_per_session' };
+    const userRule = { id: 2, type: 'url', count: 'once_per_user' };
+    const dropped = createTracker({ dropped: true });
+
+    dropped.tracker.convert(rule);
+    dropped.tracker.convert(userRule);
+    expect(JSON.parse(localStorage.getItem('cc_conversions'))).toMatchObject({
+      session: [],
+      users: { 'anon-1': [] }
+    });
+
+    const retried = createTracker();
+    retried.tracker.convert(rule);
+    retried.tracker.convert(userRule);
+    expect(retried.eventTracker.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps only the most recent users', () => {
+    const rule = { id: 1, type: 'url', count: 'once_per_user' };
+
+    for (let i = 0; i < 25; i++) {
+      createTracker({ userId: `user-${i}` }).tracker.convert(rule);
+    }
+
+    const users = Object.keys(JSON.parse(localStorage.getItem('cc_conversions')).users);
+    expect(users).toHaveLength(20);
+    expect(users[0]).toBe('user-5');
+  });
+});
+
+describe('ConversionTracker rules', () => {
+  afterEach(() => {
+    delete globalThis.document;
+    delete globalThis.window;
+    jest.restoreAllMocks();
+  });
+
+  test('click rules listen on the document until torn down', () => {
+    globalThis.document = {
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      createDocumentFragment: () => ({ querySelector: () => null })
+    };
+    const { tracker, eventTracker } = createTracker();
+
+    tracker.apply([{ id: 1, type: 'click', name: 'Buy', selector: '#buy' }]);
+    const [[type, handler]] = document.addEventListener.mock.calls;
+    expect(type).toBe('click');
+
+    handler({ target: { closest: (selector) => (selector === '#buy' ? { tagName: 'BUTTON', innerText: 'Buy now' } : null) } });
+    expect(eventTracker.send).toHaveBeenCalledWith('conversion', {
+      conversion_type: 'click',
+      conversion_label: 'Buy',
+      conversion_rule_id: 1,
+      conversion_count: 'every',
+      conversion_selector: '#buy',
+      conversion_element: 'BUTTON',
+      element_text: 'Buy now'
+    }, expect.anything());
+
+    tracker.apply([]);
+    expect(document.removeEventListener).toHaveBeenCalledWith('click', handler, undefined);
+  });
+
+  test('url rules are checked on each page view', () => {
+    globalThis.window = { location: new URL('https://shop.example.com/checkout/thanks') };
+    const { tracker, eventTracker } = createTracker();
+    tracker.apply([
+      { id: 1, type: 'url', pattern: '/thanks', match_type: 'ends_with' },
+      { id: 2, type: 'url', pattern: '(', match_type: 'regex' }
+    ]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tracker.handlePageView();
+    tracker.handlePageView();
+
+    expect(eventTracker.send).toHaveBeenCalledTimes(2);
+    expect(eventTracker.send.mock.calls[0][1]).toMatchObject({
+      conversion_rule_id: 1,
+      conversion_url: 'https://shop.example.com/checkout/thanks'
+    });
+  });
+
+  test('once-per-page rules fire again after a page view', () => {
+    const { tracker } = createTracker();
+    const rule = { id: 3, type: 'scroll_depth' };
+
+    expect(tracker.markFired(rule)).toBe(true);
+    expect(tracker.markFired(rule)).toBe(false);
+
+    tracker.handlePageView();
+    expect(tracker.markFired(rule)).toBe(true);
+  });
+
+  test('custom events convert when every condition matches', () => {
+    const { tracker, eventTracker } = createTracker();
+    tracker.apply([{
+      id: 1,
+      type: 'custom_event',
+      event_name: 'purchase',
+      conditions: [{ property: 'plan', value: 'pro' }, { property: 'seats', operator: 'greater_than', value: 1 }]
+    }]);
+
+    tracker.handleCustomEvent('purchase', { plan: 'pro', seats: 1 });
+    tracker.handleCustomEvent('signup', { plan: 'pro', seats: 5 });
+    tracker.handleCustomEvent('purchase', { plan: 'pro', seats: 5 });
+
+    expect(eventTracker.send).toHaveBeenCalledTimes(1);
+    expect(eventTracker.send.mock.calls[0][1]).toMatchObject({
+      conversion_type: 'custom_event',
+      conversion_event_name: 'purchase'
+    });
+  });
+
+  test('skips rules whose selector does not parse', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.document = {
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      createDocumentFragment: () => ({
+        querySelector: (selector) => {
+          if (selector.includes('[[')) throw new SyntaxError(`'${selector}' is not a valid selector`);
+          return null;
+        }
+      })
+    };
+    const { tracker } = createTracker();
+
+    tracker.apply([
+      { id: 1, type: 'click', selector: '#buy' },
+      { id: 2, type: 'click', selector: 'button[[data-buy]' },
+      { id: 3, type: 'form_submit' },
+      { id: 4, type: 'url', pattern: '/thanks', match_type: 'contains' }
+    ]);
+
+    expect(tracker.rules.map((rule) => rule.id)).toEqual([1, 4]);
+    expect(document.addEventListener).toHaveBeenCalledTimes(1);
+
+    tracker.teardown();
+    expect(document.removeEventListener).toHaveBeenCalledTimes(1);
+  });
+
+  test('custom events use the event value when it is a number', () => {
+    const { tracker, eventTracker } = createTracker();
+    tracker.apply([{
+      id: 1,
+      type: 'custom_event',
+      event_name: 'purchase',
+      value: 10,
+      currency: 'usd',
+      conditions: [{ property: 'plan', value: 'pro' }]
+    }]);
+
+    tracker.handleCustomEvent('purchase', { plan: 'pro', value: '49.90', currency: 'eur' });
+    tracker.handleCustomEvent('purchase', { plan: 'pro' });
+    tracker.handleCustomEvent('purchase', { plan: 'pro', value: 'n/a' });
+
+    expect(eventTracker.send.mock.calls.map(([, data]) => [data.conversion_value, data.conversion_currency]))
+      .toEqual([[49.9, 'EUR'], [10, 'USD'], [10, 'USD']]);
+  });
+});
+
+describe('EventTracker conversions', () => {
+  let tracker;
+  let transport;
+  let consent;
+  let pipeline;
+
+  function createEventTracker(options = {}) {
+    const config = createConfig(options);
+    const logger = new Logger(false);
+    const session = { touch: () => {}, isActive: () => true, getId: () => 'session-id' };
+    transport = { send: jest.fn() };
+    consent = new ConsentManager(config, logger);
+    pipeline = new MiddlewarePipeline(logger);
+
+    tracker = new EventTracker(
+      config,
+      session,
+      transport,
+      logger,
+      consent,
+      new Identity(config, logger),
+      pipeline,
+      new EventEmitter(logger)
+    );
+    tracker.webVitals.disconnect();
+  }
+
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // send() schedules byte-tracking timers
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    createEventTracker();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('drops an identical conversion within 2 seconds', async () => {
+    await tracker.send('conversion', { conversion_rule_id: 1 });
+    await tracker.send('conversion', { conversion_rule_id: 1 });
+    expect(transport.send).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2000);
+    await tracker.send('conversion', { conversion_rule_id: 1 });
+    expect(transport.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends repeated non-conversion events', async () => {
+    await tracker.send('button_click', { element: 'add-to-cart' });
+    await tracker.send('button_click', { element: 'add-to-cart' });
+
+    expect(transport.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports a conversion dropped by middleware', async () => {
+    const onDropped = jest.fn();
+    pipeline.use(() => null);
+
+    await tracker.send('conversion', { conversion_rule_id: 1 }, { onDropped });
+    await settle();
+
+    expect(onDropped).toHaveBeenCalledTimes(1);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  test('reports buffered conversions discarded when consent is denied', async () => {
+    createEventTracker({ requireConsent: true });
+    const onDropped = jest.fn();
+
+    await tracker.send('conversion', { conversion_rule_id: 1 }, { onDropped });
+    await settle();
+    expect(onDropped).not.toHaveBeenCalled();
+
+    tracker.handleConsentChange(consent.setConsent({ analytics: false }));
+
+    expect(onDropped).toHaveBeenCalledTimes(1);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  test('does not report a conversion that reaches the transport', async () => {
+    const onDropped = jest.fn();
+
+    await tracker.send('conversion', { conversion_rule_id: 1 }, { onDropped });
+    await settle();
+
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    expect(onDropped).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  parseDomainPattern,
+  matchesDomain,
+  toDomainList,
+  isDomainAllowed
+} from '../src/utils/domain.js';
+
+describe('parseDomainPattern', () => {
+  test('splits scheme, host and port', () => {
+    expect(parseDomainPattern('https://*.Example.com:8443/path'))
+      .toEqual({ scheme: 'https:', host: '*.example.com', port: '8443' });
+    expect(parseDomainPattern('localhost:*')).toEqual({ scheme: null, host: 'localhost', port: '*' });
+    expect(parseDomainPattern('example.com.')).toEqual({ scheme: null, host: 'example.com', port: null });
+  });
+
+  test('returns null for an empty pattern', () => {
+    expect(parseDomainPattern('  ')).toBeNull();
+    expect(parseDomainPattern(null)).toBeNull();
+  });
+});
+
+describe('matchesDomain', () => {
+  test('matches http and https when the pattern has no scheme', () => {
+    expect(matchesDomain('example.com', 'https://example.com')).toBe(true);
+    expect(matchesDomain('example.com', 'http://example.com')).toBe(true);
+    expect(matchesDomain('https://example.com', 'http://example.com')).toBe(false);
+  });
+
+  test('only matches the default port unless one is given', () => {
+    expect(matchesDomain('example.com', 'https://example.com:443')).toBe(true);
+    expect(matchesDomain('example.com', 'https://example.com:8443')).toBe(false);
+    expect(matchesDomain('example.com:8443', 'https://example.com:8443')).toBe(true);
+    expect(matchesDomain('localhost:*', 'http://localhost:3000')).toBe(true);
+  });
+
+  test('wildcards match subdomains at any depth but not the apex', () => {
+    expect(matchesDomain('*.example.com', 'https://shop.example.com')).toBe(true);
+    expect(matchesDomain('*.example.com', 'https://a.b.example.com')).toBe(true);
+    expect(matchesDomain('*.example.com', 'https://example.com')).toBe(false);
+    expect(matchesDomain('*.example.com', 'https://badexample.com')).toBe(false);
+  });
+
+  test('does not match lookalike hosts', () => {
+    expect(matchesDomain('example.com', 'https://example.com.evil.net')).toBe(false);
+    expect(matchesDomain('example.com', 'https://notexample.com')).toBe(false);
+  });
+
+  test('a bare "*" matches any origin', () => {
+    expect(matchesDomain('*', 'https://anything.net:8080')).toBe(true);
+  });
+
+  test('rejects origins that are not URLs', () => {
+    expect(matchesDomain('example.com', 'null')).toBe(false);
+  });
+});
+
+describe('toDomainList', () => {
+  test('accepts arrays and comma-separated strings', () => {
+    expect(toDomainList(' a.com, *.b.com ,')).toEqual(['a.com', '*.b.com']);
+    expect(toDomainList(['a.com', ''])).toEqual(['a.com']);
+    expect(toDomainList(null)).toEqual([]);
+  });
+});
+
+describe('isDomainAllowed', () => {
+  test('an empty list allows every origin', () => {
+    expect(isDomainAllowed(null, 'https://example.com')).toBe(true);
+    expect(isDomainAllowed([], 'https://example.com')).toBe(true);
+  });
+
+  test('allows an origin matching any pattern', () => {
+    const domains = 'example.com,https://checkout.example.net';
+    expect(isDomainAllowed(domains, 'https://checkout.example.net')).toBe(true);
+    expect(isDomainAllowed(domains, 'http://checkout.example.net')).toBe(false);
+  });
+});
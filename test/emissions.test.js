@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import {
+  EmissionsCalculator,
+  SWD_MODEL,
+  GLOBAL_GRID_INTENSITY,
+  GRID_INTENSITY,
+  regionFromCoordinates,
+  regionFromTimezone
+} from '../src/utils/emissions.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+function createCalculator(options = {}) {
+  return new EmissionsCalculator(createConfig(options), new Logger(false));
+}
+
+function mockTimezone(timeZone) {
+  jest.spyOn(Intl, 'DateTimeFormat').mockReturnValue({
+    resolvedOptions: () => ({ timeZone })
+  });
+}
+
+beforeEach(() => {
+  mockTimezone('UTC');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('SWD segments add up to the whole model', () => {
+  const total = Object.values(SWD_MODEL.segments).reduce((sum, share) => sum + share, 0);
+  expect(total).toBeCloseTo(1);
+});
+
+describe('EmissionsCalculator.estimate', () => {
+  test('1 GB at the global average grid intensity', () => {
+    const estimate = createCalculator().estimate(1e9);
+
+    expect(estimate.energyKwh).toBeCloseTo(0.81);
+    expect(estimate.co2eGrams).toBeCloseTo(0.81 * GLOBAL_GRID_INTENSITY);
+    expect(estimate.gridIntensity).toBe(GLOBAL_GRID_INTENSITY);
+    expect(estimate.regionSource).toBe('global');
+  });
+
+  test('scales linearly with bytes', () => {
+    const calculator = createCalculator();
+
+    expect(calculator.estimate(0).co2eGrams).toBe(0);
+    expect(calculator.estimate(2e6).co2eGrams).toBeCloseTo(calculator.estimate(1e6).co2eGrams * 2);
+  });
+
+  test('breakdown follows the segment shares', () => {
+    const { breakdown, co2eGrams } = createCalculator({ gridIntensity: 100 }).estimate(1e9);
+
+    expect(breakdown.device).toBeCloseTo(0.81 * 0.52 * 100);
+    expect(breakdown.network).toBeCloseTo(0.81 * 0.14 * 100);
+    expect(Object.values(breakdown).reduce((sum, grams) => sum + grams, 0)).toBeCloseTo(co2eGrams);
+  });
+
+  test('green hosting only lowers the data centre segment', () => {
+    const standard = createCalculator().estimate(1e9);
+    const green = createCalculator({ greenHosting: true }).estimate(1e9);
+
+    expect(green.breakdown.dataCentre).toBeCloseTo(0.81 * 0.15 * 50);
+    expect(green.breakdown.device).toBeCloseTo(standard.breakdown.device);
+    expect(green.co2eGrams).toBeCloseTo(0.81 * (0.85 * GLOBAL_GRID_INTENSITY + 0.15 * 50));
+  });
+});
+
+describe('EmissionsCalculator.getGridIntensity', () => {
+  const paris = { latitude: 48.86, longitude: 2.35 };
+
+  test('explicit gridIntensity wins', () => {
+    expect(createCalculator({ gridIntensity: 123, gridRegion: 'FR' }).getGridIntensity(paris))
+      .toEqual({ intensity: 123, region: null, source: 'config' });
+  });
+
+  test('then gridRegion, then geolocation, then time zone', () => {
+    mockTimezone('Europe/Stockholm');
+
+    expect(createCalculator({ gridRegion: 'de' }).getGridIntensity(paris))
+      .toEqual({ intensity: GRID_INTENSITY.DE, region: 'DE', source: 'config' });
+    expect(createCalculator().getGridIntensity(paris))
+      .toEqual({ intensity: GRID_INTENSITY.FR, region: 'FR', source: 'geolocation' });
+    expect(createCalculator().getGridIntensity(null))
+      .toEqual({ intensity: GRID_INTENSITY.SE, region: 'SE', source: 'timezone' });
+  });
+
+  test('unknown regions fall through to the global average', () => {
+    expect(createCalculator({ gridRegion: 'XX' }).getGridIntensity({ latitude: 0, longitude: 0 }))
+      .toEqual({ intensity: GLOBAL_GRID_INTENSITY, region: null, source: 'global' });
+  });
+});
+
+describe('region lookup', () => {
+  test('regionFromCoordinates prefers the smaller neighbouring country', () => {
+    expect(regionFromCoordinates({ latitude: 52.37, longitude: 4.9 })).toBe('NL');
+    expect(regionFromCoordinates({ latitude: 53.35, longitude: -6.26 })).toBe('IE');
+    expect(regionFromCoordinates({ latitude: 40.71, longitude: -74.0 })).toBe('US');
+    expect(regionFromCoordinates({ latitude: -80, longitude: 0 })).toBeNull();
+    expect(regionFromCoordinates(null)).toBeNull();
+  });
+
+  test('regionFromTimezone', () => {
+    mockTimezone('Asia/Kolkata');
+    expect(regionFromTimezone()).toBe('IN');
+
+    mockTimezone('Antarctica/Troll');
+    expect(regionFromTimezone()).toBeNull();
+  });
+});
+
+test('record() keeps session totals by event type', () => {
+  const calculator = createCalculator({ gridIntensity: 400 });
+
+  calculator.record('page_view', 1000, calculator.estimate(1000));
+  calculator.record('page_view', 3000, calculator.estimate(3000));
+  calculator.record('click', 500, calculator.estimate(500));
+
+  const summary = calculator.getSummary();
+  expect(summary.totalBytes).toBe(4500);
+  expect(summary.events).toBe(3);
+  expect(summary.co2eGrams).toBeCloseTo(calculator.estimate(4500).co2eGrams);
+  expect(summary.byEventType.page_view).toMatchObject({ bytes: 4000, events: 2 });
+  expect(summary.gridIntensity).toBe(400);
+  expect(summary.model).toBe('swd-v3');
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from '../src/utils/emitter.js';
+import { Logger } from '../src/utils/logger.js';
+
+describe('EventEmitter', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter(new Logger(false));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('on calls every handler in order with the data', () => {
+    const calls = [];
+    emitter.on('event_sent', (data) => calls.push(['first', data]));
+    emitter.on('event_sent', (data) => calls.push(['second', data]));
+
+    emitter.emit('event_sent', { event_id: 'a' });
+    emitter.emit('event_failed', { event_id: 'b' });
+
+    expect(calls).toEqual([['first', { event_id: 'a' }], ['second', { event_id: 'a' }]]);
+  });
+
+  test('once handlers run a single time', () => {
+    const handler = jest.fn();
+    emitter.once('ready', handler);
+
+    emitter.emit('ready', 1);
+    emitter.emit('ready', 2);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(1);
+  });
+
+  test('off removes one handler, including a once handler', () => {
+    const kept = jest.fn();
+    const removed = jest.fn();
+    const removedOnce = jest.fn();
+    emitter.on('ready', kept);
+    emitter.on('ready', removed);
+    emitter.once('ready', removedOnce);
+
+    emitter.off('ready', removed);
+    emitter.off('ready', removedOnce);
+    emitter.emit('ready');
+
+    expect(kept).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+    expect(removedOnce).not.toHaveBeenCalled();
+  });
+
+  test('off without a handler removes them all', () => {
+    const handler = jest.fn();
+    emitter.on('ready', handler);
+    emitter.on('ready', handler);
+
+    emitter.off('ready');
+    emitter.emit('ready');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('a throwing handler does not stop the others', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const handler = jest.fn();
+    emitter.on('ready', () => {
+      throw new Error('handler failed');
+    });
+    emitter.on('ready', handler);
+
+    expect(() => emitter.emit('ready')).not.toThrow();
+    expect(handler).toHaveBeenCalled();
+    expect(consoleError).toHaveBeenCalled();
+  });
+
+  test('a handler removed during emit still runs for that emit', () => {
+    const second = jest.fn();
+    emitter.on('ready', () => emitter.off('ready', second));
+    emitter.on('ready', second);
+
+    emitter.emit('ready');
+    emitter.emit('ready');
+
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignores handlers that are not functions', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    emitter.on('ready', 'not a function');
+
+    expect(() => emitter.emit('ready')).not.toThrow();
+  });
+});
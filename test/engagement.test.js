@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+import { EngagementTracker } from '../src/tracking/engagement.js';
+import { State } from '../src/core/state.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+function createSession(id = 'session-1') {
+  return {
+    getId: () => id,
+    isActive: () => true,
+    touch: jest.fn(),
+    addEngagedTime: jest.fn()
+  };
+}
+
+function createTracker(options = {}, session = createSession()) {
+  const eventTracker = { send: jest.fn() };
+  const tracker = new EngagementTracker(
+    createConfig({ pingInterval: 1000, maxPingInterval: 3000, idleThreshold: 30000, ...options }),
+    new State(),
+    eventTracker,
+    session,
+    new Logger(false)
+  );
+  return { tracker, eventTracker, session };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-03-10T12:00:00Z'));
+  globalThis.window = { location: { href: 'https://shop.example.com/pricing' } };
+  globalThis.document = {
+    visibilityState: 'visible',
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn()
+  };
+  globalThis.sessionStorage = createStorage();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete globalThis.window;
+  delete globalThis.document;
+  delete globalThis.sessionStorage;
+});
+
+describe('EngagementTracker', () => {
+  test('backs the checkpoint interval off by 1.5x up to maxPingInterval', () => {
+    const { tracker } = createTracker();
+    const checkpoint = jest.spyOn(tracker, 'checkpoint');
+    tracker.start();
+
+    const intervals = [];
+    [1000, 1500, 2250, 3000].forEach((ms) => {
+      jest.advanceTimersByTime(ms);
+      intervals.push(tracker.interval);
+    });
+
+    expect(checkpoint).toHaveBeenCalledTimes(4);
+    expect(intervals).toEqual([1500, 2250, 3000, 3000]);
+    tracker.teardown();
+  });
+
+  test('counts engaged time only up to idleThreshold after the last activity', () => {
+    const { tracker, eventTracker } = createTracker({ pingInterval: 60000 });
+    tracker.start();
+
+    jest.advanceTimersByTime(10000);
+    tracker.onActivity();
+    jest.advanceTimersByTime(45000);
+    tracker.trigger();
+
+    expect(eventTracker.send).toHaveBeenCalledWith('engagement', expect.objectContaining({
+      engaged_time_seconds: 40,
+      page_duration_seconds: 55,
+      page_url: 'https://shop.example.com/pricing',
+      reason: 'manual'
+    }));
+    tracker.teardown();
+  });
+
+  test('pauses while the page is hidden', () => {
+    const { tracker, eventTracker } = createTracker();
+    tracker.start();
+    jest.advanceTimersByTime(5000);
+
+    document.visibilityState = 'hidden';
+    tracker.pause();
+    expect(tracker.isRunning()).toBe(false);
+    expect(eventTracker.send).toHaveBeenLastCalledWith('engagement', expect.objectContaining({
+      engaged_time_seconds: 5,
+      reason: 'hidden'
+    }));
+
+    jest.advanceTimersByTime(20000);
+    document.visibilityState = 'visible';
+    tracker.resume();
+    jest.advanceTimersByTime(3000);
+    tracker.trigger();
+
+    expect(eventTracker.send).toHaveBeenLastCalledWith('engagement', expect.objectContaining({
+      engaged_time_seconds: 3,
+      total_engaged_seconds: 8
+    }));
+    tracker.teardown();
+  });
+
+  test('recovers a checkpointed summary on the next page load', () => {
+    const first = createTracker();
+    first.tracker.start();
+    jest.advanceTimersByTime(12000);
+    // The tab is discarded here without a pagehide or visibilitychange
+    first.tracker.stop();
+    expect(JSON.parse(sessionStorage.getItem('cc_engagement'))).toMatchObject({
+      sessionId: 'session-1',
+      pageUrl: 'https://shop.example.com/pricing'
+    });
+
+    const next = createTracker({}, first.session);
+    next.tracker.start();
+
+    expect(next.eventTracker.send).toHaveBeenCalledWith('engagement', expect.objectContaining({
+      session_id: 'session-1',
+      page_url: 'https://shop.example.com/pricing',
+      reason: 'recovered'
+    }));
+    expect(first.session.addEngagedTime).toHaveBeenCalled();
+    expect(sessionStorage.getItem('cc_engagement')).toBeNull();
+    next.tracker.teardown();
+  });
+
+  test('does not send a checkpoint left by a summary that was already sent', () => {
+    const first = createTracker();
+    first.tracker.start();
+    jest.advanceTimersByTime(5000);
+    first.tracker.pause();
+
+    const next = createTracker({}, first.session);
+    next.tracker.start();
+
+    expect(next.eventTracker.send).not.toHaveBeenCalled();
+    next.tracker.teardown();
+  });
+});
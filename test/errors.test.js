@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import {
+  ErrorTracker,
+  normalizeStack,
+  normalizeMessage,
+  fingerprintError,
+  describeError
+} from '../src/tracking/errors.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+const V8_STACK = [
+  'TypeError: Cannot read properties of undefined (reading \'id\')',
+  '    at renderCart (https://shop.example.com/app.js?v=3:10:5)',
+  '    at async https://shop.example.com/vendor.js#main:200:12',
+  '    at Object.<anonymous> (https://shop.example.com/app.js:42:1)'
+].join('\n');
+
+const GECKO_STACK = [
+  'renderCart@https://shop.example.com/app.js?v=4:10:7',
+  '@https://shop.example.com/vendor.js:200:3',
+  ''
+].join('\n');
+
+function createTracker(options = {}, sessionId = 'session-1') {
+  const config = createConfig(options);
+  const eventTracker = { send: jest.fn().mockResolvedValue(undefined) };
+  const session = { id: sessionId, getId() { return this.id; } };
+  const tracker = new ErrorTracker(config, eventTracker, session, new Logger(false));
+  return { tracker, eventTracker, session };
+}
+
+function makeError(message, stack = V8_STACK, name = 'TypeError') {
+  const error = new Error(message);
+  error.name = name;
+  error.stack = stack;
+  return error;
+}
+
+describe('normalizeStack', () => {
+  test('parses V8 frames and strips query strings and hashes', () => {
+    expect(normalizeStack(V8_STACK)).toEqual([
+      { function: 'renderCart', file: 'https://shop.example.com/app.js', line: 10, column: 5 },
+      { function: '<anonymous>', file: 'https://shop.example.com/vendor.js', line: 200, column: 12 },
+      { function: 'Object.<anonymous>', file: 'https://shop.example.com/app.js', line: 42, column: 1 }
+    ]);
+  });
+
+  test('parses Firefox and Safari frames', () => {
+    expect(normalizeStack(GECKO_STACK)).toEqual([
+      { function: 'renderCart', file: 'https://shop.example.com/app.js', line: 10, column: 7 },
+      { function: '<anonymous>', file: 'https://shop.example.com/vendor.js', line: 200, column: 3 }
+    ]);
+  });
+
+  test('returns no frames for a missing stack', () => {
+    expect(normalizeStack(undefined)).toEqual([]);
+  });
+});
+
+describe('normalizeMessage', () => {
+  test('replaces IDs, quoted values and numbers', () => {
+    expect(normalizeMessage('Order f47ac10b-58cc-4372-a567-0e02b2c3d479 failed'))
+      .toBe('Order <id> failed');
+    expect(normalizeMessage('Unknown product "blue-shirt" at index 12'))
+      .toBe('Unknown product <value> at index <n>');
+    expect(normalizeMessage('Bad pointer 0xff3a')).toBe('Bad pointer <n>');
+  });
+
+  test('caps the length at 200 characters', () => {
+    expect(normalizeMessage('x'.repeat(500))).toHaveLength(200);
+  });
+});
+
+describe('fingerprintError', () => {
+  test('groups occurrences that differ only in values and line numbers', () => {
+    const first = describeError(makeError('Item 12 not found', V8_STACK));
+    const second = describeError(makeError('Item 99 not found', V8_STACK.replace(':10:5', ':11:9')));
+
+    expect(fingerprintError(first)).toMatch(/^[0-9a-f]{8}$/);
+    expect(fingerprintError(second)).toBe(fingerprintError(first));
+  });
+
+  test('separates different types, messages and call sites', () => {
+    const base = fingerprintError(describeError(makeError('Item not found')));
+
+    expect(fingerprintError(describeError(makeError('Item not found', V8_STACK, 'RangeError')))).not.toBe(base);
+    expect(fingerprintError(describeError(makeError('Cart is empty')))).not.toBe(base);
+    expect(fingerprintError(describeError(makeError('Item not found', V8_STACK.replace('renderCart', 'renderList')))))
+      .not.toBe(base);
+  });
+});
+
+describe('describeError', () => {
+  test('describes errors and error-like objects', () => {
+    expect(describeError(makeError('boom'))).toMatchObject({ type: 'TypeError', message: 'boom' });
+    expect(describeError({ message: 'plain object' })).toEqual({
+      type: 'Error',
+      message: 'plain object',
+      frames: []
+    });
+  });
+
+  test('describes other thrown values with the fallback type', () => {
+    expect(describeError('failed', 'UnhandledRejection'))
+      .toEqual({ type: 'UnhandledRejection', message: 'failed', frames: [] });
+    expect(describeError({ code: 42 }).message).toBe('{"code":42}');
+
+    const circular = {};
+    circular.self = circular;
+    expect(describeError(circular).message).toBe('[object Object]');
+  });
+});
+
+describe('ErrorTracker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends an error event with its fingerprint', () => {
+    const { tracker, eventTracker } = createTracker();
+    const error = makeError('boom');
+
+    const fingerprint = tracker.captureException(error, { orderId: 'A1' });
+
+    expect(fingerprint).toBe(fingerprintError(describeError(error)));
+    expect(eventTracker.send).toHaveBeenCalledWith('error', expect.objectContaining({
+      error_type: 'TypeError',
+      error_message: 'boom',
+      error_fingerprint: fingerprint,
+      error_mechanism: 'manual',
+      error_handled: true,
+      error_context: { orderId: 'A1' }
+    }));
+  });
+
+  test('sends each fingerprint once per session', () => {
+    const { tracker, eventTracker, session } = createTracker();
+
+    tracker.captureException(makeError('Item 1 not found'));
+    expect(tracker.captureException(makeError('Item 2 not found'))).toBeNull();
+    expect(eventTracker.send).toHaveBeenCalledTimes(1);
+    expect([...tracker.seen.values()]).toEqual([2]);
+
+    session.id = 'session-2';
+    expect(tracker.captureException(makeError('Item 3 not found'))).not.toBeNull();
+    expect(eventTracker.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('drops errors over maxErrorsPerMinute without marking them seen', () => {
+    const { tracker, eventTracker } = createTracker({ maxErrorsPerMinute: 1 });
+
+    tracker.captureException(makeError('first'));
+    expect(tracker.captureException(makeError('second'))).toBeNull();
+    expect(eventTracker.send).toHaveBeenCalledTimes(1);
+
+    tracker.sentAt = [Date.now() - 60000];
+    expect(tracker.captureException(makeError('second'))).not.toBeNull();
+    expect(eventTracker.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('ignores cross-origin "Script error."', () => {
+    const { tracker, eventTracker } = createTracker();
+
+    tracker.onError({ message: 'Script error.', error: null });
+
+    expect(eventTracker.send).not.toHaveBeenCalled();
+  });
+
+  test('reports unhandled rejections of non-errors', () => {
+    const { tracker, eventTracker } = createTracker();
+
+    tracker.onRejection({ reason: 'timeout' });
+
+    expect(eventTracker.send).toHaveBeenCalledWith('error', expect.objectContaining({
+      error_type: 'UnhandledRejection',
+      error_message: 'timeout',
+      error_mechanism: 'unhandledrejection',
+      error_handled: false
+    }));
+  });
+
+  test('logs a failed send instead of throwing', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { tracker, eventTracker } = createTracker();
+    eventTracker.send.mockRejectedValue(new Error('offline'));
+
+    tracker.captureException(makeError('boom'));
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(consoleError).toHaveBeenCalled();
+  });
+});
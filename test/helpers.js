@@ -0,0 +1,29 @@
+import { Config } from '../src/core/config.js';
+
+/**
+ * Initialized Config with a test tracker token
+ * @param {Object} options Config options
+ * @returns {Config}
+ */
+export function createConfig(options = {}) {
+  const config = new Config();
+  config.init({ trackerToken: 'test-token', ...options });
+  return config;
+}
+
+/**
+ * In-memory stand-in for localStorage and sessionStorage
+ * @param {Object} initial Stored key/value pairs
+ */
+export function createStorage(initial = {}) {
+  const store = { ...initial };
+  return {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete store[key];
+    }
+  };
+}
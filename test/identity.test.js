@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import carbonCut from '../src/index.js';
+import { Identity } from '../src/core/identity.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+function createIdentity() {
+  return new Identity(createConfig(), new Logger(false));
+}
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  jest.restoreAllMocks();
+});
+
+describe('Identity', () => {
+  test('keeps the anonymous ID across page loads', () => {
+    const anonymousId = createIdentity().getAnonymousId();
+
+    expect(anonymousId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(createIdentity().getAnonymousId()).toBe(anonymousId);
+  });
+
+  test('identify persists the user and merges traits', () => {
+    const identity = createIdentity();
+    const anonymousId = identity.getAnonymousId();
+
+    expect(identity.identify(42, { plan: 'free' })).toEqual({
+      userId: '42',
+      previousId: anonymousId,
+      traits: { plan: 'free' }
+    });
+    identity.identify('42', { email: 'ada@example.com' });
+
+    const reloaded = createIdentity();
+    expect(reloaded.getUserId()).toBe('42');
+    expect(reloaded.getTraits()).toEqual({ plan: 'free', email: 'ada@example.com' });
+    expect(reloaded.getAnonymousId()).toBe(anonymousId);
+  });
+
+  test('a different user starts with no traits', () => {
+    const identity = createIdentity();
+    identity.identify('ada', { plan: 'pro' });
+
+    expect(identity.identify('grace', { team: 'navy' })).toEqual({
+      userId: 'grace',
+      previousId: 'ada',
+      traits: { team: 'navy' }
+    });
+  });
+
+  test('alias moves to the new ID from the current one', () => {
+    const identity = createIdentity();
+    const anonymousId = identity.getAnonymousId();
+
+    expect(identity.alias('user-1')).toEqual({ userId: 'user-1', previousId: anonymousId });
+    expect(identity.alias('user-2', 'legacy-7')).toEqual({ userId: 'user-2', previousId: 'legacy-7' });
+    expect(createIdentity().getUserId()).toBe('user-2');
+  });
+
+  test('reset forgets the user and rotates the anonymous ID', () => {
+    const identity = createIdentity();
+    const anonymousId = identity.getAnonymousId();
+    identity.identify('ada', { plan: 'pro' });
+
+    identity.reset();
+
+    const reloaded = createIdentity();
+    expect(reloaded.getUserId()).toBeNull();
+    expect(reloaded.getTraits()).toEqual({});
+    expect(reloaded.getAnonymousId()).not.toBe(anonymousId);
+  });
+
+  test('getTraits returns a copy', () => {
+    const identity = createIdentity();
+    identity.identify('ada', { plan: 'pro' });
+
+    identity.getTraits().plan = 'free';
+    expect(identity.getTraits().plan).toBe('pro');
+  });
+});
+
+describe('CarbonCut identify and alias', () => {
+  let send;
+  let original;
+
+  beforeEach(() => {
+    original = { identity: carbonCut.identity, eventTracker: carbonCut.eventTracker };
+    send = jest.fn();
+    carbonCut.identity = createIdentity();
+    carbonCut.eventTracker = { send };
+    carbonCut.state.set('isInitialized', true);
+  });
+
+  afterEach(() => {
+    carbonCut.state.set('isInitialized', false);
+    Object.assign(carbonCut, original);
+  });
+
+  test('identify sends the merged traits', () => {
+    const anonymousId = carbonCut.identity.getAnonymousId();
+
+    carbonCut.identify('ada', { plan: 'free' });
+    carbonCut.identify('ada', { email: 'ada@example.com' });
+
+    expect(send).toHaveBeenNthCalledWith(1, 'custom_event', {
+      event_name: 'identify',
+      previous_id: anonymousId,
+      traits: { plan: 'free' }
+    });
+    expect(send).toHaveBeenLastCalledWith('custom_event', {
+      event_name: 'identify',
+      previous_id: 'ada',
+      traits: { plan: 'free', email: 'ada@example.com' }
+    });
+  });
+
+  test('alias sends the previous ID', () => {
+    carbonCut.identify('ada');
+    carbonCut.alias('ada@example.com');
+
+    expect(send).toHaveBeenLastCalledWith('custom_event', {
+      event_name: 'alias',
+      previous_id: 'ada'
+    });
+  });
+
+  test('identify and alias require an ID', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    carbonCut.identify('');
+    carbonCut.alias(null);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(carbonCut.identity.getUserId()).toBeNull();
+  });
+});
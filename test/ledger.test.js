@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+import {
+  RequestLedger,
+  ESTIMATED_RESPONSE_BYTES,
+  getEventsUrl,
+  createBatchId,
+  withBatchId,
+  getBatchId,
+  estimateHeaderBytes,
+  summarizeBatch,
+  describeRequest
+} from '../src/transport/ledger.js';
+import { Logger } from '../src/utils/logger.js';
+
+const headers = { 'Content-Type': 'application/json' };
+
+describe('batch IDs', () => {
+  test('createBatchId returns distinct URL-safe IDs', () => {
+    const ids = new Set(Array.from({ length: 100 }, createBatchId));
+
+    expect(ids.size).toBe(100);
+    ids.forEach((id) => expect(id).toMatch(/^[0-9a-z]+$/));
+  });
+
+  test('withBatchId adds a query parameter that getBatchId reads back', () => {
+    const plain = withBatchId('https://api.example.com/events/', 'abc123');
+    const withQuery = withBatchId('https://api.example.com/events/?v=2', 'abc123');
+
+    expect(plain).toBe('https://api.example.com/events/?cc_batch=abc123');
+    expect(withQuery).toBe('https://api.example.com/events/?v=2&cc_batch=abc123');
+    expect(getBatchId(plain)).toBe('abc123');
+    expect(getBatchId(`${withQuery}&x=1#top`)).toBe('abc123');
+    expect(getBatchId('https://api.example.com/events/')).toBeNull();
+  });
+
+  test('getEventsUrl adds the trailing slash once', () => {
+    expect(getEventsUrl('https://api.example.com/events')).toBe('https://api.example.com/events/');
+    expect(getEventsUrl('https://api.example.com/events/')).toBe('https://api.example.com/events/');
+  });
+});
+
+describe('request sizes', () => {
+  test('estimateHeaderBytes counts the request line, headers and browser allowance', () => {
+    const url = 'https://api.example.com/events/?cc_batch=abc';
+    const lines = [
+      'POST /events/?cc_batch=abc HTTP/1.1',
+      'Host: api.example.com',
+      'Content-Length: 120',
+      'Content-Type: application/json'
+    ];
+    const expected = lines.reduce((total, line) => total + line.length + 2, 2) + 450;
+
+    expect(estimateHeaderBytes(url, headers, 120)).toBe(expected);
+  });
+
+  test('summarizeBatch splits body bytes by payload type', () => {
+    const payloads = [
+      { event: 'page_view', event_id: 'a' },
+      { event: 'page_view', event_id: 'b' },
+      { event: 'click', event_id: 'c' }
+    ];
+    const summary = summarizeBatch(payloads);
+
+    expect(summary.page_view.events).toBe(2);
+    expect(summary.page_view.bodyBytes).toBe(JSON.stringify(payloads[0]).length * 2);
+    expect(summary.click).toEqual({ events: 1, bodyBytes: JSON.stringify(payloads[2]).length });
+  });
+
+  test('describeRequest ties the batch ID to its events', () => {
+    const url = withBatchId('https://api.example.com/events/', 'batch1');
+    const payloads = [{ event: 'click', event_id: 'a' }, { event: 'click', event_id: 'b' }];
+    const body = JSON.stringify({ events: payloads, batch: true });
+    const record = describeRequest(url, headers, payloads, body);
+
+    expect(record.batchId).toBe('batch1');
+    expect(record.eventIds).toEqual(['a', 'b']);
+    expect(record.requestBytes).toBe(body.length + estimateHeaderBytes(url, headers, body.length));
+  });
+});
+
+describe('RequestLedger', () => {
+  function track(ledger, batchId, payloads) {
+    const url = withBatchId('https://api.example.com/events/', batchId);
+    const record = describeRequest(url, headers, payloads, JSON.stringify({ events: payloads }));
+    ledger.track(record);
+    return record;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('finds the request that carried an event', () => {
+    const ledger = new RequestLedger(new Logger(false));
+    const record = track(ledger, 'batch1', [{ event: 'click', event_id: 'a' }, { event: 'click', event_id: 'b' }]);
+
+    expect(ledger.getRequestByEventId('a')).toBeNull();
+    ledger.settle(record, 300);
+
+    const request = ledger.getRequestByEventId('b');
+    expect(request).toEqual({
+      batchId: 'batch1',
+      events: 2,
+      requestBytes: record.requestBytes,
+      responseBytes: 300,
+      bytes: record.requestBytes + 300,
+      measured: true
+    });
+    expect(ledger.getRequestByEventId('a')).toBe(request);
+  });
+
+  test('estimates the response when Resource Timing never reports it', () => {
+    const ledger = new RequestLedger(new Logger(false));
+    const record = track(ledger, 'batch1', [{ event: 'click', event_id: 'a' }]);
+
+    jest.advanceTimersByTime(ledger.timingTimeout);
+
+    expect(ledger.pending.size).toBe(0);
+    expect(ledger.getTotals()).toMatchObject({
+      requests: 1,
+      measuredRequests: 0,
+      responseBytes: ESTIMATED_RESPONSE_BYTES,
+      total: record.requestBytes + ESTIMATED_RESPONSE_BYTES
+    });
+  });
+
+  test('splits request bytes across event types by body share', () => {
+    const ledger = new RequestLedger(new Logger(false));
+    const payloads = [
+      { event: 'page_view', event_id: 'a' },
+      { event: 'click', event_id: 'b' },
+      { event: 'click', event_id: 'c' }
+    ];
+    const record = track(ledger, 'batch1', payloads);
+    ledger.settle(record, 1000);
+
+    const { byEventType, total } = ledger.getTotals();
+    expect(byEventType.click.events).toBe(2);
+    expect(byEventType.page_view.events).toBe(1);
+    expect(byEventType.click.bytes + byEventType.page_view.bytes).toBeCloseTo(total, -1);
+    expect(byEventType.click.bytes).toBeGreaterThan(byEventType.page_view.bytes);
+  });
+
+  test('getTotals returns a copy', () => {
+    const ledger = new RequestLedger(new Logger(false));
+    ledger.settle(track(ledger, 'batch1', [{ event: 'click', event_id: 'a' }]), 100);
+
+    ledger.getTotals().byEventType.click.bytes = 0;
+    expect(ledger.getTotals().byEventType.click.bytes).toBeGreaterThan(0);
+  });
+
+  test('forgets the oldest requests beyond maxHistory', () => {
+    const ledger = new RequestLedger(new Logger(false));
+    ledger.maxHistory = 2;
+
+    ['a', 'b', 'c'].forEach((id) => {
+      ledger.settle(track(ledger, `batch-${id}`, [{ event: 'click', event_id: id }]), 100);
+    });
+
+    expect(ledger.getRequestByEventId('a')).toBeNull();
+    expect(ledger.getRequestByEventId('c').batchId).toBe('batch-c');
+    expect(ledger.getTotals().requests).toBe(3);
+  });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { Linker, signLink, LINK_PARAM } from '../src/core/linker.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+function createLinker(options = {}) {
+  return new Linker(createConfig(options), new Logger(false));
+}
+
+const context = {
+  sessionId: 'session-1',
+  startedAt: 1700000000000,
+  anonymousId: 'anon-1',
+  utmParams: { utm_source: 'newsletter', first_touch: { channel: 'email' } }
+};
+
+/**
+ * Point window.location at a URL carrying a cc_link value
+ */
+function visit(link) {
+  globalThis.window = {
+    location: { href: `https://shop.example.net/landing?${LINK_PARAM}=${link}&ref=1` },
+    history: { state: null, replaceState: jest.fn() }
+  };
+}
+
+afterEach(() => {
+  delete globalThis.window;
+  jest.restoreAllMocks();
+});
+
+describe('signLink', () => {
+  test('is deterministic and keyed', () => {
+    expect(signLink('value', 'key')).toBe(signLink('value', 'key'));
+    expect(signLink('value', 'key')).not.toBe(signLink('value', 'other-key'));
+    expect(signLink('value', 'key')).not.toBe(signLink('valuf', 'key'));
+  });
+
+  test('returns a URL-safe base36 string', () => {
+    expect(signLink('value', 'key')).toMatch(/^[0-9a-z]+$/);
+  });
+});
+
+describe('Linker', () => {
+  test('round-trips a signed link and strips it from the URL', () => {
+    visit(createLinker().createLink(context));
+
+    const link = createLinker().consume();
+
+    expect(link).toEqual({
+      sessionId: 'session-1',
+      startedAt: 1700000000000,
+      anonymousId: 'anon-1',
+      // Only the utm_* strings travel; touches are recorded per site
+      utmParams: { utm_source: 'newsletter' }
+    });
+    expect(window.history.replaceState)
+      .toHaveBeenCalledWith(null, '', 'https://shop.example.net/landing?ref=1');
+  });
+
+  test('rejects a link signed with another token', () => {
+    visit(createLinker({ trackerToken: 'other-token' }).createLink(context));
+    expect(createLinker().consume()).toBeNull();
+  });
+
+  test('rejects a tampered value', () => {
+    const [value, signature] = createLinker().createLink(context).split('.');
+    visit(`${value.slice(0, -2)}AA.${signature}`);
+
+    expect(createLinker().consume()).toBeNull();
+    // Invalid links are still removed from the URL
+    expect(window.history.replaceState).toHaveBeenCalled();
+  });
+
+  test('rejects a link older than linkerTTL', () => {
+    const createdAt = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(createdAt);
+    visit(createLinker().createLink(context));
+
+    Date.now.mockReturnValue(createdAt + 2 * 60 * 1000 + 1);
+    expect(createLinker().consume()).toBeNull();
+
+    Date.now.mockReturnValue(createdAt + 2 * 60 * 1000);
+    expect(createLinker().consume()).not.toBeNull();
+  });
+
+  test('rejects a link from too far in the future', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 120000);
+    visit(createLinker().createLink(context));
+
+    Date.now.mockReturnValue(now);
+    expect(createLinker().consume()).toBeNull();
+  });
+
+  test('returns null when the URL has no link', () => {
+    globalThis.window = {
+      location: { href: 'https://shop.example.net/' },
+      history: { state: null, replaceState: jest.fn() }
+    };
+
+    expect(createLinker().consume()).toBeNull();
+    expect(window.history.replaceState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { MiddlewarePipeline } from '../src/core/middleware.js';
+import { scrubPii } from '../src/middleware/pii.js';
+import { sample } from '../src/middleware/sampling.js';
+import { Logger } from '../src/utils/logger.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MiddlewarePipeline', () => {
+  test('runs middleware in the order it was added', async () => {
+    const pipeline = new MiddlewarePipeline(new Logger(false));
+    const calls = [];
+
+    pipeline.use((payload) => {
+      calls.push('first');
+      return { ...payload, steps: ['first'] };
+    });
+    pipeline.use(async (payload) => {
+      calls.push('second');
+      payload.steps.push('second');
+    });
+
+    const result = await pipeline.run({ event: 'click' }, { eventName: 'button_click' });
+
+    expect(calls).toEqual(['first', 'second']);
+    expect(result).toEqual({ event: 'click', steps: ['first', 'second'] });
+  });
+
+  test('passes the context to every middleware', async () => {
+    const pipeline = new MiddlewarePipeline(new Logger(false));
+    const middleware = jest.fn();
+    pipeline.use(middleware);
+
+    await pipeline.run({ event: 'click' }, { eventName: 'button_click' });
+
+    expect(middleware).toHaveBeenCalledWith({ event: 'click' }, { eventName: 'button_click' });
+  });
+
+  test('null or false drops the event and skips the rest of the chain', async () => {
+    const pipeline = new MiddlewarePipeline(new Logger(false));
+    const later = jest.fn();
+    pipeline.use(() => null);
+    pipeline.use(later);
+
+    expect(await pipeline.run({ event: 'click' })).toBeNull();
+    expect(later).not.toHaveBeenCalled();
+
+    const falsePipeline = new MiddlewarePipeline(new Logger(false));
+    falsePipeline.use(async () => false);
+    expect(await falsePipeline.run({ event: 'click' })).toBeNull();
+  });
+
+  test('skips a middleware that throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const pipeline = new MiddlewarePipeline(new Logger(false));
+    pipeline.use(() => {
+      throw new Error('broken');
+    });
+    pipeline.use((payload) => ({ ...payload, kept: true }));
+
+    expect(await pipeline.run({ event: 'click' })).toEqual({ event: 'click', kept: true });
+  });
+
+  test('rejects anything that is not a function', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const pipeline = new MiddlewarePipeline(new Logger(false));
+
+    expect(pipeline.use('scrub')).toBe(false);
+    expect(pipeline.size()).toBe(0);
+  });
+});
+
+describe('scrubPii', () => {
+  test('redacts personal query parameters', () => {
+    const payload = scrubPii()({
+      page_url: 'https://shop.example.com/account?email=ada%40example.com&Phone=%2B15551234567&tab=orders',
+      referrer: 'https://auth.example.com/cb?code=abc&state=xyz'
+    });
+
+    const url = new URL(payload.page_url);
+    expect(url.searchParams.get('email')).toBe('[redacted]');
+    expect(url.searchParams.get('Phone')).toBe('[redacted]');
+    expect(url.searchParams.get('tab')).toBe('orders');
+    expect(new URL(payload.referrer).searchParams.get('code')).toBe('[redacted]');
+    expect(new URL(payload.referrer).searchParams.get('state')).toBe('xyz');
+  });
+
+  test('redacts phone numbers under any default phone parameter', () => {
+    const payload = scrubPii()({ page_url: 'https://example.com/?tel=0612345678&mobile=07700900123' });
+
+    expect(payload.page_url).not.toMatch(/0612345678|07700900123/);
+  });
+
+  test('redacts email addresses anywhere in the URL', () => {
+    const payload = scrubPii()({
+      page_url: 'https://example.com/users/ada@example.com/profile?ref=grace@example.org'
+    });
+
+    expect(payload.page_url).not.toMatch(/ada@example\.com|grace@example\.org/);
+    expect(payload.page_url).toMatch(/^https:\/\/example\.com\/users\/.*\/profile\?ref=/);
+  });
+
+  test('extra params and fields, and stripQuery', () => {
+    const custom = scrubPii({ params: ['order'], fields: ['cart_url'], replacement: 'x' })({
+      cart_url: 'https://example.com/cart?order=123&step=2'
+    });
+    expect(custom.cart_url).toBe('https://example.com/cart?order=x&step=2');
+
+    const stripped = scrubPii({ stripQuery: true })({ page_url: 'https://example.com/a?q=1#top' });
+    expect(stripped.page_url).toBe('https://example.com/a');
+  });
+
+  test('leaves emails alone when redactEmails is false and unparseable values intact', () => {
+    const payload = scrubPii({ redactEmails: false })({
+      page_url: 'https://example.com/?ref=ada@example.com',
+      referrer: ''
+    });
+
+    expect(new URL(payload.page_url).searchParams.get('ref')).toBe('ada@example.com');
+    expect(payload.referrer).toBe('');
+  });
+});
+
+describe('sample', () => {
+  test('keeps the configured share and stamps sample_rate', () => {
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.1).mockReturnValueOnce(0.9);
+    const middleware = sample(0.5);
+
+    expect(middleware({ event: 'click' })).toEqual({ event: 'click', sample_rate: 0.5 });
+    expect(middleware({ event: 'click' })).toBeNull();
+  });
+
+  test('only samples the listed event types', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.99);
+    const middleware = sample({ rate: 0.1, events: ['click'] });
+
+    expect(middleware({ event: 'page_view' })).toEqual({ event: 'page_view' });
+    expect(middleware({ event: 'click' })).toBeNull();
+  });
+});
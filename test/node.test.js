@@ -0,0 +1,201 @@
+import http from 'http';
+import { CarbonCutNode } from '../src/node/index.js';
+
+/**
+ * Local API stand-in. Each request is answered by the next queued
+ * response, then by `{ status: 200 }`.
+ */
+function createServer() {
+  const requests = [];
+  const responses = [];
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      requests.push({ url: request.url, headers: request.headers, body: JSON.parse(body) });
+
+      const { status = 200, headers = {}, body: responseBody = '' } = responses.shift() || {};
+      response.writeHead(status, headers);
+      response.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, responses, url: `http://127.0.0.1:${server.address().port}/api/v1/events` });
+    });
+  });
+}
+
+/**
+ * Wait for the server to have received `count` requests
+ */
+async function waitForRequests(requests, count, timeout = 2000) {
+  const start = Date.now();
+  while (requests.length < count) {
+    if (Date.now() - start > timeout) throw new Error(`Expected ${count} requests, got ${requests.length}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+describe('CarbonCutNode', () => {
+  let api;
+  let client;
+
+  function createClient(options = {}) {
+    client = new CarbonCutNode({
+      trackerToken: 'test-token',
+      apiUrl: api.url,
+      flushOnExit: false,
+      retryDelay: 10,
+      ...options
+    });
+    return client;
+  }
+
+  beforeEach(async () => {
+    api = await createServer();
+  });
+
+  afterEach(async () => {
+    await client?.shutdown();
+    client = null;
+    await new Promise((resolve) => api.server.close(resolve));
+  });
+
+  test('requires a tracker token', () => {
+    expect(() => new CarbonCutNode({ flushOnExit: false })).toThrow('trackerToken is required');
+  });
+
+  test('sends v2 payloads that join the browser session', async () => {
+    createClient();
+
+    const eventId = client.trackConversion({
+      session_id: 'session-1',
+      user_id: 'user-1',
+      page_url: 'https://shop.example.com/thanks',
+      conversion_value: 49.9
+    });
+    await client.flush();
+
+    expect(api.requests).toHaveLength(1);
+    const [{ url, headers, body }] = api.requests;
+    expect(url).toBe('/api/v1/events/');
+    expect(headers['x-tracker-token']).toBe('test-token');
+    expect(body.batch).toBe(true);
+    expect(body.events[0]).toMatchObject({
+      event: 'conversion',
+      event_id: eventId,
+      session_id: 'session-1',
+      user_id: 'user-1',
+      tracker_token: 'test-token',
+      page_url: 'https://shop.example.com/thanks',
+      conversion_value: 49.9
+    });
+  });
+
+  test('trackEvent sends a custom event without the context fields in its data', async () => {
+    createClient();
+
+    client.trackEvent('invoice_paid', { session_id: 'session-1', amount: 120 });
+    await client.flush();
+
+    expect(api.requests[0].body.events[0]).toMatchObject({
+      event_name: 'invoice_paid',
+      event_data: { amount: 120 },
+      custom_event_type: 'invoice_paid',
+      amount: 120
+    });
+  });
+
+  test('sends a batch once batchSize events are queued', async () => {
+    createClient({ batchSize: 3, batchInterval: 60000 });
+
+    ['a', 'b'].forEach((id) => client.track('page_view', { session_id: id }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(api.requests).toHaveLength(0);
+
+    // Events queued while a batch is in flight go out in the same drain
+    ['c', 'd'].forEach((id) => client.track('page_view', { session_id: id }));
+    await waitForRequests(api.requests, 2);
+
+    expect(api.requests.map((request) => request.body.events.length)).toEqual([3, 1]);
+  });
+
+  test('retries a 503 after Retry-After', async () => {
+    createClient();
+    api.responses.push({ status: 503, headers: { 'Retry-After': '0' } });
+
+    const eventId = client.track('page_view', { session_id: 'session-1' });
+    await client.flush();
+    expect(client.getQueueSize()).toBe(1);
+
+    await waitForRequests(api.requests, 2);
+    expect(api.requests[1].body.events[0].event_id).toBe(eventId);
+    await client.flush();
+    expect(client.getQueueSize()).toBe(0);
+    expect(client.getDeadLetters()).toEqual([]);
+  });
+
+  test('dead-letters events after maxRetries', async () => {
+    createClient({ maxRetries: 1 });
+    api.responses.push({ status: 500 }, { status: 500 });
+
+    client.track('page_view', { session_id: 'session-1' });
+    await client.flush();
+    await waitForRequests(api.requests, 2);
+    await client.flush();
+
+    expect(client.getDeadLetters()).toEqual([
+      expect.objectContaining({ reason: 'max_retries_exceeded' })
+    ]);
+  });
+
+  test('dead-letters rejected batches without retrying', async () => {
+    const dropped = [];
+    createClient({ onEventDropped: (payloads, reason) => dropped.push(reason) });
+    api.responses.push({ status: 400 });
+
+    client.track('page_view', { session_id: 'session-1' });
+    await client.flush();
+
+    expect(api.requests).toHaveLength(1);
+    expect(client.getQueueSize()).toBe(0);
+    expect(dropped).toEqual(['rejected']);
+  });
+
+  test('retries only the events a 207 reports as retryable', async () => {
+    createClient();
+    const ids = ['a', 'b', 'c'].map((id) => client.track('page_view', { session_id: id }));
+    api.responses.push({
+      status: 207,
+      body: {
+        results: [
+          { event_id: ids[0], success: true },
+          { event_id: ids[1], success: false, retryable: true },
+          { event_id: ids[2], success: false, retryable: false }
+        ]
+      }
+    });
+
+    await client.flush();
+    await waitForRequests(api.requests, 2);
+
+    expect(api.requests[1].body.events.map((event) => event.event_id)).toEqual([ids[1]]);
+    expect(client.getDeadLetters().map((entry) => entry.payload.event_id)).toEqual([ids[2]]);
+  });
+
+  test('shutdown flushes what is queued and stops accepting events', async () => {
+    createClient({ batchInterval: 60000 });
+
+    client.track('page_view', { session_id: 'session-1' });
+    await client.shutdown();
+
+    expect(api.requests).toHaveLength(1);
+    expect(client.track('page_view', { session_id: 'session-1' })).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import { getVendor } from '../src/utils/vendors.js';
+import { PerformanceMonitor } from '../src/utils/performance.js';
+import { Logger } from '../src/utils/logger.js';
+
+describe('getVendor', () => {
+  test('matches a vendor domain and its subdomains', () => {
+    expect(getVendor('www.google-analytics.com')).toEqual({ name: 'Google Analytics', category: 'analytics' });
+    expect(getVendor('fonts.gstatic.com')).toEqual({ name: 'Google Fonts', category: 'fonts' });
+    expect(getVendor('i.ytimg.com')).toEqual({ name: 'YouTube', category: 'video' });
+    expect(getVendor('static.doubleclick.net')).toEqual({ name: 'Google Ads', category: 'ads' });
+  });
+
+  test('does not match a host that only ends with the same letters', () => {
+    expect(getVendor('notsegment.com')).toBeNull();
+    expect(getVendor('cdn.example.com')).toBeNull();
+  });
+});
+
+describe('PerformanceMonitor.getPageWeightReport', () => {
+  const entry = (name, transferSize, decodedBodySize) => ({ name, transferSize, decodedBodySize });
+
+  function stubPage(navigation, resources) {
+    globalThis.window = {
+      location: new URL('https://www.shop.example.com/pricing'),
+      performance: {}
+    };
+    globalThis.performance = {
+      getEntriesByType: (type) => (type === 'navigation' ? navigation : resources)
+    };
+  }
+
+  afterEach(() => {
+    delete globalThis.window;
+    delete globalThis.performance;
+  });
+
+  test('totals bytes by party, category, origin and vendor', () => {
+    stubPage([entry('https://www.shop.example.com/pricing', 20000, 60000)], [
+      entry('https://cdn.shop.example.com/app.js', 50000, 150000),
+      entry('https://cdn.shop.example.com/logo.svg', 0, 4000),
+      entry('https://www.google-analytics.com/analytics.js', 20000, 50000),
+      entry('https://region1.google-analytics.com/g/collect', 500, 0),
+      entry('https://fonts.gstatic.com/inter.woff2', 0, 0),
+      entry('https://widgets.example.org/embed.js', 8000, 24000),
+      entry('data:image/png;base64,iVBORw0KGgo=', 0, 100)
+    ]);
+
+    const report = new PerformanceMonitor(new Logger(false)).getPageWeightReport();
+
+    expect(report).toMatchObject({
+      requests: 7,
+      transferBytes: 98500,
+      decodedBytes: 288000,
+      firstPartyBytes: 70000,
+      thirdPartyBytes: 28500,
+      cacheHits: 1,
+      unmeasured: 1,
+      byCategory: { first_party: 70000, analytics: 20500, fonts: 0, other: 8000 }
+    });
+    expect(report.origins.map(({ origin }) => origin)).toEqual([
+      'https://cdn.shop.example.com',
+      'https://www.shop.example.com',
+      'https://www.google-analytics.com',
+      'https://widgets.example.org',
+      'https://region1.google-analytics.com',
+      'https://fonts.gstatic.com'
+    ]);
+    expect(report.origins[0]).toMatchObject({ firstParty: true, vendor: null, requests: 2, cacheHits: 1 });
+    expect(report.vendors).toEqual([
+      {
+        name: 'Google Analytics',
+        category: 'analytics',
+        requests: 2,
+        transferBytes: 20500,
+        decodedBytes: 50000,
+        cacheHits: 0,
+        unmeasured: 0
+      },
+      {
+        name: 'Google Fonts',
+        category: 'fonts',
+        requests: 1,
+        transferBytes: 0,
+        decodedBytes: 0,
+        cacheHits: 0,
+        unmeasured: 1
+      }
+    ]);
+  });
+
+  test('returns null outside the browser', () => {
+    expect(new PerformanceMonitor(new Logger(false)).getPageWeightReport()).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { PersistentQueue } from '../src/transport/queue.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+const payload = (id) => ({ event_id: id, event: 'click' });
+
+describe('PersistentQueue', () => {
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  test('keeps entries in insertion order and ignores duplicates', async () => {
+    const queue = new PersistentQueue(createConfig({ persistQueue: false }), new Logger(false));
+    await queue.restored;
+
+    const first = queue.add(payload('a'));
+    queue.add(payload('b'));
+
+    expect(queue.add(payload('a'))).toBe(first);
+    expect(queue.getAll().map((entry) => entry.id)).toEqual(['a', 'b']);
+  });
+
+  test('evicts the oldest entries beyond maxQueueSize', async () => {
+    const queue = new PersistentQueue(
+      createConfig({ persistQueue: false, maxQueueSize: 3 }),
+      new Logger(false)
+    );
+    await queue.restored;
+
+    ['a', 'b', 'c', 'd', 'e'].forEach((id) => queue.add(payload(id)));
+
+    expect(queue.size()).toBe(3);
+    expect(queue.getAll().map((entry) => entry.id)).toEqual(['c', 'd', 'e']);
+  });
+
+  test('drops entries older than maxQueueAge', async () => {
+    const queue = new PersistentQueue(
+      createConfig({ persistQueue: false, maxQueueAge: 1000 }),
+      new Logger(false)
+    );
+    await queue.restored;
+
+    queue.add(payload('old')).queuedAt = Date.now() - 2000;
+    queue.add(payload('new'));
+
+    expect(queue.has('old')).toBe(false);
+    expect(queue.has('new')).toBe(true);
+  });
+
+  test('restores unexpired entries from localStorage', async () => {
+    const now = Date.now();
+    globalThis.localStorage = createStorage({
+      cc_event_queue: JSON.stringify([
+        { id: 'stale', payload: payload('stale'), queuedAt: now - 5000 },
+        { id: 'kept', payload: payload('kept'), queuedAt: now - 100, attempts: 2 }
+      ])
+    });
+
+    const queue = new PersistentQueue(createConfig({ maxQueueAge: 1000 }), new Logger(false));
+    const restored = await queue.restored;
+
+    expect(restored.map((entry) => entry.id)).toEqual(['kept']);
+    expect(restored[0].attempts).toBe(2);
+    expect(queue.has('stale')).toBe(false);
+  });
+
+  test('persists adds and removals once restored', async () => {
+    globalThis.localStorage = createStorage();
+
+    const queue = new PersistentQueue(createConfig(), new Logger(false));
+    queue.add(payload('early'));
+    await queue.restored;
+
+    queue.add(payload('late'));
+    queue.remove('early');
+
+    const stored = JSON.parse(globalThis.localStorage.getItem('cc_event_queue'));
+    expect(stored.map((entry) => entry.id)).toEqual(['late']);
+  });
+});
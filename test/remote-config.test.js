@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import carbonCut from '../src/index.js';
+import { RemoteConfig } from '../src/core/remote-config.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+const CONFIG_URL = 'https://api.example.com/api/v1/keys/config?api_key=test-token';
+
+function respond(status, body = null, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: String(status),
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => body
+  };
+}
+
+const validConfig = (rules = []) => ({ success: true, domain: '*', conversion_rules: rules });
+
+beforeEach(() => {
+  globalThis.localStorage = createStorage();
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+  delete globalThis.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('RemoteConfig', () => {
+  function createRemoteConfig(options = {}) {
+    return new RemoteConfig(
+      createConfig({ apiUrl: 'https://api.example.com/api/v1/events/', ...options }),
+      new Logger(false)
+    );
+  }
+
+  test('caches the response with its ETag and max-age', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      respond(200, validConfig(), { ETag: '"v1"', 'Cache-Control': 'private, max-age=60' })
+    );
+    const remoteConfig = createRemoteConfig();
+
+    const { entry, changed } = await remoteConfig.fetch();
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(CONFIG_URL, expect.anything());
+    expect(changed).toBe(true);
+    expect(remoteConfig.load()).toEqual(entry);
+    expect(entry).toMatchObject({ token: 'test-token', etag: '"v1"', maxAge: 60000 });
+    expect(remoteConfig.isFresh(entry)).toBe(true);
+    expect(remoteConfig.isFresh(entry, entry.fetchedAt + 60000)).toBe(false);
+  });
+
+  test('revalidates with If-None-Match and keeps the entry on 304', async () => {
+    const remoteConfig = createRemoteConfig({ configMaxAge: 1000 });
+    const cached = { token: 'test-token', data: validConfig(), etag: '"v1"', fetchedAt: 0, maxAge: 1000 };
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(304));
+
+    const { entry, changed } = await remoteConfig.fetch(cached);
+
+    expect(globalThis.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+    expect(changed).toBe(false);
+    expect(entry.data).toEqual(cached.data);
+    expect(remoteConfig.isFresh(entry)).toBe(true);
+    expect(remoteConfig.load().fetchedAt).toBe(entry.fetchedAt);
+  });
+
+  test('reports a change when the revalidated body differs', async () => {
+    const remoteConfig = createRemoteConfig();
+    const cached = { token: 'test-token', data: validConfig(), etag: '"v1"', fetchedAt: 0, maxAge: 1000 };
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(200, validConfig([{ id: 1 }]), { ETag: '"v2"' }));
+
+    const { entry, changed } = await remoteConfig.fetch(cached);
+
+    expect(changed).toBe(true);
+    expect(entry.etag).toBe('"v2"');
+  });
+
+  test('does not cache an invalid key and drops what was cached', async () => {
+    const remoteConfig = createRemoteConfig();
+    remoteConfig.persist({ token: 'test-token', data: validConfig(), fetchedAt: 0, maxAge: 1000 });
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(200, { success: false }));
+
+    await remoteConfig.fetch(remoteConfig.load());
+
+    expect(remoteConfig.load()).toBeNull();
+  });
+
+  test('ignores an entry cached for another token', () => {
+    createRemoteConfig({ trackerToken: 'other-token' })
+      .persist({ token: 'other-token', data: validConfig(), fetchedAt: Date.now(), maxAge: 1000 });
+
+    expect(createRemoteConfig().load()).toBeNull();
+  });
+
+  test('throws on errors other than 304', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(500));
+
+    await expect(createRemoteConfig().fetch()).rejects.toThrow('500');
+  });
+});
+
+describe('CarbonCut remote config', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.window = { location: new URL('https://shop.example.com/') };
+    carbonCut.conversionRules = [];
+  });
+
+  afterEach(() => {
+    clearTimeout(carbonCut.configTimer);
+    jest.useRealTimers();
+    delete globalThis.window;
+    carbonCut.browserListeners = null;
+    carbonCut.pendingCommands = [];
+    carbonCut.initFailed = false;
+  });
+
+  function configure(options = {}) {
+    carbonCut.config.init({
+      trackerToken: 'test-token',
+      apiUrl: 'https://api.example.com/api/v1/events/',
+      ...options
+    });
+  }
+
+  test('uses a fresh cached config and revalidates it in the background', async () => {
+    configure();
+    carbonCut.remoteConfig.persist({
+      token: 'test-token',
+      data: validConfig([{ id: 1, type: 'url' }]),
+      etag: '"v1"',
+      fetchedAt: Date.now(),
+      maxAge: 60000
+    });
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(304));
+
+    expect(await carbonCut.loadRemoteConfig()).toEqual({ success: true });
+    expect(carbonCut.conversionRules).toEqual([{ id: 1, type: 'url' }]);
+
+    await carbonCut.configRevalidation;
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(globalThis.fetch.mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+  });
+
+  test('revalidates again once the entry goes stale', async () => {
+    configure();
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      respond(200, validConfig(), { ETag: '"v1"', 'Cache-Control': 'max-age=30' })
+    );
+
+    await carbonCut.loadRemoteConfig();
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+
+    globalThis.fetch.mockResolvedValue(respond(304));
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to an expired cached config when the API is unreachable', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const expired = {
+      token: 'test-token',
+      data: validConfig([{ id: 2, type: 'url' }]),
+      etag: '"v1"',
+      fetchedAt: Date.now() - 3600000,
+      maxAge: 60000
+    };
+    globalThis.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    configure();
+    carbonCut.remoteConfig.persist(expired);
+    expect(await carbonCut.loadRemoteConfig()).toEqual({ success: false, reason: 'config_fetch_failed' });
+
+    configure({ staleConfigFallback: true });
+    expect(await carbonCut.loadRemoteConfig()).toEqual({ success: true });
+    expect(carbonCut.conversionRules).toEqual([{ id: 2, type: 'url' }]);
+  });
+
+  test('stops tracking when revalidation finds the domain removed', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    configure();
+    carbonCut.remoteConfig.persist({
+      token: 'test-token',
+      data: validConfig(),
+      etag: '"v1"',
+      fetchedAt: Date.now(),
+      maxAge: 60000
+    });
+    globalThis.fetch = jest.fn().mockResolvedValue(
+      respond(200, { success: true, domain: 'other.example.org' }, { ETag: '"v2"' })
+    );
+    const browserListeners = { teardown: jest.fn() };
+    carbonCut.browserListeners = browserListeners;
+    carbonCut.state.set('isInitialized', true);
+
+    await carbonCut.revalidateConfig();
+    await carbonCut.configRevalidation;
+
+    expect(browserListeners.teardown).toHaveBeenCalled();
+    expect(carbonCut.state.get('isInitialized')).toBe(false);
+    expect(carbonCut.remoteConfig.load()).toBeNull();
+
+    carbonCut.trackEvent('after_destroy');
+    expect(carbonCut.pendingCommands).toEqual([]);
+  });
+});
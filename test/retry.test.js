@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import {
+  RetryPolicy,
+  computeBackoffDelay,
+  parseRetryAfter,
+  isRetryableStatus
+} from '../src/transport/retry.js';
+import { ApiWorkerTransport } from '../src/transport/api-worker.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('computeBackoffDelay', () => {
+  test('doubles per attempt with equal jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map((attempt) => computeBackoffDelay(attempt, 1000, 60000)))
+      .toEqual([500, 1000, 2000]);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(computeBackoffDelay(3, 1000, 60000)).toBe(4000);
+  });
+
+  test('never exceeds maxDelay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(computeBackoffDelay(20, 1000, 60000)).toBe(60000);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds', () => {
+    expect(parseRetryAfter('30')).toBe(30000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  test('reads an HTTP date relative to now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT')).toBe(10000);
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT')).toBe(0);
+  });
+
+  test('returns null when absent or invalid', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+test('isRetryableStatus retries server errors, timeouts and 429 only', () => {
+  [500, 502, 503, 408, 429].forEach((status) => expect(isRetryableStatus(status)).toBe(true));
+  [400, 401, 403, 404, 413].forEach((status) => expect(isRetryableStatus(status)).toBe(false));
+});
+
+describe('RetryPolicy', () => {
+  test('allows maxRetries retries', () => {
+    const policy = new RetryPolicy(createConfig({ maxRetries: 2 }), new Logger(false));
+
+    expect(policy.canRetry(2)).toBe(true);
+    expect(policy.canRetry(3)).toBe(false);
+  });
+
+  test('prefers Retry-After over backoff', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const policy = new RetryPolicy(createConfig({ retryDelay: 200 }), new Logger(false));
+
+    expect(policy.getDelay(1, 5000)).toBe(5000);
+    expect(policy.getDelay(1, 0)).toBe(0);
+    expect(policy.getDelay(2, null)).toBe(200);
+  });
+
+  test('dead-letters payloads, capped, and calls onEventDropped', () => {
+    const onEventDropped = jest.fn();
+    const policy = new RetryPolicy(createConfig({ onEventDropped }), new Logger(false));
+    const payloads = Array.from({ length: 120 }, (_, i) => ({ event_id: `e${i}` }));
+
+    policy.deadLetter(payloads, 'rejected');
+
+    const deadLetters = policy.getDeadLetters();
+    expect(deadLetters).toHaveLength(100);
+    expect(deadLetters[0].payload.event_id).toBe('e20');
+    expect(deadLetters[0].reason).toBe('rejected');
+    expect(onEventDropped).toHaveBeenCalledWith(payloads, 'rejected');
+  });
+
+  test('survives an onEventDropped hook that throws', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const policy = new RetryPolicy(createConfig({
+      onEventDropped: () => {
+        throw new Error('hook failed');
+      }
+    }), new Logger(false));
+
+    expect(() => policy.deadLetter([{ event_id: 'a' }], 'max_retries_exceeded')).not.toThrow();
+    expect(policy.getDeadLetters()).toHaveLength(1);
+  });
+});
+
+describe('ApiWorkerTransport without a worker', () => {
+  const emitter = { emit: jest.fn() };
+
+  function createTransport(options = {}) {
+    return new ApiWorkerTransport(
+      createConfig({ persistQueue: false, retryDelay: 1, maxRetryDelay: 1, ...options }),
+      new Logger(false),
+      emitter
+    );
+  }
+
+  function respond(status, headers = {}) {
+    return { status, headers: { get: (name) => headers[name] ?? null } };
+  }
+
+  beforeEach(() => {
+    emitter.emit.mockClear();
+    // The request ledger waits 10s for Resource Timing entries
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete globalThis.fetch;
+  });
+
+  test('retries failed sends with backoff until delivered', async () => {
+    globalThis.fetch = jest.fn()
+      .mockResolvedValueOnce(respond(503))
+      .mockResolvedValueOnce(respond(500))
+      .mockResolvedValue(respond(202));
+    const transport = createTransport();
+
+    expect(await transport.send({ event_id: 'a', event: 'click' })).toBe(false);
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+    expect(transport.getQueueSize()).toBe(0);
+    expect(emitter.emit).toHaveBeenLastCalledWith('event_sent', expect.objectContaining({ event_id: 'a' }));
+  });
+
+  test('dead-letters rejected events without retrying', async () => {
+    globalThis.fetch = jest.fn().mockResolvedValue(respond(400));
+    const transport = createTransport();
+
+    await transport.send({ event_id: 'a', event: 'click' });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(transport.getQueueSize()).toBe(0);
+    expect(transport.getDeadLetters()).toEqual([
+      expect.objectContaining({ reason: 'rejected' })
+    ]);
+  });
+
+  test('dead-letters events after maxRetries', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.fetch = jest.fn().mockRejectedValue(new Error('network down'));
+    const transport = createTransport({ maxRetries: 1 });
+
+    await transport.send({ event_id: 'a', event: 'click' });
+    await jest.advanceTimersByTimeAsync(10);
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    expect(transport.getDeadLetters()).toEqual([
+      expect.objectContaining({ reason: 'max_retries_exceeded' })
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { Sampler, hashToUnit } from '../src/core/sampler.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig } from './helpers.js';
+
+function createSampler(options = {}) {
+  return new Sampler(createConfig(options), new Logger(false));
+}
+
+const payload = (event = 'page_view', sessionId = 'session-1') => ({ event, session_id: sessionId });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hashToUnit', () => {
+  test('is stable and within [0, 1)', () => {
+    ['', 'a', 'session-1', 'f47ac10b-58cc-4372-a567-0e02b2c3d479'].forEach((value) => {
+      const unit = hashToUnit(value);
+      expect(unit).toBe(hashToUnit(value));
+      expect(unit).toBeGreaterThanOrEqual(0);
+      expect(unit).toBeLessThan(1);
+    });
+  });
+
+  test('matches FNV-1a 32-bit', () => {
+    // FNV-1a("a") = 0xe40c292c
+    expect(hashToUnit('a')).toBe(0xe40c292c / 4294967296);
+    expect(hashToUnit('')).toBe(0x811c9dc5 / 4294967296);
+  });
+
+  test('spreads session IDs evenly', () => {
+    const ids = Array.from({ length: 2000 }, (_, i) => `session-${i}`);
+    const share = ids.filter((id) => hashToUnit(id) < 0.25).length / ids.length;
+
+    expect(share).toBeGreaterThan(0.2);
+    expect(share).toBeLessThan(0.3);
+  });
+});
+
+describe('Sampler', () => {
+  test('keeps or drops a whole session', () => {
+    const sampler = createSampler({ sessionSampleRate: 0.5 });
+    const middleware = sampler.middleware();
+    const ids = Array.from({ length: 50 }, (_, i) => `session-${i}`);
+
+    ids.forEach((id) => {
+      const kept = hashToUnit(id) < 0.5;
+      expect(!!middleware(payload('page_view', id), { eventName: 'page_view' })).toBe(kept);
+      expect(!!middleware(payload('click', id), { eventName: 'button_click' })).toBe(kept);
+    });
+  });
+
+  test('stamps the kept share onto sample_rate', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const sampler = createSampler({ eventSampleRates: { engagement: 0.2 } });
+
+    const kept = sampler.middleware()(payload('engagement'), { eventName: 'engagement' });
+    expect(kept.sample_rate).toBeCloseTo(0.2);
+
+    const unsampled = sampler.middleware()(payload('page_view'), { eventName: 'page_view' });
+    expect(unsampled.sample_rate).toBeUndefined();
+  });
+
+  test('event rates match the event name before the payload type', () => {
+    const sampler = createSampler({ eventSampleRates: { button_click: 0, click: 1 } });
+
+    expect(sampler.getEventRate('button_click', 'click')).toBe(0);
+    expect(sampler.getEventRate('custom_event', 'click')).toBe(1);
+    expect(sampler.middleware()(payload('click'), { eventName: 'button_click' })).toBeNull();
+  });
+
+  test('remote sampling overrides local settings', () => {
+    const sampler = createSampler({ sessionSampleRate: 1, maxEventsPerMinute: 100 });
+    sampler.setRemote({ session_rate: 0, max_events_per_minute: 5 });
+
+    expect(sampler.getSessionRate()).toBe(0);
+    expect(sampler.getMaxEventsPerMinute()).toBe(5);
+  });
+
+  test('clamps rates into [0, 1]', () => {
+    expect(createSampler({ sessionSampleRate: 3 }).getSessionRate()).toBe(1);
+    expect(createSampler({ sessionSampleRate: -1 }).getSessionRate()).toBe(0);
+    expect(createSampler({ sessionSampleRate: 'x' }).getSessionRate()).toBe(1);
+  });
+});
+
+describe('Sampler token bucket', () => {
+  test('allows a burst up to the per-minute cap', () => {
+    const sampler = createSampler({ maxEventsPerMinute: 3 });
+    const now = 1000000;
+
+    expect([1, 2, 3, 4].map(() => sampler.takeToken(now))).toEqual([true, true, true, false]);
+  });
+
+  test('refills continuously', () => {
+    const sampler = createSampler({ maxEventsPerMinute: 60 });
+    const now = 1000000;
+
+    for (let i = 0; i < 60; i++) sampler.takeToken(now);
+    expect(sampler.takeToken(now)).toBe(false);
+    expect(sampler.takeToken(now + 500)).toBe(false);
+    expect(sampler.takeToken(now + 1000)).toBe(true);
+    // Never refills beyond one minute's allowance
+    expect([...Array(61)].filter(() => sampler.takeToken(now + 10 * 60000)).length).toBe(60);
+  });
+
+  test('conversions are never rate limited', () => {
+    const sampler = createSampler({ maxEventsPerMinute: 1 });
+    const middleware = sampler.middleware();
+
+    expect(middleware(payload('click'), { eventName: 'button_click' })).not.toBeNull();
+    expect(middleware(payload('click'), { eventName: 'button_click' })).toBeNull();
+    expect(middleware(payload('conversion'), { eventName: 'conversion' })).not.toBeNull();
+  });
+
+  test('no cap when maxEventsPerMinute is not set', () => {
+    const sampler = createSampler();
+    expect([...Array(1000)].every(() => sampler.takeToken())).toBe(true);
+  });
+});
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import carbonCut from '../src/index.js';
+
+describe('CarbonCut calls before init', () => {
+  let eventTracker;
+  let pageViewTracker;
+
+  beforeEach(() => {
+    eventTracker = { trackCustomEvent: jest.fn() };
+    pageViewTracker = { track: jest.fn() };
+    carbonCut.pendingCommands = [];
+    carbonCut.initFailed = false;
+    carbonCut.state.set('isInitialized', false);
+  });
+
+  afterEach(() => {
+    carbonCut.state.set('isInitialized', false);
+    carbonCut.eventTracker = null;
+    carbonCut.pageViewTracker = null;
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * What init() does once it has resolved
+   */
+  function becomeReady() {
+    carbonCut.eventTracker = eventTracker;
+    carbonCut.pageViewTracker = pageViewTracker;
+    carbonCut.state.set('isInitialized', true);
+    carbonCut.replayPendingCommands();
+  }
+
+  test('are replayed in call order once init resolves', () => {
+    carbonCut.trackEvent('signup', { plan: 'pro' });
+    carbonCut.trackPageView('/welcome');
+    carbonCut.push(['trackEvent', 'tour_started']);
+
+    expect(eventTracker.trackCustomEvent).not.toHaveBeenCalled();
+    becomeReady();
+
+    expect(eventTracker.trackCustomEvent.mock.calls).toEqual([['signup', { plan: 'pro' }], ['tour_started', {}]]);
+    expect(pageViewTracker.track).toHaveBeenCalledWith('/welcome');
+    const order = [
+      eventTracker.trackCustomEvent.mock.invocationCallOrder[0],
+      pageViewTracker.track.mock.invocationCallOrder[0],
+      eventTracker.trackCustomEvent.mock.invocationCallOrder[1]
+    ];
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    expect(carbonCut.pendingCommands).toEqual([]);
+  });
+
+  test('keep at most 100 calls', () => {
+    for (let i = 0; i < 105; i++) {
+      carbonCut.trackEvent(`event_${i}`);
+    }
+
+    expect(carbonCut.pendingCommands).toHaveLength(100);
+    becomeReady();
+
+    expect(eventTracker.trackCustomEvent).toHaveBeenCalledTimes(100);
+    expect(eventTracker.trackCustomEvent).toHaveBeenLastCalledWith('event_99', {});
+  });
+
+  test('are discarded when init fails, and later calls are not queued', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onFailed = jest.fn();
+    carbonCut.once('init_failed', onFailed);
+    carbonCut.trackEvent('signup');
+
+    carbonCut.failInit('invalid_config');
+    carbonCut.trackEvent('after_failure');
+
+    expect(onFailed).toHaveBeenCalledWith({ reason: 'invalid_config' });
+    expect(carbonCut.pendingCommands).toEqual([]);
+
+    becomeReady();
+    expect(eventTracker.trackCustomEvent).not.toHaveBeenCalled();
+  });
+
+  test('push ignores unknown commands', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    carbonCut.push(['destroyEverything'], 'trackEvent', ['trackEvent', 'ok']);
+
+    expect(carbonCut.pendingCommands).toEqual([['trackEvent', ['ok', {}]]]);
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import { Session } from '../src/core/session.js';
+import { Logger } from '../src/utils/logger.js';
+import { createConfig, createStorage } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * BroadcastChannel that delivers synchronously to the other open channels
+ * with the same name, like tabs of one origin
+ */
+class FakeBroadcastChannel {
+  static open = [];
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.open.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.open
+      .filter((channel) => channel !== this && channel.name === this.name)
+      .forEach((channel) => channel.onmessage?.({ data: structuredClone(data) }));
+  }
+
+  close() {
+    FakeBroadcastChannel.open = FakeBroadcastChannel.open.filter((channel) => channel !== this);
+  }
+}
+
+function createSession(options = {}) {
+  return new Session(createConfig({ sessionTimeout: 30 * MINUTE, ...options }), new Logger(false));
+}
+
+describe('Session', () => {
+  const sessions = [];
+
+  function startSession(options) {
+    const session = createSession(options);
+    sessions.push(session);
+    session.start();
+    return session;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 2, 10, 12, 0, 0));
+    globalThis.localStorage = createStorage();
+    globalThis.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    sessions.splice(0).forEach((session) => session.end());
+    FakeBroadcastChannel.open = [];
+    jest.useRealTimers();
+    delete globalThis.localStorage;
+    delete globalThis.BroadcastChannel;
+  });
+
+  test('resumes the stored session on the next page load', () => {
+    const first = startSession();
+    const firstId = first.getId();
+    first.end();
+
+    jest.advanceTimersByTime(5 * MINUTE);
+    const next = startSession();
+
+    expect(next.getId()).toBe(firstId);
+    expect(next.isNew).toBe(false);
+  });
+
+  test('isExpired at the inactivity timeout and at local midnight', () => {
+    const session = createSession();
+    const lastActivity = new Date(2026, 2, 10, 23, 0, 0).getTime();
+    const record = { id: 'a', startedAt: lastActivity, lastActivity };
+
+    expect(session.isExpired(record, lastActivity + 30 * MINUTE - 1)).toBe(false);
+    expect(session.isExpired(record, lastActivity + 30 * MINUTE)).toBe(true);
+
+    const lateRecord = { ...record, lastActivity: new Date(2026, 2, 10, 23, 50, 0).getTime() };
+    expect(session.isExpired(lateRecord, new Date(2026, 2, 11, 0, 5, 0).getTime())).toBe(true);
+  });
+
+  test('expires on its own after the timeout and starts a new one on activity', () => {
+    const session = startSession();
+    const onEnd = jest.fn();
+    session.onEnd(onEnd);
+    const firstId = session.getId();
+
+    jest.advanceTimersByTime(31 * MINUTE);
+
+    expect(session.isActive()).toBe(false);
+    expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ id: firstId, endedAt: expect.any(Number) }));
+
+    session.touch();
+    expect(session.getId()).not.toBe(firstId);
+    expect(session.isNew).toBe(true);
+  });
+
+  test('expires at midnight even while active', () => {
+    jest.setSystemTime(new Date(2026, 2, 10, 23, 50, 0));
+    const session = startSession();
+    const onEnd = jest.fn();
+    session.onEnd(onEnd);
+
+    jest.advanceTimersByTime(11 * MINUTE);
+
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(session.isActive()).toBe(false);
+  });
+
+  test('a session that expired while the page was closed ends on the next load', () => {
+    const first = startSession();
+    const firstId = first.getId();
+    first.end();
+
+    jest.setSystemTime(Date.now() + 45 * MINUTE);
+    const next = createSession();
+    const onEnd = jest.fn();
+    next.onEnd(onEnd);
+    sessions.push(next);
+    next.start();
+
+    expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ id: firstId }));
+    expect(next.getId()).not.toBe(firstId);
+    expect(next.isNew).toBe(true);
+  });
+
+  test('tabs share one session and end it only once', () => {
+    const tabA = startSession();
+    const tabB = startSession();
+    const endedA = jest.fn();
+    const endedB = jest.fn();
+    tabA.onEnd(endedA);
+    tabB.onEnd(endedB);
+
+    expect(tabB.getId()).toBe(tabA.getId());
+
+    jest.advanceTimersByTime(31 * MINUTE);
+
+    expect(endedA.mock.calls.length + endedB.mock.calls.length).toBe(1);
+    expect(tabA.isActive()).toBe(false);
+    expect(tabB.isActive()).toBe(false);
+  });
+
+  test('follows a new session started in another tab', () => {
+    const tabA = startSession();
+    const tabB = startSession();
+
+    jest.advanceTimersByTime(31 * MINUTE);
+    tabA.touch();
+
+    expect(tabB.getId()).toBe(tabA.getId());
+    expect(tabB.isNew).toBe(false);
+  });
+
+  test('activity in another tab keeps the session alive', () => {
+    const tabA = startSession();
+    const tabB = startSession();
+    const onEnd = jest.fn();
+    tabA.onEnd(onEnd);
+    tabB.onEnd(onEnd);
+
+    jest.advanceTimersByTime(20 * MINUTE);
+    tabB.touch();
+    jest.advanceTimersByTime(20 * MINUTE);
+
+    expect(onEnd).not.toHaveBeenCalled();
+    expect(tabA.isActive()).toBe(true);
+  });
+});
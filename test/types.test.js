@@ -0,0 +1,146 @@
+import { readFileSync } from 'fs';
+import { jest } from '@jest/globals';
+import carbonCut from '../src/index.js';
+import { Config } from '../src/core/config.js';
+import { EventTracker } from '../src/tracking/event.js';
+import { ConsentManager } from '../src/core/consent.js';
+import { Identity } from '../src/core/identity.js';
+import { MiddlewarePipeline } from '../src/core/middleware.js';
+import { Logger } from '../src/utils/logger.js';
+import { EventEmitter } from '../src/utils/emitter.js';
+import { CarbonCutNode } from '../src/node/index.js';
+import { createConfig } from './helpers.js';
+
+const declarations = readFileSync(new URL('../types/index.d.ts', import.meta.url), 'utf8');
+const nodeDeclarations = readFileSync(new URL('../types/node.d.ts', import.meta.url), 'utf8');
+
+// SDK methods that are called by the SDK itself and not part of the public API
+const INTERNAL_METHODS = [
+  'constructor',
+  'getScriptConfig',
+  'loadRemoteConfig',
+  'applyRemoteConfig',
+  'revalidateConfig',
+  'scheduleConfigRevalidation',
+  'autoInit',
+  'promptForLocation',
+  'handleConsentChange',
+  'failInit',
+  'callIfReady',
+  'deferUntilReady',
+  'replayPendingCommands'
+];
+
+/**
+ * Top-level member names of an interface or class in a declaration file
+ */
+function getInterfaceMembers(name, source = declarations) {
+  const start = source.search(new RegExp(`export (?:interface|declare class) ${name} \\{`));
+  if (start === -1) throw new Error(`interface ${name} not found`);
+
+  const members = new Set();
+  let depth = 0;
+  const lines = source.slice(start).split('\n');
+
+  for (const line of lines) {
+    if (depth === 1) {
+      const match = line.match(/^\s*(?:readonly\s+)?(\w+)\??\s*[:(<]/);
+      if (match) members.add(match[1]);
+    }
+
+    depth += (line.match(/[{(]/g) || []).length;
+    depth -= (line.match(/[})]/g) || []).length;
+    if (depth === 0) break;
+  }
+
+  return members;
+}
+
+describe('types/index.d.ts', () => {
+  test('declares every public SDK method and nothing that does not exist', () => {
+    const declared = getInterfaceMembers('CarbonCutSDK');
+    const runtime = Object.getOwnPropertyNames(Object.getPrototypeOf(carbonCut))
+      .filter((name) => !INTERNAL_METHODS.includes(name));
+
+    runtime.forEach((name) => expect(declared).toContain(name));
+    declared.forEach((name) => expect(carbonCut[name]).toBeDefined());
+  });
+
+  test('declares every built-in middleware factory', () => {
+    const declared = [...declarations.matchAll(/^\s{4}(\w+)\(options/gm)].map((m) => m[1]);
+    expect(declared.sort()).toEqual(Object.keys(carbonCut.middleware).sort());
+  });
+
+  test('CarbonCutOptions matches Config.defaults', () => {
+    const declared = [...getInterfaceMembers('CarbonCutOptions')].sort();
+    expect(declared).toEqual(Object.keys(new Config().defaults).sort());
+  });
+
+  test('CarbonCutEventPayload covers the payload built by EventTracker.send', async () => {
+    const config = createConfig();
+
+    const logger = new Logger(false);
+    const transport = { send: jest.fn() };
+    const session = {
+      touch: () => {},
+      isActive: () => true,
+      getId: () => 'session-id'
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // send() schedules byte-tracking timers
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+
+    const tracker = new EventTracker(
+      config,
+      session,
+      transport,
+      logger,
+      new ConsentManager(config, logger),
+      new Identity(config, logger),
+      new MiddlewarePipeline(logger),
+      new EventEmitter(logger)
+    );
+    tracker.webVitals.disconnect();
+
+    await tracker.send('page_view');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(transport.send).toHaveBeenCalledTimes(1);
+    const payload = transport.send.mock.calls[0][0];
+    const declared = getInterfaceMembers('CarbonCutEventPayload');
+
+    Object.keys(payload).forEach((key) => expect(declared).toContain(key));
+
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('SessionInfo matches getSessionInfo()', () => {
+    const declared = [...getInterfaceMembers('SessionInfo')].sort();
+    expect(declared).toEqual(Object.keys(carbonCut.getSessionInfo()).sort());
+  });
+});
+
+describe('types/node.d.ts', () => {
+  // Called by the client itself and not part of the public API
+  const NODE_INTERNAL_METHODS = [
+    'constructor',
+    'scheduleFlush',
+    'drain',
+    'handleFailure',
+    'getFailedResults',
+    'post',
+    'attachExitHandlers',
+    'detachExitHandlers'
+  ];
+
+  test('declares every public CarbonCutNode method and nothing that does not exist', () => {
+    const declared = getInterfaceMembers('CarbonCutNode', nodeDeclarations);
+    declared.delete('constructor');
+    const runtime = Object.getOwnPropertyNames(CarbonCutNode.prototype)
+      .filter((name) => !NODE_INTERNAL_METHODS.includes(name));
+
+    runtime.forEach((name) => expect(declared).toContain(name));
+    declared.forEach((name) => expect(typeof CarbonCutNode.prototype[name]).toBe('function'));
+  });
+});
@@ -0,0 +1,78 @@
+// Compiled by `npm run typecheck`, never run. Calls the public API the way
+// the README documents it, so a declaration that drifts from it fails to
+// compile; the @ts-expect-error lines must keep failing.
+import CarbonCut, {
+  type CarbonCutEventPayload,
+  type ConversionRule,
+  type Middleware,
+  type PageWeightReport
+} from 'carboncut-sdk';
+import CarbonCutNode from 'carboncut-sdk/node';
+
+const rules: ConversionRule[] = [
+  { id: 1, name: 'Signup', type: 'url', pattern: '/thank-you', match_type: 'contains', count: 'once_per_session' },
+  { id: 'buy', name: 'Buy', type: 'click', selector: '#buy', value: 49, currency: 'EUR' }
+];
+
+async function start(): Promise<void> {
+  const ready: boolean = await CarbonCut.init({
+    trackerToken: 'tk_123',
+    apiUrl: 'https://api.example.com/api/v1/events/',
+    requireConsent: true,
+    consentMode: 'buffer',
+    domain: ['example.com', '*.example.com'],
+    linkerDomains: 'shop.example.org',
+    eventSampleRates: { engagement: 0.25 },
+    onEventDropped: (payloads, reason) => {
+      console.warn(reason, payloads.map((payload) => payload.event_id));
+    }
+  });
+  if (!ready) return;
+
+  CarbonCut.trackEvent('signup', { plan: 'pro' });
+  CarbonCut.trackPageView('/pricing');
+  CarbonCut.captureException(new Error('checkout failed'), { step: 'payment' });
+  CarbonCut.push(['trackEvent', 'signup'], ['identify', 'user-1']);
+  CarbonCut.setConsent({ analytics: true, performance: false });
+  CarbonCut.identify(42, { plan: 'pro' });
+  CarbonCut.alias('user-42');
+  CarbonCut.ping();
+
+  const link: string = CarbonCut.decorateUrl('https://shop.example.org/cart');
+  const report: PageWeightReport | null = CarbonCut.getPageWeightReport();
+  const queueSize: number = CarbonCut.getSessionInfo().queueSize;
+  const bytes = CarbonCut.getSessionInfo().trackingBytes?.byEventType.click?.bytes;
+  console.log(link, report?.vendors[0]?.name, queueSize, bytes, rules);
+
+  // @ts-expect-error trackEvent needs an event name
+  CarbonCut.trackEvent();
+  // @ts-expect-error consentMode is 'buffer' or 'drop'
+  CarbonCut.init({ consentMode: 'queue' });
+}
+
+const dropUtm: Middleware = (payload: CarbonCutEventPayload) => {
+  if (payload.event === 'page_view') return { ...payload, utm_params: null };
+  return payload;
+};
+
+CarbonCut
+  .use(dropUtm)
+  .use(CarbonCut.middleware.scrubPii({ params: ['email'], stripQuery: true }))
+  .use(CarbonCut.middleware.sample({ rate: 0.5, events: ['click'] }))
+  .on('event_failed', ({ payload, willRetry }) => console.log(payload.event_id, willRetry))
+  .once('ready', ({ sessionId }) => console.log(sessionId))
+  .on('config_updated', ({ conversionRules }) => console.log(conversionRules.length));
+
+// @ts-expect-error unknown SDK event
+CarbonCut.on('page_hidden', () => {});
+
+window.CarbonCut.destroy();
+
+const server = new CarbonCutNode({ trackerToken: 'tk_123', batchSize: 50 });
+const eventId: string | null = server.trackConversion({ session_id: 'abc', value: 10 });
+
+async function stop(): Promise<void> {
+  await server.shutdown();
+}
+
+export { start, stop, eventId };
@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { WebVitalsMonitor, rateMetric } from '../src/utils/performance.js';
+import { Logger } from '../src/utils/logger.js';
+
+/**
+ * PerformanceObserver stand-in: entries are delivered with emit()
+ */
+class FakeObserver {
+  static supportedEntryTypes = ['largest-contentful-paint', 'paint', 'layout-shift', 'event'];
+  static instances = [];
+
+  constructor(callback) {
+    this.callback = callback;
+    FakeObserver.instances.push(this);
+  }
+
+  observe({ type }) {
+    this.type = type;
+  }
+
+  takeRecords() {
+    return [];
+  }
+
+  disconnect() {}
+}
+
+function emit(type, entries) {
+  FakeObserver.instances
+    .filter((observer) => observer.type === type)
+    .forEach((observer) => observer.callback({ getEntries: () => entries }));
+}
+
+const shift = (startTime, value, hadRecentInput = false) => ({ startTime, value, hadRecentInput });
+const interaction = (interactionId, duration, name = 'pointerdown') => ({ interactionId, duration, name });
+
+let originalPerformance;
+let now;
+
+beforeEach(() => {
+  FakeObserver.instances = [];
+  now = 0;
+  originalPerformance = globalThis.performance;
+  globalThis.PerformanceObserver = FakeObserver;
+  Object.defineProperty(globalThis, 'performance', {
+    value: {
+      now: () => now,
+      getEntriesByType: (type) => (type === 'navigation' ? [{ responseStart: 300, activationStart: 0 }] : [])
+    },
+    configurable: true,
+    writable: true
+  });
+  globalThis.document = Object.assign(new EventTarget(), { visibilityState: 'visible' });
+});
+
+afterEach(() => {
+  delete globalThis.PerformanceObserver;
+  delete globalThis.document;
+  Object.defineProperty(globalThis, 'performance', {
+    value: originalPerformance,
+    configurable: true,
+    writable: true
+  });
+});
+
+function createMonitor() {
+  const monitor = new WebVitalsMonitor(new Logger(false));
+  monitor.observe();
+  return monitor;
+}
+
+function hide(at) {
+  now = at;
+  document.visibilityState = 'hidden';
+  document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('rateMetric', () => {
+  test('uses the web-vitals thresholds', () => {
+    expect(rateMetric('lcp', 2500)).toBe('good');
+    expect(rateMetric('lcp', 2501)).toBe('needs-improvement');
+    expect(rateMetric('cls', 0.3)).toBe('poor');
+  });
+});
+
+describe('WebVitalsMonitor', () => {
+  test('only counts paints made before the page was first hidden', () => {
+    const monitor = createMonitor();
+
+    emit('paint', [{ name: 'first-contentful-paint', startTime: 900 }]);
+    emit('largest-contentful-paint', [{ startTime: 1200, url: 'https://example.com/hero.jpg' }]);
+    hide(2000);
+    emit('largest-contentful-paint', [{ startTime: 2500 }]);
+
+    expect(monitor.collect()).toMatchObject({
+      fcp: 900,
+      fcp_rating: 'good',
+      lcp: 1200,
+      lcp_url: 'https://example.com/hero.jpg',
+      ttfb: 300
+    });
+  });
+
+  test('CLS is the worst session window of shifts without recent input', () => {
+    const monitor = createMonitor();
+
+    emit('layout-shift', [
+      shift(100, 0.05),
+      shift(600, 0.05),
+      shift(900, 0.5, true),
+      // More than 1s after the last shift: a new window
+      shift(3000, 0.02)
+    ]);
+
+    expect(monitor.collect()).toMatchObject({ cls: 0.1, cls_rating: 'good' });
+  });
+
+  test('INP is the longest interaction, keeping the longest entry of each', () => {
+    const monitor = createMonitor();
+
+    emit('event', [
+      interaction(1, 80),
+      interaction(1, 240, 'click'),
+      interaction(2, 120, 'keydown'),
+      { interactionId: 0, duration: 900, name: 'mousemove' }
+    ]);
+
+    expect(monitor.collect()).toMatchObject({ inp: 240, inp_rating: 'needs-improvement', inp_event_type: 'click' });
+  });
+
+  test('reports each page view once', () => {
+    const monitor = createMonitor();
+    emit('layout-shift', [shift(100, 0.05)]);
+
+    expect(monitor.collect()).toMatchObject({ cls: 0.05 });
+
+    // The tab is shown again and more shifts happen before the next hide
+    emit('layout-shift', [shift(400, 0.2)]);
+    expect(monitor.collect()).toBeNull();
+  });
+
+  test('a bfcache restore starts a new page view without the load metrics', () => {
+    const monitor = createMonitor();
+    emit('largest-contentful-paint', [{ startTime: 1200 }]);
+    emit('layout-shift', [shift(100, 0.05)]);
+    monitor.collect();
+
+    monitor.startPage();
+    emit('layout-shift', [shift(60000, 0.3)]);
+
+    const metrics = monitor.collect();
+    expect(metrics).toMatchObject({ cls: 0.3, cls_rating: 'poor' });
+    expect(metrics).not.toHaveProperty('lcp');
+    expect(metrics).not.toHaveProperty('ttfb');
+  });
+
+  test('disconnect stops every observer', () => {
+    const monitor = createMonitor();
+    const disconnects = FakeObserver.instances.map((observer) => jest.spyOn(observer, 'disconnect'));
+
+    monitor.disconnect();
+
+    expect(disconnects).toHaveLength(4);
+    disconnects.forEach((disconnect) => expect(disconnect).toHaveBeenCalled());
+  });
+});
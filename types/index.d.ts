@@ -0,0 +1,506 @@
+// Type definitions for carboncut-sdk
+
+export type ConsentCategory = 'analytics' | 'geolocation' | 'performance';
+
+export interface ConsentInput {
+  analytics?: boolean;
+  geolocation?: boolean;
+  performance?: boolean;
+}
+
+export interface ConsentState {
+  analytics: boolean;
+  geolocation: boolean;
+  performance: boolean;
+  /** Where the latest decision came from */
+  source: 'default' | 'api' | 'tcf' | 'gcm';
+}
+
+export type UrlMatchType = 'contains' | 'exact' | 'starts_with' | 'ends_with' | 'regex';
+
+export type ConversionRuleType =
+  | 'click'
+  | 'url'
+  | 'form_submit'
+  | 'element_visible'
+  | 'scroll_depth'
+  | 'time_on_page'
+  | 'custom_event';
+
+export type ConditionOperator =
+  | 'equals'
+  | 'not_equals'
+  | 'contains'
+  | 'greater_than'
+  | 'less_than'
+  | 'exists'
+  | 'regex';
+
+/** How often a rule's conversion is reported */
+export type ConversionCountPolicy = 'every' | 'once_per_session' | 'once_per_user';
+
+/** Property predicate for custom_event rules */
+export interface ConversionCondition {
+  /** Event data property, dotted paths allowed (e.g. "cart.total") */
+  property: string;
+  /** Defaults to equals */
+  operator?: ConditionOperator;
+  value?: string | number | boolean;
+}
+
+/** Conversion rule as returned by the /keys/config endpoint */
+export interface ConversionRule {
+  id: string | number;
+  name: string;
+  type: ConversionRuleType;
+  /** CSS selector, for click, form_submit and element_visible rules */
+  selector?: string;
+  /** URL or path pattern, for url rules */
+  pattern?: string;
+  match_type?: UrlMatchType;
+  /** Visible share of the element, 0-1 (default 0.5), for element_visible rules */
+  threshold?: number;
+  /** Scroll depth in percent (default 50), for scroll_depth rules */
+  percentage?: number;
+  /** Visible time in seconds (default 30), for time_on_page rules */
+  seconds?: number;
+  /** trackEvent() name, for custom_event rules */
+  event_name?: string;
+  /** All must match, for custom_event rules */
+  conditions?: ConversionCondition[];
+  /** Defaults to every */
+  count?: ConversionCountPolicy;
+  /** Conversion value; custom_event rules use the event's value when it is a number */
+  value?: number;
+  /** ISO 4217 currency code for value */
+  currency?: string;
+}
+
+/** Dead-letter entry for an event that could not be delivered */
+export interface DeadLetterEntry {
+  payload: CarbonCutEventPayload;
+  reason: 'max_retries_exceeded' | 'rejected';
+  droppedAt: number;
+}
+
+/** Options accepted by init() and read from data-* attributes */
+export interface CarbonCutOptions {
+  trackerToken?: string | null;
+  /** Events endpoint, with a trailing slash */
+  apiUrl?: string;
+  sessionId?: string | null;
+  /** Inactivity in ms before a session expires (default 30 minutes) */
+  sessionTimeout?: number;
+  /** First engagement checkpoint interval in ms; it backs off for long visits */
+  pingInterval?: number;
+  /** Upper bound for the engagement checkpoint interval (default 5 minutes) */
+  maxPingInterval?: number;
+  /** Inactivity in ms after which time stops counting as engaged (default 30s) */
+  idleThreshold?: number;
+  useWorker?: boolean;
+  /** Events per batched request from the worker (default 10) */
+  batchSize?: number;
+  /** Worker flush interval in ms (default 5000) */
+  batchInterval?: number;
+  debug?: boolean;
+  autoTrack?: boolean;
+  respectDoNotTrack?: boolean;
+  /** Hold tracking until analytics consent is granted */
+  requireConsent?: boolean;
+  /** What happens to events before consent: keep them or discard them */
+  consentMode?: 'buffer' | 'drop';
+  /** Share of sessions tracked, 0-1, decided from the session ID (default 1) */
+  sessionSampleRate?: number;
+  /** Sample rates by event name or payload type, e.g. { engagement: 0.25, click: 0.5 } */
+  eventSampleRates?: Record<string, number> | null;
+  /** Cap on events per minute; conversions are exempt */
+  maxEventsPerMinute?: number | null;
+  maxRetries?: number;
+  /** Base delay in ms for exponential backoff */
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  onEventDropped?: ((payloads: CarbonCutEventPayload[], reason: DeadLetterEntry['reason']) => void) | null;
+  /** Narrows the origins allowed for the token: the page must match both, e.g. "*.example.com" */
+  domain?: string | string[] | null;
+  /** Domain patterns whose links and forms carry the cc_link parameter */
+  linkerDomains?: string | string[] | null;
+  /** Lifetime in ms of a cc_link parameter (default 2 minutes) */
+  linkerTTL?: number;
+  /** Remote config cache lifetime in ms when the server sends no max-age */
+  configMaxAge?: number;
+  /** Start from an expired cached config when /keys/config is unreachable */
+  staleConfigFallback?: boolean;
+  /** Persist pending events in IndexedDB/localStorage */
+  persistQueue?: boolean;
+  maxQueueSize?: number;
+  /** Maximum age in ms of a persisted event */
+  maxQueueAge?: number;
+  /** Send LCP, CLS, INP, FCP and TTFB as a web_vitals event when the page is hidden */
+  trackWebVitals?: boolean;
+  /** Send a page_weight summary event when the page is hidden (default false) */
+  sendPageWeightReport?: boolean;
+  /** Send unhandled errors and promise rejections as error events (default true) */
+  trackErrors?: boolean;
+  /** Error events sent per minute at most, manual ones included (default 10) */
+  maxErrorsPerMinute?: number | null;
+  /** Grid intensity override in gCO2e/kWh */
+  gridIntensity?: number | null;
+  /** ISO country code used to pick the grid intensity */
+  gridRegion?: string | null;
+  greenHosting?: boolean;
+  enableGeolocation?: boolean;
+  requestLocation?: boolean;
+  geolocationTimeout?: number;
+  geolocationHighAccuracy?: boolean;
+  autoRequestLocation?: boolean;
+  promptForLocationOnLoad?: boolean;
+}
+
+export type AttributionChannel =
+  | 'paid'
+  | 'email'
+  | 'social'
+  | 'organic_search'
+  | 'referral'
+  | 'direct';
+
+/** A visit that brought the visitor to the site */
+export interface AttributionTouch {
+  utm_source?: string;
+  utm_medium?: string;
+  utm_campaign?: string;
+  utm_term?: string;
+  utm_content?: string;
+  gclid?: string;
+  fbclid?: string;
+  msclkid?: string;
+  ttclid?: string;
+  li_fat_id?: string;
+  /** External referrer without its query string */
+  referrer?: string;
+  referrer_host?: string;
+  channel: AttributionChannel;
+  landing_page: string;
+  /** ISO timestamp */
+  timestamp: string;
+}
+
+export interface UTMParams {
+  utm_campaign: string;
+  utm_source: string;
+  utm_medium: string;
+  utm_term: string;
+  utm_content: string;
+  first_touch?: AttributionTouch | null;
+  last_touch?: AttributionTouch | null;
+}
+
+export interface GeolocationData {
+  latitude: number;
+  longitude: number;
+  accuracy: number;
+  timestamp: number;
+  altitude: number | null;
+  altitudeAccuracy: number | null;
+  heading: number | null;
+  speed: number | null;
+}
+
+/** v2 payload built by EventTracker.send */
+export interface ErrorStackFrame {
+  function: string;
+  /** Script URL without query string or hash */
+  file: string;
+  line: number;
+  column: number;
+}
+
+export type WebVitalRating = 'good' | 'needs-improvement' | 'poor';
+
+export interface CarbonCutEventPayload {
+  event: 'page_view' | 'click' | 'conversion' | 'engagement' | 'web_vitals' | 'page_weight' | 'error';
+  session_id: string;
+  timestamp: string;
+  tracker_token: string;
+  utm_params: UTMParams | null;
+  event_id: string;
+  user_id: string;
+  anonymous_id: string;
+  page_url: string;
+  referrer: string;
+  consent: ConsentState;
+  bytesPerPageView?: number;
+  bytesPerClick?: number;
+  bytesPerConversion?: number;
+  encodedSize?: number;
+  decodedSize?: number;
+  resourceType?: 'navigation' | 'dynamic';
+  resourceCount?: number;
+  resourceTypes?: Record<string, number>;
+  geolocation?: GeolocationData;
+  latitude?: number;
+  longitude?: number;
+  location_accuracy?: number;
+  trackingRequestBytes: number;
+  trackingRequestBody: number;
+  co2e_grams: number;
+  /** gCO2e/kWh used for co2e_grams */
+  grid_intensity: number;
+  /** Share of events kept by sampling, when sampled */
+  sample_rate?: number;
+  /** Set on conversions produced by a conversion rule */
+  conversion_rule_id?: string | number;
+  conversion_count?: ConversionCountPolicy;
+  conversion_value?: number;
+  conversion_currency?: string;
+  /** web_vitals events: values in ms (CLS unitless) with their rating */
+  lcp?: number;
+  lcp_rating?: WebVitalRating;
+  /** CSS selector of the LCP element */
+  lcp_element?: string | null;
+  cls?: number;
+  cls_rating?: WebVitalRating;
+  inp?: number;
+  inp_rating?: WebVitalRating;
+  /** CSS selector of the slowest interaction's target */
+  inp_target?: string | null;
+  fcp?: number;
+  fcp_rating?: WebVitalRating;
+  ttfb?: number;
+  ttfb_rating?: WebVitalRating;
+  /** error events */
+  error_type?: string;
+  error_message?: string;
+  /** Parsed stack, innermost frame first */
+  error_stack?: ErrorStackFrame[];
+  /** Groups occurrences of the same error */
+  error_fingerprint?: string;
+  error_mechanism?: 'onerror' | 'unhandledrejection' | 'manual';
+  error_handled?: boolean;
+  error_context?: Record<string, unknown>;
+  /** Event-specific data passed by the caller */
+  [key: string]: unknown;
+}
+
+export interface MiddlewareContext {
+  /** Event name before it was mapped to its API event type */
+  eventName: string;
+}
+
+export type Middleware = (
+  payload: CarbonCutEventPayload,
+  context: MiddlewareContext
+) => CarbonCutEventPayload | null | false | void | Promise<CarbonCutEventPayload | null | false | void>;
+
+export interface ScrubPiiOptions {
+  params?: string[];
+  fields?: string[];
+  stripQuery?: boolean;
+  redactEmails?: boolean;
+  replacement?: string;
+}
+
+/** Sampling settings from the remote config; they override the local options */
+export interface RemoteSampling {
+  session_rate?: number;
+  event_rates?: Record<string, number>;
+  max_events_per_minute?: number | null;
+}
+
+export interface SampleOptions {
+  rate: number;
+  events?: Array<CarbonCutEventPayload['event']>;
+}
+
+export interface GeolocationStatus {
+  enabled: boolean;
+  reason?: string;
+  requestLocation?: boolean;
+  cacheStatus?: Record<string, unknown>;
+  config?: {
+    timeout: number;
+    highAccuracy: boolean;
+  };
+}
+
+export interface TrackingBytes {
+  requests: number;
+  /** Requests whose response size came from Resource Timing */
+  measuredRequests: number;
+  /** Exact bodies plus estimated request headers */
+  requestBytes: number;
+  /** Measured, or estimated when the API sends no Timing-Allow-Origin */
+  responseBytes: number;
+  total: number;
+  /** Bytes split across payload types by their share of each request body */
+  byEventType: Record<string, { events: number; bytes: number }>;
+  pageView: number;
+  clicks: number;
+  conversions: number;
+}
+
+export interface SessionInfo {
+  sessionId: string | null;
+  trackerToken: string | null;
+  timeSpent: number;
+  isInitialized: boolean;
+  queueSize: number;
+  /** Network cost of the SDK's own requests */
+  trackingBytes: TrackingBytes | null;
+  apiVersion: 'v2';
+  utmParams: UTMParams | null;
+  conversionRules: ConversionRule[];
+  geolocationEnabled: boolean;
+  consent: ConsentState;
+  anonymousId: string;
+  userId: string | null;
+}
+
+export interface EmissionsTotals {
+  bytes: number;
+  co2eGrams: number;
+  events: number;
+}
+
+export interface EmissionsSummary {
+  model: string;
+  totalBytes: number;
+  co2eGrams: number;
+  events: number;
+  byEventType: Record<string, EmissionsTotals>;
+  gridIntensity: number;
+  region: string | null;
+  regionSource: 'config' | 'geolocation' | 'timezone' | 'global';
+  greenHosting: boolean;
+}
+
+export type PageWeightCategory =
+  | 'first_party' | 'analytics' | 'tag_manager' | 'ads' | 'fonts' | 'video'
+  | 'support' | 'payments' | 'cdn' | 'other';
+
+export interface PageWeightTotals {
+  requests: number;
+  /** Bytes over the network; 0 for cache hits */
+  transferBytes: number;
+  decodedBytes: number;
+  /** Served from cache: no transfer but a decoded body */
+  cacheHits: number;
+  /** Cross-origin requests that report no sizes (no Timing-Allow-Origin) */
+  unmeasured: number;
+  co2eGrams: number;
+}
+
+export interface PageWeightOrigin extends PageWeightTotals {
+  origin: string;
+  firstParty: boolean;
+  vendor: string | null;
+  category: PageWeightCategory;
+}
+
+export interface PageWeightVendor extends PageWeightTotals {
+  name: string;
+  category: PageWeightCategory;
+}
+
+export interface PageWeightReport extends PageWeightTotals {
+  firstPartyBytes: number;
+  thirdPartyBytes: number;
+  byCategory: Partial<Record<PageWeightCategory, number>>;
+  /** Sorted by transferBytes, largest first */
+  origins: PageWeightOrigin[];
+  vendors: PageWeightVendor[];
+}
+
+export type InitFailureReason =
+  | 'not_browser'
+  | 'invalid_config'
+  | 'do_not_track'
+  | 'invalid_api_key'
+  | 'domain_mismatch'
+  | 'config_fetch_failed';
+
+export interface EventFailure {
+  payload: CarbonCutEventPayload;
+  error: string;
+  attempts?: number;
+  /** False once the event has been dead-lettered */
+  willRetry: boolean;
+}
+
+/** Events emitted through on()/once() and their data */
+export interface CarbonCutEventMap {
+  ready: { sessionId: string; anonymousId: string };
+  init_failed: { reason: InitFailureReason };
+  event_queued: CarbonCutEventPayload;
+  event_sent: CarbonCutEventPayload;
+  event_failed: EventFailure;
+  conversion: CarbonCutEventPayload;
+  session_start: { sessionId: string };
+  session_end: { sessionId: string; durationSeconds: number };
+  location_obtained: GeolocationData;
+  /** Background revalidation picked up a changed remote config */
+  config_updated: { conversionRules: ConversionRule[]; sampling: RemoteSampling | null };
+}
+
+/** Snippet command, e.g. ["trackEvent", "signup", { plan: "pro" }] */
+export type CarbonCutCommand = [method: string, ...args: unknown[]];
+
+export interface CarbonCutSDK {
+  /** Built-in middleware factories for use() */
+  readonly middleware: {
+    scrubPii(options?: ScrubPiiOptions): Middleware;
+    sample(options: number | SampleOptions): Middleware;
+  };
+
+  init(options?: CarbonCutOptions): Promise<boolean>;
+  trackEvent(eventName: string, data?: Record<string, unknown>): void;
+  trackPageView(pagePath?: string): void;
+  /** Send a caught error as an error event, once per fingerprint and session */
+  captureException(error: unknown, context?: Record<string, unknown>): void;
+  /** Send the engaged time accumulated on this page right away */
+  ping(): void;
+  /** Run snippet-style commands; calls made before init() are replayed once it resolves */
+  push(...commands: CarbonCutCommand[]): void;
+
+  /** Persisted; from then on TCF and Consent Mode signals no longer change consent */
+  setConsent(consent: ConsentInput): ConsentState;
+  getConsent(): ConsentState;
+
+  use(middleware: Middleware): CarbonCutSDK;
+
+  on<K extends keyof CarbonCutEventMap>(name: K, handler: (data: CarbonCutEventMap[K]) => void): CarbonCutSDK;
+  once<K extends keyof CarbonCutEventMap>(name: K, handler: (data: CarbonCutEventMap[K]) => void): CarbonCutSDK;
+  off<K extends keyof CarbonCutEventMap>(name: K, handler?: (data: CarbonCutEventMap[K]) => void): CarbonCutSDK;
+
+  identify(userId: string | number, traits?: Record<string, unknown>): void;
+  alias(newId: string | number, previousId?: string): void;
+  reset(): void;
+
+  requestLocation(): Promise<GeolocationData | null>;
+  enableGeolocation(): Promise<GeolocationData | null>;
+  disableGeolocation(): void;
+  getGeolocationStatus(): GeolocationStatus;
+
+  getSessionInfo(): SessionInfo;
+  getEmissions(): EmissionsSummary | null;
+  /** Bytes loaded by this page by origin and vendor, with cache hits and CO2e */
+  getPageWeightReport(): PageWeightReport | null;
+  getDeadLetterEvents(): DeadLetterEntry[];
+  /** Add cc_link to a URL on a linked domain; other URLs are returned unchanged */
+  decorateUrl(url: string): string;
+
+  enableDebug(): void;
+  disableDebug(): void;
+  /** Stop tracking and remove every listener; later calls are dropped until init() runs again */
+  destroy(): void;
+}
+
+declare const CarbonCut: CarbonCutSDK;
+
+declare global {
+  interface Window {
+    CarbonCut: CarbonCutSDK;
+  }
+}
+
+export default CarbonCut;
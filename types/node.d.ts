@@ -0,0 +1,55 @@
+import type { CarbonCutEventPayload, DeadLetterEntry, UTMParams } from './index';
+
+/** Options for the server-side client */
+export interface CarbonCutNodeOptions {
+  trackerToken: string;
+  /** Events endpoint, with a trailing slash */
+  apiUrl?: string;
+  /** Events per batched request (default 20) */
+  batchSize?: number;
+  /** Flush interval in ms (default 5000) */
+  batchInterval?: number;
+  /** Per-request socket timeout in ms (default 10000) */
+  requestTimeout?: number;
+  maxRetries?: number;
+  /** Base delay in ms for exponential backoff */
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  onEventDropped?: ((payloads: CarbonCutNodeEventPayload[], reason: DeadLetterEntry['reason']) => void) | null;
+  /** Flush on beforeExit, SIGINT and SIGTERM (default true) */
+  flushOnExit?: boolean;
+  debug?: boolean;
+}
+
+/** Context passed along from the browser SDK (see getSessionInfo()) */
+export interface CarbonCutNodeEventData {
+  session_id?: string | null;
+  user_id?: string | null;
+  anonymous_id?: string | null;
+  page_url?: string;
+  referrer?: string;
+  utm_params?: UTMParams | null;
+  [key: string]: unknown;
+}
+
+/** v2 payload built on the server; consent is not attached */
+export type CarbonCutNodeEventPayload = Omit<CarbonCutEventPayload, 'consent' | 'session_id' | 'anonymous_id'> & {
+  session_id: string | null;
+  anonymous_id: string | null;
+};
+
+export declare class CarbonCutNode {
+  constructor(options: CarbonCutNodeOptions);
+  /** Queue an event; returns its event_id, or null after shutdown() */
+  track(event: string, data?: CarbonCutNodeEventData): string | null;
+  trackEvent(eventName: string, data?: CarbonCutNodeEventData): string | null;
+  trackConversion(data?: CarbonCutNodeEventData): string | null;
+  /** Send everything queued */
+  flush(): Promise<void>;
+  /** Flush remaining events and close connections */
+  shutdown(): Promise<void>;
+  getQueueSize(): number;
+  getDeadLetters(): Array<Omit<DeadLetterEntry, 'payload'> & { payload: CarbonCutNodeEventPayload }>;
+}
+
+export default CarbonCutNode;